@@ -0,0 +1,8 @@
+import { logger } from './src/log.js';
+import { startInteractionsServer } from './src/interactions-server.js';
+
+try {
+    await startInteractionsServer();
+} catch (error) {
+    logger.error(error);
+}
\ No newline at end of file
@@ -0,0 +1,371 @@
+import { deflateSync } from 'node:zlib';
+
+const FONT_WIDTH = 5;
+const FONT_HEIGHT = 7;
+
+/**
+ * 5x7 bitmap glyphs, one string of bits per row. Lowercase letters are drawn as uppercase
+ * @readonly
+ */
+const FONT_GLYPHS = {
+    '0': ['01110', '10001', '10011', '10101', '11001', '10001', '01110'],
+    '1': ['00100', '01100', '00100', '00100', '00100', '00100', '01110'],
+    '2': ['01110', '10001', '00001', '00010', '00100', '01000', '11111'],
+    '3': ['11111', '00010', '00100', '00010', '00001', '10001', '01110'],
+    '4': ['00010', '00110', '01010', '10010', '11111', '00010', '00010'],
+    '5': ['11111', '10000', '11110', '00001', '00001', '10001', '01110'],
+    '6': ['00110', '01000', '10000', '11110', '10001', '10001', '01110'],
+    '7': ['11111', '00001', '00010', '00100', '01000', '01000', '01000'],
+    '8': ['01110', '10001', '10001', '01110', '10001', '10001', '01110'],
+    '9': ['01110', '10001', '10001', '01111', '00001', '00010', '01100'],
+    'A': ['01110', '10001', '10001', '11111', '10001', '10001', '10001'],
+    'B': ['11110', '10001', '10001', '11110', '10001', '10001', '11110'],
+    'C': ['01110', '10001', '10000', '10000', '10000', '10001', '01110'],
+    'D': ['11100', '10010', '10001', '10001', '10001', '10010', '11100'],
+    'E': ['11111', '10000', '10000', '11110', '10000', '10000', '11111'],
+    'F': ['11111', '10000', '10000', '11110', '10000', '10000', '10000'],
+    'G': ['01110', '10001', '10000', '10111', '10001', '10001', '01111'],
+    'H': ['10001', '10001', '10001', '11111', '10001', '10001', '10001'],
+    'I': ['01110', '00100', '00100', '00100', '00100', '00100', '01110'],
+    'J': ['00111', '00010', '00010', '00010', '00010', '10010', '01100'],
+    'K': ['10001', '10010', '10100', '11000', '10100', '10010', '10001'],
+    'L': ['10000', '10000', '10000', '10000', '10000', '10000', '11111'],
+    'M': ['10001', '11011', '10101', '10101', '10001', '10001', '10001'],
+    'N': ['10001', '10001', '11001', '10101', '10011', '10001', '10001'],
+    'O': ['01110', '10001', '10001', '10001', '10001', '10001', '01110'],
+    'P': ['11110', '10001', '10001', '11110', '10000', '10000', '10000'],
+    'Q': ['01110', '10001', '10001', '10001', '10101', '10010', '01101'],
+    'R': ['11110', '10001', '10001', '11110', '10100', '10010', '10001'],
+    'S': ['01111', '10000', '10000', '01110', '00001', '00001', '11110'],
+    'T': ['11111', '00100', '00100', '00100', '00100', '00100', '00100'],
+    'U': ['10001', '10001', '10001', '10001', '10001', '10001', '01110'],
+    'V': ['10001', '10001', '10001', '10001', '10001', '01010', '00100'],
+    'W': ['10001', '10001', '10001', '10101', '10101', '10101', '01010'],
+    'X': ['10001', '10001', '01010', '00100', '01010', '10001', '10001'],
+    'Y': ['10001', '10001', '10001', '01010', '00100', '00100', '00100'],
+    'Z': ['11111', '00001', '00010', '00100', '01000', '10000', '11111'],
+    ' ': ['00000', '00000', '00000', '00000', '00000', '00000', '00000'],
+    '-': ['00000', '00000', '00000', '11111', '00000', '00000', '00000'],
+    '.': ['00000', '00000', '00000', '00000', '00000', '01100', '01100'],
+    ':': ['00000', '01100', '01100', '00000', '01100', '01100', '00000'],
+    '/': ['00000', '00001', '00010', '00100', '01000', '10000', '00000'],
+    '(': ['00010', '00100', '01000', '01000', '01000', '00100', '00010'],
+    ')': ['01000', '00100', '00010', '00010', '00010', '00100', '01000'],
+};
+
+/**
+ * Wind bands of the Saffir-Simpson Hurricane Wind Scale (mph) and their chart background colors
+ * @readonly
+ */
+const WIND_BANDS = [
+    { label: 'TD', minWind: 0, color: 0xEEF7FF },
+    { label: 'TS', minWind: 39, color: 0xD9FFFE },
+    { label: 'C1', minWind: 74, color: 0xFFFFE5 },
+    { label: 'C2', minWind: 96, color: 0xFFF3BA },
+    { label: 'C3', minWind: 111, color: 0xFFE0A0 },
+    { label: 'C4', minWind: 130, color: 0xFFC790 },
+    { label: 'C5', minWind: 157, color: 0xFFB0B0 },
+];
+
+const WIND_COLOR = 0xD62828;
+const PRESSURE_COLOR = 0x1D4ED8;
+const AXIS_COLOR = 0x333333;
+
+/**
+ * An RGBA pixel buffer that can be drawn on and encoded as a PNG
+ * @typedef {Object} Canvas
+ * @property {Number} width
+ * @property {Number} height
+ * @property {Uint8Array} pixels - 4 bytes (RGBA) per pixel, row by row
+ */
+
+/**
+ * @param {Number} width
+ * @param {Number} height
+ * @param {Number} backgroundColor - 0xRRGGBB
+ * @returns {Canvas}
+ */
+export function createCanvas(width, height, backgroundColor = 0xFFFFFF) {
+    let canvas = {
+        width,
+        height,
+        pixels: new Uint8Array(width * height * 4),
+    };
+    fillRect(canvas, 0, 0, width, height, backgroundColor);
+
+    return canvas;
+}
+
+/**
+ * @param {Canvas} canvas
+ * @param {Number} x
+ * @param {Number} y
+ * @param {Number} color - 0xRRGGBB
+ */
+function setPixel(canvas, x, y, color) {
+    x = Math.round(x);
+    y = Math.round(y);
+    if (x < 0 || y < 0 || x >= canvas.width || y >= canvas.height) {
+        return;
+    }
+
+    const offset = (y * canvas.width + x) * 4;
+    canvas.pixels[offset] = (color >> 16) & 0xFF;
+    canvas.pixels[offset + 1] = (color >> 8) & 0xFF;
+    canvas.pixels[offset + 2] = color & 0xFF;
+    canvas.pixels[offset + 3] = 0xFF;
+}
+
+/**
+ * @param {Canvas} canvas
+ * @param {Number} x - Left edge
+ * @param {Number} y - Top edge
+ * @param {Number} width
+ * @param {Number} height
+ * @param {Number} color - 0xRRGGBB
+ */
+export function fillRect(canvas, x, y, width, height, color) {
+    for (let row = Math.round(y); row < Math.round(y + height); row++) {
+        for (let col = Math.round(x); col < Math.round(x + width); col++) {
+            setPixel(canvas, col, row, color);
+        }
+    }
+}
+
+/**
+ * Draws a straight line using Bresenham's algorithm
+ * @param {Canvas} canvas
+ * @param {Number} x0
+ * @param {Number} y0
+ * @param {Number} x1
+ * @param {Number} y1
+ * @param {Number} color - 0xRRGGBB
+ * @param {Number} thickness - Line width in pixels
+ */
+export function drawLine(canvas, x0, y0, x1, y1, color, thickness = 1) {
+    x0 = Math.round(x0);
+    y0 = Math.round(y0);
+    x1 = Math.round(x1);
+    y1 = Math.round(y1);
+    const dx = Math.abs(x1 - x0);
+    const dy = -Math.abs(y1 - y0);
+    const stepX = x0 < x1 ? 1 : -1;
+    const stepY = y0 < y1 ? 1 : -1;
+    const offset = Math.floor(thickness / 2);
+    let error = dx + dy;
+    while (true) {
+        fillRect(canvas, x0 - offset, y0 - offset, thickness, thickness, color);
+        if (x0 === x1 && y0 === y1) {
+            break;
+        }
+
+        const doubleError = 2 * error;
+        if (doubleError >= dy) {
+            error += dy;
+            x0 += stepX;
+        }
+        if (doubleError <= dx) {
+            error += dx;
+            y0 += stepY;
+        }
+    }
+}
+
+/**
+ * Draws text with the built-in 5x7 bitmap font. Characters without a glyph are skipped
+ * @param {Canvas} canvas
+ * @param {String} text
+ * @param {Number} x - Left edge
+ * @param {Number} y - Top edge
+ * @param {Number} color - 0xRRGGBB
+ * @param {Number} scale - Size multiplier of the font
+ */
+export function drawText(canvas, text, x, y, color, scale = 1) {
+    let cursorX = x;
+    for (const char of text.toUpperCase()) {
+        const glyph = FONT_GLYPHS[char];
+        if (glyph) {
+            glyph.forEach((rowBits, row) => {
+                for (let col = 0; col < FONT_WIDTH; col++) {
+                    if (rowBits[col] === '1') {
+                        fillRect(canvas, cursorX + col * scale, y + row * scale, scale, scale, color);
+                    }
+                }
+            });
+        }
+        cursorX += (FONT_WIDTH + 1) * scale;
+    }
+}
+
+/**
+ * @param {String} text
+ * @param {Number} scale
+ * @returns {Number} width of the text in pixels when drawn with drawText
+ */
+export function measureText(text, scale = 1) {
+    return text.length * (FONT_WIDTH + 1) * scale - scale;
+}
+
+/**
+ * CRC-32 lookup table used by PNG chunks
+ * @type {Uint32Array}
+ */
+const CRC_TABLE = new Uint32Array(256).map((value, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+    }
+    return c >>> 0;
+});
+
+function crc32(buffer) {
+    let crc = 0xFFFFFFFF;
+    for (const byte of buffer) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function createPNGChunk(type, data) {
+    let length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    let typeAndData = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    let crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(typeAndData));
+
+    return Buffer.concat([length, typeAndData, crc]);
+}
+
+/**
+ * Encodes a canvas as an 8-bit RGBA PNG https://www.w3.org/TR/png/
+ * @param {Canvas} canvas
+ * @returns {Buffer}
+ */
+export function encodePNG(canvas) {
+    const { width, height, pixels } = canvas;
+    let header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8; // bit depth
+    header[9] = 6; // color type: RGBA
+    // compression, filter and interlace methods are all 0
+
+    // every row starts with its filter type (0: none)
+    const rowLength = width * 4;
+    let rawData = Buffer.alloc((rowLength + 1) * height);
+    for (let row = 0; row < height; row++) {
+        rawData[row * (rowLength + 1)] = 0;
+        rawData.set(pixels.subarray(row * rowLength, (row + 1) * rowLength), row * (rowLength + 1) + 1);
+    }
+
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+        createPNGChunk('IHDR', header),
+        createPNGChunk('IDAT', deflateSync(rawData)),
+        createPNGChunk('IEND', Buffer.alloc(0)),
+    ]);
+}
+
+/**
+ * A point of the intensity chart
+ * @typedef {Object} IntensityPoint
+ * @property {String|Date} time
+ * @property {?Number} wind - Maximum sustained wind in mph
+ * @property {?Number} pressure - Minimum central pressure in mb
+ */
+
+/**
+ * Renders a chart of a cyclone's wind (left axis) and pressure (right axis) over time, drawn over the wind bands of
+ * the Saffir-Simpson Hurricane Wind Scale
+ * @param {String} title
+ * @param {IntensityPoint[]} points - Points in chronological order
+ * @param {Object} options
+ * @param {Number} options.width
+ * @param {Number} options.height
+ * @returns {Blob} PNG image data
+ */
+export function renderIntensityChart(title, points, { width = 800, height = 400 } = {}) {
+    const margin = { top: 40, right: 70, bottom: 50, left: 70 };
+    const plotWidth = width - margin.left - margin.right;
+    const plotHeight = height - margin.top - margin.bottom;
+    let canvas = createCanvas(width, height);
+
+    const times = points.map((point) => new Date(point.time).getTime());
+    const winds = points.map((point) => point.wind).filter(Number.isFinite);
+    const pressures = points.map((point) => point.pressure).filter(Number.isFinite);
+    let minTime = Math.min(...times);
+    let maxTime = Math.max(...times);
+    if (minTime === maxTime) {
+        // give a single observation some room
+        minTime -= 3 * 3600 * 1000;
+        maxTime += 3 * 3600 * 1000;
+    }
+    const maxWind = Math.max(180, Math.ceil((Math.max(0, ...winds) + 10) / 20) * 20);
+    const minPressure = Math.min(960, Math.floor((Math.min(1020, ...pressures) - 10) / 10) * 10);
+    const maxPressure = 1020;
+
+    const toX = (time) => margin.left + (time - minTime) / (maxTime - minTime) * plotWidth;
+    const toWindY = (wind) => margin.top + plotHeight - wind / maxWind * plotHeight;
+    const toPressureY = (pressure) => margin.top + (maxPressure - pressure) / (maxPressure - minPressure) * plotHeight;
+
+    // category bands
+    WIND_BANDS.forEach((band, i) => {
+        const bandTop = toWindY(Math.min(WIND_BANDS[i + 1]?.minWind ?? maxWind, maxWind));
+        const bandBottom = toWindY(band.minWind);
+        fillRect(canvas, margin.left, bandTop, plotWidth, bandBottom - bandTop, band.color);
+        drawText(canvas, band.label, margin.left + 4, bandBottom - FONT_HEIGHT - 3, AXIS_COLOR);
+    });
+
+    // axes and tick labels
+    drawLine(canvas, margin.left, margin.top, margin.left, margin.top + plotHeight, AXIS_COLOR);
+    drawLine(canvas, margin.left + plotWidth, margin.top, margin.left + plotWidth, margin.top + plotHeight, AXIS_COLOR);
+    drawLine(canvas, margin.left, margin.top + plotHeight, margin.left + plotWidth, margin.top + plotHeight, AXIS_COLOR);
+    for (let wind = 0; wind <= maxWind; wind += 20) {
+        const label = String(wind);
+        drawLine(canvas, margin.left - 5, toWindY(wind), margin.left, toWindY(wind), AXIS_COLOR);
+        drawText(canvas, label, margin.left - 8 - measureText(label, 2), toWindY(wind) - FONT_HEIGHT, WIND_COLOR, 2);
+    }
+    for (let pressure = minPressure; pressure <= maxPressure; pressure += 10) {
+        drawLine(canvas, margin.left + plotWidth, toPressureY(pressure), margin.left + plotWidth + 5, toPressureY(pressure), AXIS_COLOR);
+        if ((maxPressure - pressure) % 20 === 0) {
+            drawText(canvas, String(pressure), margin.left + plotWidth + 8, toPressureY(pressure) - FONT_HEIGHT, PRESSURE_COLOR, 2);
+        }
+    }
+    const timeLabelCount = Math.min(5, Math.max(times.length, 2));
+    for (let i = 0; i < timeLabelCount; i++) {
+        const time = minTime + (maxTime - minTime) * i / (timeLabelCount - 1);
+        const date = new Date(time);
+        const label = `${String(date.getUTCMonth() + 1).padStart(2, '0')}/${String(date.getUTCDate()).padStart(2, '0')} ${String(date.getUTCHours()).padStart(2, '0')}Z`;
+        drawLine(canvas, toX(time), margin.top + plotHeight, toX(time), margin.top + plotHeight + 5, AXIS_COLOR);
+        drawText(canvas, label, toX(time) - measureText(label, 2) / 2, margin.top + plotHeight + 12, AXIS_COLOR, 2);
+    }
+
+    // series
+    const drawSeries = (key, toY, color) => {
+        let previous = null;
+        points.forEach((point, i) => {
+            if (!Number.isFinite(point[key])) {
+                return;
+            }
+
+            const current = { x: toX(times[i]), y: toY(point[key]) };
+            if (previous) {
+                drawLine(canvas, previous.x, previous.y, current.x, current.y, color, 3);
+            }
+            fillRect(canvas, current.x - 3, current.y - 3, 7, 7, color);
+            previous = current;
+        });
+    };
+    drawSeries('pressure', toPressureY, PRESSURE_COLOR);
+    drawSeries('wind', toWindY, WIND_COLOR);
+
+    // title and legend
+    drawText(canvas, title, margin.left, 12, AXIS_COLOR, 2);
+    const legend = 'WIND (MPH)';
+    const pressureLegend = 'PRESSURE (MB)';
+    const legendX = width - margin.right - measureText(pressureLegend, 2);
+    drawText(canvas, legend, legendX - measureText(legend, 2) - 20, 12, WIND_COLOR, 2);
+    drawText(canvas, pressureLegend, legendX, 12, PRESSURE_COLOR, 2);
+
+    return new Blob([encodePNG(canvas)], { type: 'image/png' });
+}
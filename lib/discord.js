@@ -1,7 +1,21 @@
-import process from 'node:process';
+import { createPublicKey, verify } from 'node:crypto';
 
 const DISCORD_EPOCH = 1420070400000;
 const USER_AGENT = 'DiscordBot (discord-lib, 1.0.0)';
+const API_ROOT = 'https://discord.com/api/v10';
+const MAX_RATE_LIMITED_RETRIES = 5;
+const MAX_SERVER_ERROR_RETRIES = 3;
+const SERVER_ERROR_BACKOFF_MS = 1000;
+
+/**
+ * Methods a request can be repeated with without changing the outcome, which are retried after a 5xx error
+ */
+const IDEMPOTENT_METHODS = ['GET', 'PUT', 'PATCH', 'DELETE'];
+
+/**
+ * Codes of the errors raised when a connection cannot be made, before anything is sent
+ */
+const CONNECTION_ERROR_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'];
 
 /**
  * https://discord.com/developers/docs/resources/channel#message-object-message-types
@@ -13,6 +27,49 @@ export const MessageType = {
     CHANNEL_PINNED_MESSAGE: 6,
 };
 
+/**
+ * https://discord.com/developers/docs/resources/channel#message-object-message-flags
+ * @readonly
+ * @enum {Number}
+ */
+export const MessageFlags = {
+    EPHEMERAL: 1 << 6,
+};
+
+/**
+ * https://discord.com/developers/docs/interactions/receiving-and-responding#interaction-object-interaction-type
+ * @readonly
+ * @enum {Number}
+ */
+export const InteractionType = {
+    PING: 1,
+    APPLICATION_COMMAND: 2,
+};
+
+/**
+ * https://discord.com/developers/docs/interactions/receiving-and-responding#interaction-response-object-interaction-callback-type
+ * @readonly
+ * @enum {Number}
+ */
+export const InteractionResponseType = {
+    PONG: 1,
+    CHANNEL_MESSAGE_WITH_SOURCE: 4,
+    DEFERRED_CHANNEL_MESSAGE_WITH_SOURCE: 5,
+};
+
+/**
+ * https://discord.com/developers/docs/interactions/application-commands#application-command-object-application-command-option-type
+ * @readonly
+ * @enum {Number}
+ */
+export const ApplicationCommandOptionType = {
+    SUB_COMMAND: 1,
+    SUB_COMMAND_GROUP: 2,
+    STRING: 3,
+    CHANNEL: 7,
+    NUMBER: 10,
+};
+
 /**
  * https://discord.com/developers/docs/reference#snowflakes
  * @param {Date} date 
@@ -23,37 +80,285 @@ function getSnowflakeIdFromDate(date = new Date()) {
 }
 
 /**
- * Performs a request against Discord's api
+ * Error returned by Discord's api, carrying the JSON error code and message when Discord supplies them
+ * https://discord.com/developers/docs/topics/opcodes-and-status-codes#json
+ */
+export class DiscordAPIError extends Error {
+    /**
+     * @param {Number} status - HTTP status of the response
+     * @param {?Number} code - Discord JSON error code
+     * @param {String} message
+     */
+    constructor(status, code, message) {
+        super(message);
+        this.name = 'DiscordAPIError';
+        this.status = status;
+        this.code = code;
+    }
+}
+
+/**
+ * Route keys to the rate limit bucket hash Discord reported for them
+ * @type {Map<String, String>}
+ */
+const routeBuckets = new Map();
+
+/**
+ * Rate limit state of each bucket, keyed by bucket hash (or route key until the hash is known) and major parameter
+ * @type {Map<String, {remaining: Number, resetAt: Number}>}
+ */
+const bucketStates = new Map();
+
+/**
+ * Tail of the request queue of each route, so requests sharing a route run one at a time
+ * @type {Map<String, Promise>}
+ */
+const routeQueues = new Map();
+
+let globalResetAt = 0;
+
+/**
+ * Handles requests in place of Discord's api, see setRequestSink
+ * @typedef {(method: String, endpoint: String, body: ?Object|FormData) => Promise<?Object>} RequestSink
+ */
+
+/**
+ * @type {?RequestSink}
+ */
+let requestSink = null;
+
+/**
+ * Token requests are authorized with
+ * @type {?String}
+ */
+let botToken = null;
+
+/**
+ * @param {?String} token - Token of the bot application requests are sent as
+ */
+export function setBotToken(token) {
+    botToken = token;
+}
+
+/**
+ * Hands every later request to the sink instead of sending it to Discord (e.g. to record what would be sent during a 
+ * dry run). The sink's result is returned as the response data
+ * @param {?RequestSink} sink - null to send requests to Discord again
+ */
+export function setRequestSink(sink) {
+    requestSink = sink;
+}
+
+function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Builds the key used to group requests into rate limit buckets. Major parameters (channel, guild and webhook IDs) are 
+ * kept since Discord limits them separately; other IDs are collapsed. 
+ * https://discord.com/developers/docs/topics/rate-limits#rate-limits
+ * @param {String} method 
+ * @param {String} endpoint 
+ * @returns {{routeKey: String, majorParameter: String}}
+ */
+function getRoute(method, endpoint) {
+    const majorParameterResources = ['channels', 'guilds', 'webhooks'];
+    let segments = endpoint.split('?')[0].split('/').filter((segment) => segment.length > 0);
+    let majorParameter = '';
+    let routeSegments = segments.map((segment, i) => {
+        if (!/^\d+$/.test(segment)) {
+            return segment;
+        }
+        if (i > 0 && majorParameterResources.includes(segments[i - 1]) && !majorParameter) {
+            majorParameter = segment;
+            return segment;
+        }
+        return ':id';
+    });
+
+    return {
+        routeKey: `${method.toUpperCase()} /${routeSegments.join('/')}`,
+        majorParameter,
+    };
+}
+
+/**
+ * Runs the task after every earlier task queued on the same route has settled
+ * @param {String} routeKey 
+ * @param {Function} task 
+ * @returns {Promise}
+ */
+function enqueueRouteTask(routeKey, task) {
+    let queueTail = routeQueues.get(routeKey) ?? Promise.resolve();
+    let result = queueTail.then(task);
+    routeQueues.set(routeKey, result.catch(() => {})); // failures must not block later requests
+    return result;
+}
+
+/**
+ * @param {String} routeKey 
+ * @param {String} majorParameter 
+ * @returns {String}
+ */
+function getBucketStateKey(routeKey, majorParameter) {
+    let bucketHash = routeBuckets.get(routeKey);
+    return bucketHash ? `${bucketHash}:${majorParameter}` : routeKey;
+}
+
+/**
+ * Records the rate limit headers of a response
+ * @param {Response} resp 
+ * @param {String} routeKey 
+ * @param {String} majorParameter 
+ */
+function updateBucketState(resp, routeKey, majorParameter) {
+    const bucketHash = resp.headers.get('X-RateLimit-Bucket');
+    const remaining = resp.headers.get('X-RateLimit-Remaining');
+    const resetAfter = resp.headers.get('X-RateLimit-Reset-After');
+    if (bucketHash) {
+        routeBuckets.set(routeKey, bucketHash);
+    }
+    if (remaining != null && resetAfter != null) {
+        bucketStates.set(getBucketStateKey(routeKey, majorParameter), {
+            remaining: Number(remaining),
+            resetAt: Date.now() + Number(resetAfter) * 1000,
+        });
+    }
+}
+
+/**
+ * Waits until neither the global rate limit nor the route's bucket prevent a request from being sent
+ * @param {String} routeKey 
+ * @param {String} majorParameter 
+ */
+async function waitForRateLimit(routeKey, majorParameter) {
+    if (Date.now() < globalResetAt) {
+        await sleep(globalResetAt - Date.now());
+    }
+
+    let bucketState = bucketStates.get(getBucketStateKey(routeKey, majorParameter));
+    if (bucketState && bucketState.remaining <= 0 && Date.now() < bucketState.resetAt) {
+        await sleep(bucketState.resetAt - Date.now());
+    }
+}
+
+/**
+ * @param {Response} resp 
+ * @returns {DiscordAPIError}
+ */
+async function createAPIError(resp) {
+    let code = null;
+    let message = `Unexpected status ${resp.status} ${resp.statusText}.`;
+    try {
+        let errorData = await resp.json();
+        if (errorData.code != null) {
+            code = errorData.code;
+            message += ` Discord error ${errorData.code}: ${errorData.message}`;
+        }
+    } catch (error) {
+        // response has no JSON body
+    }
+
+    return new DiscordAPIError(resp.status, code, message);
+}
+
+/**
+ * Performs a request against Discord's api. Requests are queued per route, wait out exhausted rate limit buckets, are 
+ * retried after a 429 using Discord's "retry after" time, and are retried with backoff on transient 5xx errors. A POST 
+ * may have been handled despite a 5xx error (e.g. a message was created), so it is only retried after a 503 or a 
+ * connection error raised before it was sent
  * @param {String} endpoint - The Discord api endpoint
- * @param {Object} options - Options to pass into the request
+ * @param {Object} options - Options to pass into the request. A FormData body is sent as is, others are sent as JSON.
+ * Set options.authorize to false to leave out the bot token (e.g. for webhook requests, which carry their own token)
  * @returns {Object} The response data of the request
+ * @throws {DiscordAPIError} when Discord responds with an error that cannot be retried
  */
 export async function discordRequest(endpoint, options) {
-    // stringify payload
-    if (options.body) {
-        options.body = JSON.stringify(options.body);
+    const method = options.method ?? 'get';
+    if (requestSink) {
+        return requestSink(method, `/${endpoint.replace(/^\//, '')}`, options.body);
     }
 
-    // append endpoint to root API URL
-    let resp = await fetch(`https://discord.com/api/v10/${endpoint}`, {
-        headers: {
-            'Authorization': `Bot ${process.env.DISCORD_BOT_TOKEN}`,
-            'Content-Type': 'application/json; charset=UTF-8',
-            'User-Agent': USER_AGENT,
-            'Accept-Encoding': 'gzip,deflate,compress',
-        },
-        ...options
-    });
-
-    let respData;
-    if (resp.status === 200) {
-        respData = await resp.json();
-    } else if (resp.status !== 204) {
-        // if not 204 (empty response), throw API errors
-        throw new Error(`Unexpected status ${resp.status} ${resp.statusText}.`);
+    const { routeKey, majorParameter } = getRoute(method, endpoint);
+    let headers = {
+        'User-Agent': USER_AGENT,
+        'Accept-Encoding': 'gzip,deflate,compress',
+    };
+    if (options.authorize !== false) {
+        headers['Authorization'] = `Bot ${botToken}`;
+    }
+    let body = options.body;
+    if (body && !(body instanceof FormData)) { // don't set Content-Type for FormData, fetch adds the multipart boundary
+        // stringify payload
+        headers['Content-Type'] = 'application/json; charset=UTF-8';
+        body = JSON.stringify(body);
     }
 
-    return respData;
+    const isIdempotent = IDEMPOTENT_METHODS.includes(method.toUpperCase());
+    return enqueueRouteTask(routeKey, async () => {
+        let rateLimitedCount = 0;
+        let serverErrorCount = 0;
+        while (true) {
+            await waitForRateLimit(routeKey, majorParameter);
+
+            // append endpoint to root API URL
+            let resp;
+            try {
+                resp = await fetch(`${API_ROOT}/${endpoint.replace(/^\//, '')}`, {
+                    ...options,
+                    headers: {
+                        ...headers,
+                        ...options.headers,
+                    },
+                    method,
+                    body,
+                });
+            } catch (error) {
+                if ((isIdempotent || CONNECTION_ERROR_CODES.includes(error.cause?.code)) && serverErrorCount < MAX_SERVER_ERROR_RETRIES) {
+                    await sleep(SERVER_ERROR_BACKOFF_MS * 2 ** serverErrorCount);
+                    serverErrorCount++;
+                    continue;
+                }
+                throw error;
+            }
+            updateBucketState(resp, routeKey, majorParameter);
+
+            if (resp.status === 429 && rateLimitedCount < MAX_RATE_LIMITED_RETRIES) {
+                rateLimitedCount++;
+                let retryAfterSeconds = Number(resp.headers.get('Retry-After'));
+                let isGlobal = resp.headers.get('X-RateLimit-Global') === 'true';
+                try {
+                    let rateLimitData = await resp.json();
+                    retryAfterSeconds = rateLimitData.retry_after ?? retryAfterSeconds;
+                    isGlobal = isGlobal || rateLimitData.global === true;
+                } catch (error) {
+                    // fall back to headers
+                }
+
+                const retryAt = Date.now() + (retryAfterSeconds || 1) * 1000;
+                if (isGlobal) {
+                    globalResetAt = retryAt;
+                } else {
+                    bucketStates.set(getBucketStateKey(routeKey, majorParameter), { remaining: 0, resetAt: retryAt });
+                }
+                continue;
+            }
+
+            if (resp.status >= 500 && (isIdempotent || resp.status === 503) && serverErrorCount < MAX_SERVER_ERROR_RETRIES) {
+                await sleep(SERVER_ERROR_BACKOFF_MS * 2 ** serverErrorCount);
+                serverErrorCount++;
+                continue;
+            }
+
+            if (resp.status === 204) {
+                return undefined; // empty response
+            } else if (resp.ok) {
+                return await resp.json();
+            }
+
+            throw await createAPIError(resp);
+        }
+    });
 }
 
 /**
@@ -66,6 +371,16 @@ export async function discordRequest(endpoint, options) {
  * @typedef {Object} Channel
  */
 
+/**
+ * Discord user object https://discord.com/developers/docs/resources/user#user-object
+ * @typedef {Object} User
+ */
+
+/**
+ * Discord role object https://discord.com/developers/docs/topics/permissions#role-object
+ * @typedef {Object} Role
+ */
+
 /**
  * Searches for messages in a given channel between the start (inclusive) and end date (non-inclusive). If both dates are
  * supplied, will perform a best effort to retrieve all messages between the two dates in the channel (limited by memory 
@@ -138,6 +453,22 @@ export async function getMessagesInChannel(channelId, afterDate, beforeDate, lim
     return messages;
 }
 
+/**
+ * Gets up to N messages (limit) sent in a given channel after a message. No message order guaranteed.
+ * @param {String} channelId - Discord channel id to search messages in
+ * @param {String} afterMessageId - Only messages sent after this message are returned
+ * @param {?Number} limit - Number of messages to return. Default and max: 100
+ * @returns {Message[]}
+ */
+export async function getMessagesInChannelAfterId(channelId, afterMessageId, limit=100) {
+    let urlParamStr = new URLSearchParams({ after: afterMessageId, limit }).toString();
+    let respData = await discordRequest(`channels/${channelId}/messages?${urlParamStr}`, {
+        method: 'get'
+    });
+
+    return respData;
+}
+
 /**
  * @param {String} channelId - Discord channel id to send a message in
  * @param {String} messageContent - The text message to send
@@ -154,6 +485,33 @@ export async function createTextMessageInChannel(channelId, messageContent) {
     return respData;
 }
 
+/**
+ * @param {String} channelId - Discord channel id to send a message in
+ * @param {Object} options
+ * @param {?String} options.messageContent - Text message content to send with the embeds
+ * @param {Embed[]} options.embeds - Embeds to send (max 10)
+ * @param {?AllowedMentions} options.allowedMentions - Mentions in the content that notify. All of them when not given
+ * @returns {Message}
+ */
+export async function createEmbedMessageInChannel(channelId, options) {
+    let payload = {
+        embeds: options.embeds,
+    };
+    if (options.messageContent) {
+        payload.content = options.messageContent;
+    }
+    if (options.allowedMentions) {
+        payload.allowed_mentions = options.allowedMentions;
+    }
+
+    let respData = await discordRequest(`channels/${channelId}/messages`, {
+        method: 'post',
+        body: payload,
+    });
+
+    return respData;
+}
+
 /**
  * @param {String} channelId
  * @returns {Message[]}
@@ -239,20 +597,61 @@ export async function deleteMessageInChannel(channelId, messageId) {
  * @property {Blob} blobData - The image data as a Blob
  */
 
+/**
+ * Discord embed object https://discord.com/developers/docs/resources/channel#embed-object
+ * @typedef {Object} Embed
+ */
+
+/**
+ * Discord allowed mentions object https://discord.com/developers/docs/resources/channel#allowed-mentions-object
+ * (e.g. { roles: ['111111111111111111'] } to only notify one role)
+ * @typedef {Object} AllowedMentions
+ */
+
+/**
+ * Gets the filename an image attachment is uploaded as. Embeds can display the attachment by using 
+ * "attachment://<filename>" as an image url
+ * @param {ImageAttachment} attachment 
+ * @returns {String}
+ */
+export function getImageAttachmentFilename(attachment) {
+    return `${attachment.name}.${imgExtFromMimeType(attachment.blobData.type)}`;
+}
+
 /**
  * @param {Object} options
  * @param {?String} options.messageContent - Text message content to send with attachments
+ * @param {?Embed[]} options.embeds - Embeds to send with attachments (max 10)
  * @param {ImageAttachment[]} options.attachments - Image attachments
+ * @param {?AllowedMentions} options.allowedMentions - Mentions in the content that notify. All of them when not given
  * @returns {Message}
  */
 export async function createImageAttachmentMessageInChannel(channelId, options) {
+    let respData = await discordRequest(`channels/${channelId}/messages`, {
+        method: 'post',
+        body: buildMessageBody(options),
+    });
+
+    return respData;
+}
+
+/**
+ * Builds the body of a message request. Messages with attachments are sent as multipart form data, the others as JSON
+ * @param {Object} options
+ * @param {?String} options.messageContent
+ * @param {?Embed[]} options.embeds
+ * @param {?ImageAttachment[]} options.attachments
+ * @param {?AllowedMentions} options.allowedMentions
+ * @returns {Object|FormData}
+ */
+function buildMessageBody(options) {
     // add attachment data to formdata
     let formData = new FormData();
     let attachmentsMetadata = [];
     if (Array.isArray(options.attachments)) {
         for (let i = 0; i < options.attachments.length; i++) {
             const attachment = options.attachments[i];
-            let filename = `${attachment.name}.${imgExtFromMimeType(attachment.blobData.type)}`
+            let filename = getImageAttachmentFilename(attachment);
             // collect metadata
             attachmentsMetadata.push({
                 id: i,
@@ -264,37 +663,27 @@ export async function createImageAttachmentMessageInChannel(channelId, options)
         }
     }
 
-    // create payload json for metadata and append it to formdata
+    // create payload json for metadata
     let payloadJson = {};
     if (options.messageContent) {
         payloadJson.content = options.messageContent;
     }
+    if (Array.isArray(options.embeds) && options.embeds.length > 0) {
+        payloadJson.embeds = options.embeds;
+    }
     if (attachmentsMetadata.length > 0) {
         payloadJson.attachments = attachmentsMetadata;
     }
+    if (options.allowedMentions) {
+        payloadJson.allowed_mentions = options.allowedMentions;
+    }
 
-    formData.append('payload_json', JSON.stringify(payloadJson));
-      
-    // post data
-    let resp = await fetch(`https://discord.com/api/v10/channels/${channelId}/messages`, {
-        headers: {
-            'Authorization': `Bot ${process.env.DISCORD_BOT_TOKEN}`,
-            'User-Agent': USER_AGENT,
-            'Accept-Encoding': 'gzip,deflate,compress',
-            // don't set Content-Type
-        },
-        method: 'post',
-        body: formData,
-    });
-
-    let respData;
-    if (resp.status === 200) {
-        respData = await resp.json();
-    } else {
-        throw new Error(`Unexpected status ${resp.status} ${resp.statusText}.`);
+    if (attachmentsMetadata.length === 0) {
+        return payloadJson;
     }
 
-    return respData;
+    formData.append('payload_json', JSON.stringify(payloadJson));
+    return formData;
 }
 
 function imgExtFromMimeType(mimeType) {
@@ -328,3 +717,358 @@ export async function editTextMessageInChannel(channelId, messageId, messageCont
 
     return respData;
 }
+
+/**
+ * @param {String} channelId - Discord channel id the message was sent in
+ * @param {String} messageId - Discord message id
+ * @param {Object} options
+ * @param {?String} options.messageContent - The new text message
+ * @param {Embed[]} options.embeds - The new embeds (max 10)
+ * @returns {Message}
+ */
+export async function editEmbedMessageInChannel(channelId, messageId, options) {
+    let payload = {
+        embeds: options.embeds,
+    };
+    if (options.messageContent != null) {
+        payload.content = options.messageContent;
+    }
+
+    let respData = await discordRequest(`channels/${channelId}/messages/${messageId}`, {
+        method: 'PATCH', // case-sensitive
+        body: payload,
+    });
+
+    return respData;
+}
+
+/**
+ * A channel webhook, which sends messages without a bot https://discord.com/developers/docs/resources/webhook
+ * @typedef {Object} Webhook
+ * @property {String} webhookId
+ * @property {String} webhookToken
+ */
+
+/**
+ * e.g. "https://discord.com/api/webhooks/111111111111111111/abc" -> { webhookId: "111111111111111111", webhookToken: "abc" }
+ * @param {String} webhookUrl 
+ * @returns {Webhook}
+ * @throws {Error} when the URL is not a Discord webhook URL
+ */
+export function parseWebhookUrl(webhookUrl) {
+    const match = String(webhookUrl).trim().match(/^https:\/\/(?:\w+\.)?discord(?:app)?\.com\/api(?:\/v\d+)?\/webhooks\/(\d+)\/([\w-]+)\/?$/);
+    if (!match) {
+        throw new Error(`Not a Discord webhook URL. Expected https://discord.com/api/webhooks/<id>/<token>`);
+    }
+
+    return { webhookId: match[1], webhookToken: match[2] };
+}
+
+/**
+ * @param {String} webhookUrl 
+ * @param {?String} messageId 
+ * @param {Object} urlParams 
+ * @returns {String} the webhook's endpoint, or the endpoint of one of its messages
+ */
+function getWebhookEndpoint(webhookUrl, messageId, urlParams) {
+    const { webhookId, webhookToken } = parseWebhookUrl(webhookUrl);
+    let endpoint = `webhooks/${webhookId}/${webhookToken}`;
+    if (messageId) {
+        endpoint += `/messages/${messageId}`;
+    }
+    const urlParamStr = new URLSearchParams(Object.entries(urlParams).filter(([, value]) => value != null)).toString();
+
+    return urlParamStr ? `${endpoint}?${urlParamStr}` : endpoint;
+}
+
+/**
+ * Sends a message through a webhook, waiting for Discord to confirm it so the message can be edited or deleted later
+ * @param {String} webhookUrl 
+ * @param {Object} options
+ * @param {?String} options.messageContent - Text message content to send
+ * @param {?Embed[]} options.embeds - Embeds to send (max 10)
+ * @param {?ImageAttachment[]} options.attachments - Image attachments
+ * @param {?AllowedMentions} options.allowedMentions - Mentions in the content that notify. All of them when not given
+ * @param {?String} options.threadId - Thread of the webhook's channel to send the message in
+ * @returns {Message}
+ */
+export async function executeWebhook(webhookUrl, options) {
+    let respData = await discordRequest(getWebhookEndpoint(webhookUrl, null, { wait: true, thread_id: options.threadId }), {
+        method: 'post',
+        body: buildMessageBody(options),
+        authorize: false,
+    });
+
+    return respData;
+}
+
+/**
+ * Edits a message sent through a webhook. Attachments given replace those of the message, an empty list removes them
+ * @param {String} webhookUrl 
+ * @param {String} messageId 
+ * @param {Object} options
+ * @param {?String} options.messageContent - The new text message
+ * @param {?Embed[]} options.embeds - The new embeds (max 10)
+ * @param {?ImageAttachment[]} options.attachments - The new image attachments
+ * @param {?AllowedMentions} options.allowedMentions - Mentions in the content that notify. All of them when not given
+ * @param {?String} options.threadId - Thread the message was sent in
+ * @returns {Message}
+ */
+export async function editWebhookMessage(webhookUrl, messageId, options) {
+    let body = buildMessageBody(options);
+    if (Array.isArray(options.attachments) && options.attachments.length === 0) {
+        body.attachments = []; // attachments left out of an edit are kept
+    }
+
+    let respData = await discordRequest(getWebhookEndpoint(webhookUrl, messageId, { thread_id: options.threadId }), {
+        method: 'PATCH', // case-sensitive
+        body,
+        authorize: false,
+    });
+
+    return respData;
+}
+
+/**
+ * @param {String} webhookUrl 
+ * @param {String} messageId 
+ * @param {?String} threadId - Thread the message was sent in
+ */
+export async function deleteWebhookMessage(webhookUrl, messageId, threadId) {
+    await discordRequest(getWebhookEndpoint(webhookUrl, messageId, { thread_id: threadId }), {
+        method: 'delete',
+        authorize: false,
+    });
+}
+
+/**
+ * Starts a thread from a message. Messages are posted to a thread like any channel, using the thread's ID as channel id
+ * @param {String} channelId - Discord channel id the message was sent in
+ * @param {String} messageId - Discord message id
+ * @param {String} name - Thread name (max 100 characters)
+ * @param {?Number} autoArchiveDuration - Minutes of inactivity after which the thread is archived: 60, 1440, 4320 or 
+ * 10080. Default: 10080
+ * @returns {Channel} the thread
+ */
+export async function startThreadFromMessage(channelId, messageId, name, autoArchiveDuration=10080) {
+    let respData = await discordRequest(`channels/${channelId}/messages/${messageId}/threads`, {
+        method: 'post',
+        body: {
+            name: name.substring(0, 100),
+            auto_archive_duration: autoArchiveDuration,
+        },
+    });
+
+    return respData;
+}
+
+/**
+ * @param {String} threadId 
+ * @param {Object} thread - Discord thread fields to change https://discord.com/developers/docs/resources/channel#modify-channel-json-params-thread
+ * @param {?String} thread.name
+ * @param {?Boolean} thread.archived
+ * @param {?Boolean} thread.locked - Whether only moderators can unarchive the thread
+ * @returns {Channel} the thread
+ */
+export async function editThread(threadId, thread) {
+    let respData = await discordRequest(`channels/${threadId}`, {
+        method: 'PATCH', // case-sensitive
+        body: thread,
+    });
+
+    return respData;
+}
+
+/**
+ * Archives and locks a thread, so that only moderators can reopen it
+ * @param {String} threadId 
+ * @returns {Channel} the thread
+ */
+export async function archiveThread(threadId) {
+    return await editThread(threadId, { archived: true, locked: true });
+}
+
+/**
+ * @param {String} channelId 
+ * @returns {Channel}
+ */
+export async function getChannel(channelId) {
+    let respData = await discordRequest(`channels/${channelId}`, {
+        method: 'get'
+    });
+
+    return respData;
+}
+
+/**
+ * Adds a reaction of the bot to a message
+ * @param {String} channelId 
+ * @param {String} messageId 
+ * @param {String} emoji - A unicode emoji (e.g. "🔔") or a custom emoji as "name:id"
+ */
+export async function createReactionOnMessage(channelId, messageId, emoji) {
+    await discordRequest(`channels/${channelId}/messages/${messageId}/reactions/${encodeURIComponent(emoji)}/@me`, {
+        method: 'put'
+    });
+}
+
+/**
+ * Gets every user that reacted to a message with an emoji
+ * @param {String} channelId 
+ * @param {String} messageId 
+ * @param {String} emoji - A unicode emoji (e.g. "🔔") or a custom emoji as "name:id"
+ * @returns {User[]}
+ */
+export async function getReactionUsersOnMessage(channelId, messageId, emoji) {
+    const limit = 100;
+    let urlParams = { limit };
+    let users = [];
+    let respUsers;
+    do {
+        let urlParamStr = new URLSearchParams(urlParams).toString();
+        respUsers = await discordRequest(`channels/${channelId}/messages/${messageId}/reactions/${encodeURIComponent(emoji)}?${urlParamStr}`, {
+            method: 'get'
+        });
+        users.push(...respUsers);
+        urlParams.after = respUsers[respUsers.length - 1]?.id;
+    } while (respUsers.length === limit);
+
+    return users;
+}
+
+/**
+ * @param {String} guildId 
+ * @param {Object} role - Discord role fields https://discord.com/developers/docs/resources/guild#create-guild-role
+ * @param {String} role.name 
+ * @param {?Boolean} role.mentionable 
+ * @returns {Role}
+ */
+export async function createGuildRole(guildId, role) {
+    let respData = await discordRequest(`guilds/${guildId}/roles`, {
+        method: 'post',
+        body: role,
+    });
+
+    return respData;
+}
+
+/**
+ * @param {String} guildId 
+ * @param {String} roleId 
+ * @param {Object} role - Discord role fields to change (e.g. name)
+ * @returns {Role}
+ */
+export async function editGuildRole(guildId, roleId, role) {
+    let respData = await discordRequest(`guilds/${guildId}/roles/${roleId}`, {
+        method: 'PATCH', // case-sensitive
+        body: role,
+    });
+
+    return respData;
+}
+
+/**
+ * @param {String} guildId 
+ * @param {String} roleId 
+ */
+export async function deleteGuildRole(guildId, roleId) {
+    await discordRequest(`guilds/${guildId}/roles/${roleId}`, {
+        method: 'delete'
+    });
+}
+
+/**
+ * @param {String} guildId 
+ * @param {String} userId 
+ * @param {String} roleId 
+ */
+export async function addGuildMemberRole(guildId, userId, roleId) {
+    await discordRequest(`guilds/${guildId}/members/${userId}/roles/${roleId}`, {
+        method: 'put'
+    });
+}
+
+/**
+ * @param {String} guildId 
+ * @param {String} userId 
+ * @param {String} roleId 
+ */
+export async function removeGuildMemberRole(guildId, userId, roleId) {
+    await discordRequest(`guilds/${guildId}/members/${userId}/roles/${roleId}`, {
+        method: 'delete'
+    });
+}
+
+/**
+ * Discord application command object https://discord.com/developers/docs/interactions/application-commands#application-command-object
+ * @typedef {Object} ApplicationCommand
+ */
+
+/**
+ * Replaces all commands of the application with the given ones. Commands are registered globally unless a guild is given,
+ * in which case they are only available (and updated immediately) in that guild
+ * @param {String} applicationId 
+ * @param {ApplicationCommand[]} commands 
+ * @param {?String} guildId 
+ * @returns {ApplicationCommand[]}
+ */
+export async function overwriteApplicationCommands(applicationId, commands, guildId) {
+    let endpoint = `applications/${applicationId}/commands`;
+    if (guildId) {
+        endpoint = `applications/${applicationId}/guilds/${guildId}/commands`;
+    }
+
+    let respData = await discordRequest(endpoint, {
+        method: 'put',
+        body: commands,
+    });
+
+    return respData;
+}
+
+/**
+ * Edits the reply to an interaction, such as one deferred with a DEFERRED_CHANNEL_MESSAGE_WITH_SOURCE response. 
+ * Interaction tokens are valid for 15 minutes
+ * @param {String} applicationId 
+ * @param {String} interactionToken 
+ * @param {Object} options
+ * @param {?String} options.messageContent - The new text message
+ * @param {?Embed[]} options.embeds - The new embeds (max 10)
+ * @returns {Message}
+ */
+export async function editOriginalInteractionResponse(applicationId, interactionToken, options) {
+    let respData = await discordRequest(`webhooks/${applicationId}/${interactionToken}/messages/@original`, {
+        method: 'PATCH', // case-sensitive
+        body: buildMessageBody(options),
+        authorize: false,
+    });
+
+    return respData;
+}
+
+/**
+ * Verifies the Ed25519 signature Discord attaches to every interaction sent to an interactions endpoint
+ * https://discord.com/developers/docs/interactions/receiving-and-responding#security-and-authorization
+ * @param {Buffer} rawBody - The bytes of the unparsed request body
+ * @param {?String} signature - Value of the X-Signature-Ed25519 header
+ * @param {?String} timestamp - Value of the X-Signature-Timestamp header
+ * @param {String} publicKey - The application's public key as a hex string
+ * @returns {Boolean}
+ */
+export function verifyInteractionSignature(rawBody, signature, timestamp, publicKey) {
+    if (!signature || !timestamp) {
+        return false;
+    }
+
+    try {
+        // wrap the raw 32 byte key in a DER SubjectPublicKeyInfo so node can import it
+        const keyObject = createPublicKey({
+            key: Buffer.concat([Buffer.from('302a300506032b6570032100', 'hex'), Buffer.from(publicKey, 'hex')]),
+            format: 'der',
+            type: 'spki',
+        });
+        return verify(null, Buffer.concat([Buffer.from(timestamp), rawBody]), keyObject, Buffer.from(signature, 'hex'));
+    } catch (error) {
+        return false; // malformed key or signature
+    }
+}
@@ -0,0 +1,79 @@
+const EARTH_RADIUS_MILES = 3958.8;
+
+/**
+ * The 16 points of the compass, clockwise from north
+ * @readonly
+ */
+const COMPASS_POINTS = ['N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE', 'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'];
+
+function toRadians(degrees) {
+    return degrees * Math.PI / 180;
+}
+
+function toDegrees(radians) {
+    return radians * 180 / Math.PI;
+}
+
+/**
+ * Great-circle distance between two coordinates using the haversine formula
+ * @param {Number} lat1 - Latitude in degrees
+ * @param {Number} lon1 - Longitude in degrees
+ * @param {Number} lat2
+ * @param {Number} lon2
+ * @returns {Number} distance in miles
+ */
+export function getGreatCircleDistance(lat1, lon1, lat2, lon2) {
+    const deltaLat = toRadians(lat2 - lat1);
+    const deltaLon = toRadians(lon2 - lon1);
+    const a = Math.sin(deltaLat / 2) ** 2
+        + Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(deltaLon / 2) ** 2;
+
+    return 2 * EARTH_RADIUS_MILES * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+/**
+ * Initial bearing of the great-circle path from the first coordinate to the second
+ * @param {Number} lat1 - Latitude in degrees
+ * @param {Number} lon1 - Longitude in degrees
+ * @param {Number} lat2
+ * @param {Number} lon2
+ * @returns {Number} bearing in degrees clockwise from north (0-360)
+ */
+export function getInitialBearing(lat1, lon1, lat2, lon2) {
+    const deltaLon = toRadians(lon2 - lon1);
+    const y = Math.sin(deltaLon) * Math.cos(toRadians(lat2));
+    const x = Math.cos(toRadians(lat1)) * Math.sin(toRadians(lat2))
+        - Math.sin(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.cos(deltaLon);
+
+    return (toDegrees(Math.atan2(y, x)) + 360) % 360;
+}
+
+/**
+ * e.g. 20 -> "NNE"
+ * @param {Number} bearing - Degrees clockwise from north
+ * @returns {String}
+ */
+export function toCompassPoint(bearing) {
+    return COMPASS_POINTS[Math.round((((bearing % 360) + 360) % 360) / 22.5) % COMPASS_POINTS.length];
+}
+
+/**
+ * e.g. "NNE" -> 22.5
+ * @param {String} compassPoint
+ * @returns {?Number} bearing in degrees clockwise from north, null when not a compass point
+ */
+export function fromCompassPoint(compassPoint) {
+    const index = COMPASS_POINTS.indexOf(String(compassPoint).trim().toUpperCase());
+    return index >= 0 ? index * 22.5 : null;
+}
+
+/**
+ * Smallest angle between two bearings
+ * @param {Number} bearing1 - Degrees
+ * @param {Number} bearing2 - Degrees
+ * @returns {Number} degrees (0-180)
+ */
+export function getBearingDifference(bearing1, bearing2) {
+    const difference = Math.abs(bearing1 - bearing2) % 360;
+    return difference > 180 ? 360 - difference : difference;
+}
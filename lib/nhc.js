@@ -1,7 +1,12 @@
 import { XMLParser } from 'fast-xml-parser';
 import { readFile } from 'fs/promises'
+import { createHash } from 'crypto';
+import { toCamelCase } from './utils.js';
+import { fromCompassPoint } from './geo.js';
 
 const USER_AGENT = 'nhc-parse-lib 1.0.0';
+const MPH_PER_KNOT = 1.15078;
+const MONTH_ABBREVIATIONS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
 
 /**
  * Enum for basins tracked by NHC
@@ -14,12 +19,51 @@ export const Basin = {
     CENTRALPACIFIC: 3
 };
 
+/**
+ * Display names for basins tracked by NHC
+ * @readonly
+ * @enum {String}
+ */
+export const BasinName = {
+    [Basin.ATLANTIC]: 'Atlantic',
+    [Basin.EASTERNPACIFIC]: 'Eastern Pacific',
+    [Basin.CENTRALPACIFIC]: 'Central Pacific',
+};
+
 /**
  * Gets active cyclones from the given basin's RSS feed
  * @param {Basin} basin 
  * @returns {Cyclone[]}
  */
 export async function getActiveCyclonesInBasinRSSFeed(basin) {
+    return extractCyclonesFromRSSData(await fetchBasinRSSData(basin));
+}
+
+/**
+ * Everything reported in a basin's feed
+ * @typedef {Object} BasinReport
+ * @property {Cyclone[]} cyclones - Active cyclones
+ * @property {?TropicalWeatherOutlook} outlook - The latest Tropical Weather Outlook, null when the feed has none
+ */
+
+/**
+ * Gets the active cyclones and the Tropical Weather Outlook from the given basin's RSS feed
+ * @param {Basin} basin 
+ * @returns {BasinReport}
+ */
+export async function getBasinReportInRSSFeed(basin) {
+    const rssData = await fetchBasinRSSData(basin);
+    return {
+        cyclones: extractCyclonesFromRSSData(rssData),
+        outlook: extractOutlookFromRSSData(rssData),
+    };
+}
+
+/**
+ * @param {Basin} basin 
+ * @returns {Object} XMLParser object of the rss document root
+ */
+async function fetchBasinRSSData(basin) {
     let rssLink;
     if (basin === Basin.ATLANTIC) {
         rssLink = 'https://www.nhc.noaa.gov/index-at.xml';
@@ -27,6 +71,8 @@ export async function getActiveCyclonesInBasinRSSFeed(basin) {
         rssLink = 'https://www.nhc.noaa.gov/index-cp.xml';
     } else if (basin === Basin.EASTERNPACIFIC) {
         rssLink = 'https://www.nhc.noaa.gov/index-ep.xml'
+    } else {
+        throw new Error(`Unknown basin '${basin}'`);
     }
 
     const resp = await fetch(rssLink, {
@@ -36,12 +82,16 @@ export async function getActiveCyclonesInBasinRSSFeed(basin) {
         method: 'get'
     });
 
+    if (resp.status !== 200) {
+        throw new Error(`Unable to retrieve RSS feed. Unexpected status ${resp.status} ${resp.statusText}.`);
+    }
+
     let parsedXML = parseXMLData(await resp.text());
     if (!parsedXML.rss) {
         throw new Error(`Unable to find root of rss document from RSS feed`);
     }
 
-    return extractCyclonesFromRSSData(parsedXML.rss);
+    return parsedXML.rss;
 }
 
 function parseXMLData(xmlData) {
@@ -51,7 +101,9 @@ function parseXMLData(xmlData) {
 
 /**
  * @typedef {Object} Cyclone
- * @property {String} center
+ * @property {String} center - Position of the center as "latitude, longitude" (e.g. "29.2, -84.1")
+ * @property {?Number} latitude - Latitude of the center in degrees, parsed from center
+ * @property {?Number} longitude - Longitude of the center in degrees (negative west), parsed from center
  * @property {String} updateGuid - The guid of the summary update for this cyclone (usually includes datetime information)
  * @property {String} type - Type of storm (e.g. Tropical Depression, Hurricane)
  * @property {String} name - The current name given to the system by the NHC (e.g. 'Two-E', 'Katrina')
@@ -59,12 +111,20 @@ function parseXMLData(xmlData) {
  * @property {String} seasonWallet - An identifier for the archive of an active storm within a season. (e.g. AT08)
  * @property {String} atcf - The unique identifier given to a system by the NHC for all of its lifetime. (e.g. AL082023)
  * @property {String} datetime
- * @property {String} movement
+ * @property {String} movement - e.g. "NNE at 18 mph"
+ * @property {?Number} movementHeading - Direction the cyclone is moving toward in degrees clockwise from north, parsed from movement
+ * @property {?Number} movementSpeedMph - Parsed from movement. 0 when stationary
  * @property {String} pressure
  * @property {String} wind
+ * @property {?Number} windMph - Maximum sustained wind in mph, parsed from wind
+ * @property {?Number} pressureMb - Minimum central pressure in mb, parsed from pressure
  * @property {String} headline
  * @property {Number} hurricaneCategory - The 1 to 5 rating of the cyclone on the Saffir-Simpson Hurrican Wind Scale. Is 0 when the cyclone is not a hurricane.
  * @property {String} advisoryPubDate - The publication date for the NHC "Public Advisory" of the cyclone. This is typically updated together with the cyclone's graphic.
+ * @property {?String} advisoryNumber - Number of the cyclone's latest "Public Advisory", suffixed with a letter for intermediate advisories (e.g. "16", "16A")
+ * @property {?PublicAdvisory} publicAdvisory - Structured sections of the cyclone's latest "Public Advisory" text
+ * @property {?ForecastAdvisory} forecastAdvisory - Forecast track and intensity from the cyclone's latest "Forecast/Advisory"
+ * @property {?Basin} basin - The basin whose feed the cyclone was found in. Set by the caller, since a storm may cross basins while keeping its ATCF ID.
  */
 
 /**
@@ -73,9 +133,10 @@ function parseXMLData(xmlData) {
  */
 function extractCyclonesFromRSSData(rssData) {
     let foundCyclones = [];
+    let items = [].concat(rssData.channel?.item ?? []); // quiet feeds may have a single item or none
 
     // find cyclones among channel items
-    rssData.channel.item.forEach(item => {
+    items.forEach(item => {
         if (item.hasOwnProperty('nhc:Cyclone') === false) {
             return; // skip items without cyclone data
         }
@@ -115,15 +176,28 @@ function extractCyclonesFromRSSData(rssData) {
             }
         }
 
+        // add numeric intensity properties (e.g. "130 mph" -> 130)
+        cyclone.windMph = parseLeadingNumber(cyclone.wind);
+        cyclone.pressureMb = parseLeadingNumber(cyclone.pressure);
+
+        // add numeric position and movement properties (e.g. "29.2, -84.1", "NNE at 18 mph")
+        const [latitude, longitude] = String(cyclone.center ?? '').split(',').map((coordinate) => parseFloat(coordinate));
+        cyclone.latitude = Number.isFinite(latitude) ? latitude : null;
+        cyclone.longitude = Number.isFinite(longitude) ? longitude : null;
+        const movementMatch = String(cyclone.movement ?? '').match(/^\s*([NESW]{1,3}) at (\d+) mph/i);
+        if (movementMatch) {
+            cyclone.movementHeading = fromCompassPoint(movementMatch[1]);
+            cyclone.movementSpeedMph = Number(movementMatch[2]);
+        } else {
+            cyclone.movementHeading = null;
+            cyclone.movementSpeedMph = /stationary/i.test(cyclone.movement) ? 0 : null;
+        }
+
         // Add hurricane category property based on Saffir-Simpson Hurricane Wind Scale
         if (cyclone.hasOwnProperty('wind') && cyclone.hasOwnProperty('type')) {
             cyclone.hurricaneCategory = 0;
             if (cyclone.type.toLowerCase() === 'hurricane') {
-                let windMPH = 0;
-                try {
-                    windMPH = Number(cyclone.wind.match(/\d+/)[0]);
-                } catch (error) {}
-
+                let windMPH = cyclone.windMph ?? 0;
                 if (windMPH > 156) {
                     cyclone.hurricaneCategory = 5;
                 } else if (windMPH > 129) {
@@ -142,22 +216,362 @@ function extractCyclonesFromRSSData(rssData) {
         foundCyclones.push(cyclone);
     });
 
-    // search through channel items once more to find public advisory data for the found cyclones
-    if (foundCyclones.length > 0) {
-        const publicAdvisoryReg = new RegExp(`public advisory`, 'i');
-        rssData.channel.item.forEach(item => {
-            if (publicAdvisoryReg.test(item.title)) {
-                foundCyclones.forEach(cyclone => {
-                    let titleIncludesCycloneName = new RegExp(`${cyclone.name}`, 'i').test(item.title);
-                    if (titleIncludesCycloneName) {
-                        cyclone.advisoryPubDate = new Date(item.pubDate).toISOString();
-                    }
-                });
+    // search through channel items once more to find public and forecast advisory data for the found cyclones. Items are
+    // matched by the storm identifiers in their links and guids rather than by name, since a storm's name changes when
+    // it is named and one storm's name may be part of another's
+    items.forEach(item => {
+        const advisoryProduct = getAdvisoryProduct(item);
+        if (advisoryProduct == null) {
+            return;
+        }
+
+        const cyclone = foundCyclones.find((cyclone) => isAdvisoryItemOfCyclone(item, cyclone));
+        if (cyclone == null) {
+            return;
+        }
+
+        if (advisoryProduct === AdvisoryProduct.PUBLIC) {
+            cyclone.advisoryPubDate = new Date(item.pubDate).toISOString();
+            cyclone.advisoryNumber = String(item.title).match(/advisory number\s+(\d+[A-Z]?)\b/i)?.[1].toUpperCase() ?? null;
+            if (item.description) {
+                cyclone.publicAdvisory = parsePublicAdvisoryText(item.description);
+            }
+        } else if (item.description) {
+            cyclone.forecastAdvisory = parseForecastAdvisoryText(item.description);
+        }
+    });
+
+    return foundCyclones;
+}
+
+/**
+ * Advisory products of a storm found in the feed
+ * @readonly
+ * @enum {String}
+ */
+const AdvisoryProduct = {
+    PUBLIC: 'public',
+    FORECAST: 'forecast',
+};
+
+/**
+ * AWIPS identifier of a storm's advisory product, found in the links of advisory items (e.g. "MIATCPAT5" for the
+ * public advisory of the storm in wallet AT5, "HFOTCMCP1" for a Central Pacific forecast advisory)
+ */
+const ADVISORY_PRODUCT_ID_REGEX = /(?:MIA|HFO)TC([PM])(AT|EP|CP)(\d)\b/i;
+
+/**
+ * e.g. AL102023
+ */
+const ATCF_ID_REGEX = /\b(?:AL|EP|CP)\d{6}\b/i;
+
+/**
+ * Identifies an item as a storm's public advisory (full or intermediate) or forecast advisory, by the product identifier
+ * in its link, or by its title when the link has none
+ * @param {Object} item - XMLParser object of an RSS item
+ * @returns {?AdvisoryProduct} null when the item is another product
+ */
+function getAdvisoryProduct(item) {
+    const productMatch = `${item.link ?? ''} ${item.guid ?? ''}`.match(ADVISORY_PRODUCT_ID_REGEX);
+    if (productMatch) {
+        return productMatch[1].toUpperCase() === 'P' ? AdvisoryProduct.PUBLIC : AdvisoryProduct.FORECAST;
+    } else if (/(public|intermediate) advisory/i.test(item.title)) {
+        return AdvisoryProduct.PUBLIC;
+    } else if (/forecast(\/| )advisory/i.test(item.title)) {
+        return AdvisoryProduct.FORECAST;
+    }
+
+    return null;
+}
+
+/**
+ * Matches an advisory item to a cyclone by the ATCF ID or the wallet in the item's link or guid. Items without either
+ * are matched by the cyclone's type and name starting their title (e.g. "Hurricane Idalia Public Advisory Number 16")
+ * @param {Object} item - XMLParser object of an RSS item
+ * @param {Cyclone} cyclone 
+ * @returns {Boolean}
+ */
+function isAdvisoryItemOfCyclone(item, cyclone) {
+    const itemIds = `${item.link ?? ''} ${item.guid ?? ''}`;
+    const atcfMatch = itemIds.match(ATCF_ID_REGEX);
+    if (atcfMatch) {
+        return atcfMatch[0].toUpperCase() === cyclone.atcf?.toUpperCase();
+    }
+
+    const productMatch = itemIds.match(ADVISORY_PRODUCT_ID_REGEX);
+    if (productMatch) {
+        return `${productMatch[2].toUpperCase()}0${productMatch[3]}` === cyclone.wallet;
+    }
+
+    return String(item.title).toLowerCase().startsWith(`${cyclone.type} ${cyclone.name} `.toLowerCase());
+}
+
+/**
+ * Whether the cyclone's latest public advisory is an intermediate advisory (e.g. "16A"), which updates the storm's
+ * position and intensity between full advisories without a new forecast
+ * @param {Cyclone} cyclone 
+ * @returns {Boolean}
+ */
+export function isIntermediateAdvisory(cyclone) {
+    return /^\d+[A-Z]$/i.test(cyclone.advisoryNumber ?? '');
+}
+
+/**
+ * A watch or warning in effect and the areas it covers
+ * @typedef {Object} WatchWarning
+ * @property {String} type - e.g. "Hurricane Warning", "Storm Surge Watch"
+ * @property {String[]} areas - e.g. "Tampa Bay"
+ */
+
+/**
+ * Structured sections of an NHC "Public Advisory" (TCP) product
+ * @typedef {Object} PublicAdvisory
+ * @property {String[]} headlines - e.g. "IDALIA STRENGTHENS TO CATEGORY 4 HURRICANE"
+ * @property {Object<String, String>} summary - Summary block lines keyed in camel case (e.g. location, maximumSustainedWinds)
+ * @property {String[]} changes - Paragraphs of the "changes with this advisory" section. Empty when there are none
+ * @property {WatchWarning[]} watchesAndWarnings - Watches and warnings in effect
+ * @property {Object<String, String>} hazards - Hazards affecting land keyed in camel case (e.g. stormSurge, rainfall, wind)
+ */
+
+/**
+ * Parses the text of an NHC "Public Advisory" into its sections. Sections missing from the text are left empty
+ * @param {String} advisoryText - Advisory text, may be wrapped in HTML (e.g. <pre>) as found in RSS item descriptions
+ * @returns {PublicAdvisory}
+ */
+export function parsePublicAdvisoryText(advisoryText) {
+    const text = stripProductHTML(advisoryText);
+
+    // sections are headed by a title underlined with dashes
+    const sectionHeaderReg = /^(.+)\n-{3,}[ \t]*$/gm;
+    let sections = new Map();
+    let headerMatches = Array.from(text.matchAll(sectionHeaderReg));
+    headerMatches.forEach((match, i) => {
+        const bodyStart = match.index + match[0].length;
+        const bodyEnd = (i + 1 < headerMatches.length) ? headerMatches[i + 1].index : text.length;
+        sections.set(match[1].trim().toUpperCase(), text.substring(bodyStart, bodyEnd).trim());
+    });
+    const preamble = headerMatches.length > 0 ? text.substring(0, headerMatches[0].index) : text;
+    const findSection = (prefix) => {
+        for (const [header, body] of sections) {
+            if (header.startsWith(prefix)) {
+                return body;
+            }
+        }
+        return '';
+    };
+
+    let advisory = {
+        headlines: [],
+        summary: {},
+        changes: [],
+        watchesAndWarnings: [],
+        hazards: {},
+    };
+
+    // headlines are paragraphs wrapped in ellipses (e.g. "...IDALIA STRENGTHENS...")
+    splitParagraphs(preamble).filter((paragraph) => paragraph.startsWith('...')).forEach((paragraph) => {
+        paragraph.split(/\.\.\.\s*\.\.\./).forEach((headline) => {
+            headline = headline.replace(/^\.+|\.+$/g, '').trim();
+            if (headline) {
+                advisory.headlines.push(headline);
             }
         });
+    });
+
+    findSection('SUMMARY OF').split('\n').forEach((line) => {
+        line = line.trim();
+        if (line.startsWith('ABOUT ')) {
+            advisory.summary.distance = line; // e.g. "ABOUT 55 MI...90 KM WSW OF CEDAR KEY FLORIDA"
+        } else if (line.includes('...')) {
+            const separatorIndex = line.indexOf('...');
+            advisory.summary[toCamelCase(line.substring(0, separatorIndex))] = line.substring(separatorIndex + 3).trim();
+        }
+    });
+
+    const watchesAndWarningsText = findSection('WATCHES AND WARNINGS');
+    const changesMatch = watchesAndWarningsText.match(/CHANGES WITH THIS ADVISORY:([\s\S]*?)(?=SUMMARY OF WATCHES AND WARNINGS IN EFFECT:|$)/i);
+    if (changesMatch) {
+        advisory.changes = splitParagraphs(changesMatch[1]).filter((paragraph) => !/^none\.?$/i.test(paragraph));
     }
+    const inEffectMatch = watchesAndWarningsText.match(/SUMMARY OF WATCHES AND WARNINGS IN EFFECT:([\s\S]*)/i);
+    if (inEffectMatch) {
+        inEffectMatch[1].split(/\n\s*\n/).forEach((block) => {
+            const typeMatch = block.trim().match(/^An? (.+?) (?:is|are) in effect for\.\.\.\s*([\s\S]*)$/i);
+            if (!typeMatch) {
+                return; // general guidance paragraph
+            }
 
-    return foundCyclones;
+            let areas = [];
+            typeMatch[2].split('\n').forEach((line) => {
+                line = line.trim();
+                if (line.startsWith('*')) {
+                    areas.push(line.substring(1).trim());
+                } else if (line && areas.length > 0) {
+                    areas[areas.length - 1] += ` ${line}`; // wrapped area line
+                }
+            });
+            advisory.watchesAndWarnings.push({ type: typeMatch[1], areas });
+        });
+    }
+
+    // hazards start with an uppercase label (e.g. "STORM SURGE:  ..."), unlabeled paragraphs continue the previous hazard
+    let lastHazardName = null;
+    splitParagraphs(findSection('HAZARDS AFFECTING')).forEach((paragraph) => {
+        const hazardMatch = paragraph.match(/^([A-Z][A-Z ]+):\s+([\s\S]*)$/);
+        if (hazardMatch) {
+            lastHazardName = toCamelCase(hazardMatch[1]);
+            advisory.hazards[lastHazardName] = hazardMatch[2];
+        } else if (lastHazardName) {
+            advisory.hazards[lastHazardName] += `\n${paragraph}`;
+        }
+    });
+
+    return advisory;
+}
+
+/**
+ * Radii of a wind speed threshold in each quadrant, in nautical miles. 0 when the threshold is not reached in a quadrant
+ * @typedef {Object} WindRadii
+ * @property {Number} windKt - Threshold wind speed (34, 50 or 64 kt)
+ * @property {Number} northeast
+ * @property {Number} southeast
+ * @property {Number} southwest
+ * @property {Number} northwest
+ */
+
+/**
+ * A forecast position and intensity of a cyclone
+ * @typedef {Object} ForecastPoint
+ * @property {String} validTime - An ISO8061 UTC String
+ * @property {Number} forecastHour - Hours after the advisory's initial time (e.g. 12, 24, ..., 120)
+ * @property {?Number} latitude - Degrees. null when the cyclone is forecast to have dissipated
+ * @property {?Number} longitude - Degrees (negative west). null when the cyclone is forecast to have dissipated
+ * @property {?Number} maxWindKt - Maximum sustained wind in knots
+ * @property {?Number} maxWindMph - Maximum sustained wind in mph, rounded to the nearest 5 mph like NHC products
+ * @property {?Number} gustsKt
+ * @property {WindRadii[]} windRadii - From the strongest threshold to the weakest
+ * @property {?String} status - Qualifier of the forecast position (e.g. "INLAND", "POST-TROP/EXTRATROP", "DISSIPATED")
+ * @property {Boolean} isOutlook - Whether the point is part of the less certain extended outlook (days 4 and 5)
+ */
+
+/**
+ * Structured forecast of an NHC "Forecast/Advisory" (TCM) product
+ * @typedef {Object} ForecastAdvisory
+ * @property {?Number} advisoryNumber
+ * @property {?String} issuedTime - An ISO8061 UTC String
+ * @property {?String} initialTime - Synoptic time of the center position the forecast starts from. An ISO8061 UTC String
+ * @property {ForecastPoint[]} forecastPoints - In chronological order
+ */
+
+/**
+ * Parses the forecast positions and intensities of an NHC "Forecast/Advisory"
+ * @param {String} advisoryText - Advisory text, may be wrapped in HTML (e.g. <pre>) as found in RSS item descriptions
+ * @returns {ForecastAdvisory}
+ */
+export function parseForecastAdvisoryText(advisoryText) {
+    const text = stripProductHTML(advisoryText).toUpperCase();
+    const advisoryNumberMatch = text.match(/FORECAST\/ADVISORY NUMBER\s+(\d+)/);
+    const issuedMatch = text.match(/^(\d{1,2})(\d{2}) UTC \w{3} (\w{3}) (\d{1,2}) (\d{4})\s*$/m);
+    const issuedDate = issuedMatch
+        ? new Date(Date.UTC(Number(issuedMatch[5]), MONTH_ABBREVIATIONS.indexOf(issuedMatch[3]), Number(issuedMatch[4]), Number(issuedMatch[1]), Number(issuedMatch[2])))
+        : null;
+    // forecast hours count from the synoptic time (e.g. 0600Z for an advisory issued at 0900Z)
+    const initialMatch = text.match(/AT (\d{2}\/\d{4}Z) CENTER WAS LOCATED NEAR/) ?? text.match(/CENTER LOCATED NEAR .+? AT (\d{2}\/\d{4}Z)/);
+    const initialTime = (issuedDate && initialMatch) ? resolveProductTime(initialMatch[1], issuedDate) : null;
+
+    // forecast blocks start with "FORECAST VALID" (or "OUTLOOK VALID") and end at the next blank line
+    let forecastPoints = [];
+    const blockReg = /^(FORECAST|OUTLOOK) VALID (\d{2}\/\d{4}Z)(.*)$((?:\n.+)*)/gm;
+    for (const blockMatch of text.matchAll(blockReg)) {
+        const [, blockType, validTimeText, positionText, body] = blockMatch;
+        const validTime = issuedDate ? resolveProductTime(validTimeText, issuedDate) : null;
+        const positionMatch = positionText.match(/(\d+(?:\.\d+)?)([NS])\s+(\d+(?:\.\d+)?)([EW])/);
+        const statusMatch = positionText.match(/\.\.\.\s*(\S.*?)\s*$/);
+        const windMatch = body.match(/MAX WIND\s+(\d+) KT\.\.\.GUSTS\s+(\d+) KT/);
+
+        let windRadii = [];
+        for (const radiiMatch of body.matchAll(/^(\d+) KT\.+\s*(\d+)NE\s+(\d+)SE\s+(\d+)SW\s+(\d+)NW/gm)) {
+            windRadii.push({
+                windKt: Number(radiiMatch[1]),
+                northeast: Number(radiiMatch[2]),
+                southeast: Number(radiiMatch[3]),
+                southwest: Number(radiiMatch[4]),
+                northwest: Number(radiiMatch[5]),
+            });
+        }
+
+        const maxWindKt = windMatch ? Number(windMatch[1]) : null;
+        forecastPoints.push({
+            validTime: validTime?.toISOString() ?? null,
+            forecastHour: (validTime && initialTime) ? Math.round((validTime - initialTime) / 3600000) : null,
+            latitude: positionMatch ? Number(positionMatch[1]) * (positionMatch[2] === 'S' ? -1 : 1) : null,
+            longitude: positionMatch ? Number(positionMatch[3]) * (positionMatch[4] === 'W' ? -1 : 1) : null,
+            maxWindKt,
+            maxWindMph: maxWindKt != null ? Math.round(maxWindKt * MPH_PER_KNOT / 5) * 5 : null,
+            gustsKt: windMatch ? Number(windMatch[2]) : null,
+            windRadii,
+            status: statusMatch ? statusMatch[1] : null,
+            isOutlook: blockType === 'OUTLOOK',
+        });
+    }
+
+    return {
+        advisoryNumber: advisoryNumberMatch ? Number(advisoryNumberMatch[1]) : null,
+        issuedTime: issuedDate?.toISOString() ?? null,
+        initialTime: initialTime?.toISOString() ?? null,
+        forecastPoints,
+    };
+}
+
+/**
+ * Resolves a "day/hour" product time (e.g. "31/0600Z") to a date, which may fall in the month after the issuance date
+ * @param {String} dayTimeText - e.g. "31/0600Z"
+ * @param {Date} issuedDate
+ * @returns {Date}
+ */
+function resolveProductTime(dayTimeText, issuedDate) {
+    const [, day, hours, minutes] = dayTimeText.match(/(\d{2})\/(\d{2})(\d{2})Z/).map(Number);
+    let month = issuedDate.getUTCMonth();
+    if (day < issuedDate.getUTCDate() - 15) {
+        month++; // e.g. a forecast valid on the 1st from an advisory issued on the 30th
+    }
+
+    return new Date(Date.UTC(issuedDate.getUTCFullYear(), month, day, hours, minutes));
+}
+
+/**
+ * Removes the HTML wrapping (e.g. <pre>) of product text found in RSS item descriptions
+ * @param {String} productText 
+ * @returns {String}
+ */
+function stripProductHTML(productText) {
+    return String(productText)
+        .replace(/<[^>]+>/g, '')
+        .replace(/&amp;/g, '&')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/\r\n/g, '\n');
+}
+
+/**
+ * e.g. "130 mph" -> 130
+ * @param {?String} str 
+ * @returns {?Number} null when the string has no number
+ */
+function parseLeadingNumber(str) {
+    const numberMatch = String(str ?? '').match(/\d+(\.\d+)?/);
+    return numberMatch ? Number(numberMatch[0]) : null;
+}
+
+/**
+ * Splits text into paragraphs separated by blank lines. Lines within a paragraph are joined with a space
+ * @param {String} text 
+ * @returns {String[]}
+ */
+function splitParagraphs(text) {
+    return text.split(/\n\s*\n/)
+        .map((paragraph) => paragraph.split('\n').map((line) => line.trim()).join(' ').trim())
+        .filter((paragraph) => paragraph.length > 0);
 }
 
 /**
@@ -166,6 +580,36 @@ function extractCyclonesFromRSSData(rssData) {
  * @returns {Cyclone[]}
  */
 export async function getActiveCyclonesInBasinFile(filename) {
+    return extractCyclonesFromRSSData(await readRSSDataFile(filename));
+}
+
+/**
+ * Gets the active cyclones and the Tropical Weather Outlook from an XML file
+ * @param {String} filename 
+ * @returns {BasinReport}
+ */
+export async function getBasinReportInFile(filename) {
+    const rssData = await readRSSDataFile(filename);
+    return {
+        cyclones: extractCyclonesFromRSSData(rssData),
+        outlook: extractOutlookFromRSSData(rssData),
+    };
+}
+
+/**
+ * Parses a "Forecast/Advisory" product saved to a text file
+ * @param {String} filename 
+ * @returns {ForecastAdvisory}
+ */
+export async function getForecastAdvisoryInFile(filename) {
+    return parseForecastAdvisoryText(await readFile(filename, 'utf8'));
+}
+
+/**
+ * @param {String} filename 
+ * @returns {Object} XMLParser object of the rss document root
+ */
+async function readRSSDataFile(filename) {
     // read rss data from file
     let rawXML = await readFile(filename);
     let parsedXML = parseXMLData(rawXML);
@@ -173,9 +617,152 @@ export async function getActiveCyclonesInBasinFile(filename) {
         throw new Error(`Unable to find root of rss document from file`);
     }
 
-    return extractCyclonesFromRSSData(parsedXML.rss);
+    return parsedXML.rss;
 }
 
+/**
+ * The chance of a disturbance becoming a tropical cyclone within a period
+ * @typedef {Object} FormationChance
+ * @property {Number} percent - e.g. 60
+ * @property {String} level - low, medium or high
+ */
+
+/**
+ * An area of disturbed weather being monitored for tropical cyclone formation
+ * @typedef {Object} Disturbance
+ * @property {Number} number - Position of the disturbance in the outlook
+ * @property {String} location - e.g. "Eastern Tropical Atlantic"
+ * @property {?String} invest - Invest ID when designated (e.g. AL98)
+ * @property {String} description
+ * @property {?FormationChance} formationChance48Hour
+ * @property {?FormationChance} formationChance7Day
+ * @property {?Basin} basin - The basin whose feed the disturbance was found in. Set by the caller.
+ */
+
+/**
+ * @typedef {Object} TropicalWeatherOutlook
+ * @property {String} pubDate - The publication date of the outlook. An ISO8061 UTC String
+ * @property {Disturbance[]} disturbances
+ */
+
+/**
+ * @param {Object} rssData XMLParser object
+ * @returns {?TropicalWeatherOutlook}
+ */
+function extractOutlookFromRSSData(rssData) {
+    let items = [].concat(rssData.channel?.item ?? []);
+    const outlookItem = items.find((item) => /tropical weather outlook/i.test(item.title) && item.description);
+    if (outlookItem == null) {
+        return null;
+    }
+
+    return {
+        pubDate: new Date(outlookItem.pubDate).toISOString(),
+        disturbances: parseTropicalWeatherOutlookText(outlookItem.description),
+    };
+}
+
+/**
+ * Parses the numbered disturbances of an NHC "Tropical Weather Outlook" (TWO) product
+ * @param {String} outlookText - Outlook text, may be wrapped in HTML as found in RSS item descriptions
+ * @returns {Disturbance[]}
+ */
+export function parseTropicalWeatherOutlookText(outlookText) {
+    const text = stripProductHTML(outlookText).split(/^(&&|\$\$)/m)[0];
+
+    // disturbances are headed by a numbered line (e.g. "1. Eastern Tropical Atlantic (AL98):")
+    const headingReg = /^(\d+)\.\s+(.+?):?[ \t]*$/gm;
+    let headingMatches = Array.from(text.matchAll(headingReg));
+    return headingMatches.map((match, i) => {
+        const bodyStart = match.index + match[0].length;
+        const bodyEnd = (i + 1 < headingMatches.length) ? headingMatches[i + 1].index : text.length;
+        const body = text.substring(bodyStart, bodyEnd);
+
+        let location = match[2].trim();
+        let invest = null;
+        const investMatch = location.match(/^(.*?)\s*\(([A-Z]{2}\d{2})\)$/);
+        if (investMatch) {
+            location = investMatch[1];
+            invest = investMatch[2];
+        }
+
+        return {
+            number: Number(match[1]),
+            location,
+            invest,
+            description: splitParagraphs(body.replace(/^\s*\*.*$/gm, '')).join('\n'),
+            formationChance48Hour: parseFormationChance(body, '48 hours'),
+            formationChance7Day: parseFormationChance(body, '7 days'),
+        };
+    });
+}
+
+/**
+ * e.g. "* Formation chance through 48 hours...medium...60 percent." -> { percent: 60, level: 'medium' }
+ * @param {String} text 
+ * @param {String} period - e.g. "48 hours"
+ * @returns {?FormationChance}
+ */
+function parseFormationChance(text, period) {
+    const chanceReg = new RegExp(`formation chance through ${period}\\.\\.\\.(\\w+)\\.\\.\\.(?:near )?(\\d+) percent`, 'i');
+    const chanceMatch = text.replace(/\s+/g, ' ').match(chanceReg);
+    if (!chanceMatch) {
+        return null;
+    }
+
+    return {
+        percent: Number(chanceMatch[2]),
+        level: chanceMatch[1].toLowerCase(),
+    };
+}
+
+/**
+ * Graphics the NHC publishes for a storm. Not every graphic is published for every storm (e.g. peak storm surge is only
+ * published for storms threatening the U.S. coast)
+ * @readonly
+ * @enum {String}
+ */
+export const StormGraphic = {
+    CONE_3DAY: 'cone3day',
+    CONE_5DAY: 'cone5day',
+    WIND_PROBABILITIES_34KT: 'windProbabilities34kt',
+    WIND_PROBABILITIES_64KT: 'windProbabilities64kt',
+    ARRIVAL_TIME_EARLIEST: 'arrivalTimeEarliest',
+    ARRIVAL_TIME_MOST_LIKELY: 'arrivalTimeMostLikely',
+    KEY_MESSAGES: 'keyMessages',
+    PEAK_STORM_SURGE: 'peakStormSurge',
+};
+
+/**
+ * Display names for storm graphics
+ * @readonly
+ * @enum {String}
+ */
+export const StormGraphicName = {
+    [StormGraphic.CONE_3DAY]: '3-Day Cone',
+    [StormGraphic.CONE_5DAY]: '5-Day Cone',
+    [StormGraphic.WIND_PROBABILITIES_34KT]: 'Tropical-Storm-Force Wind Speed Probabilities',
+    [StormGraphic.WIND_PROBABILITIES_64KT]: 'Hurricane-Force Wind Speed Probabilities',
+    [StormGraphic.ARRIVAL_TIME_EARLIEST]: 'Earliest Reasonable Arrival Time of Tropical-Storm-Force Winds',
+    [StormGraphic.ARRIVAL_TIME_MOST_LIKELY]: 'Most Likely Arrival Time of Tropical-Storm-Force Winds',
+    [StormGraphic.KEY_MESSAGES]: 'Key Messages',
+    [StormGraphic.PEAK_STORM_SURGE]: 'Peak Storm Surge',
+};
+
+/**
+ * File name of each storm graphic in the storm's archive, following the ATCF ID
+ */
+const STORM_GRAPHIC_FILENAME_SUFFIXES = {
+    [StormGraphic.CONE_3DAY]: '_3day_cone_with_line_and_wind.png',
+    [StormGraphic.CONE_5DAY]: '_5day_cone_with_line_and_wind.png',
+    [StormGraphic.WIND_PROBABILITIES_34KT]: '_PROB34_F120_sm2.png',
+    [StormGraphic.WIND_PROBABILITIES_64KT]: '_PROB64_F120_sm2.png',
+    [StormGraphic.ARRIVAL_TIME_EARLIEST]: '_earliest_reasonable_toa_34_sm2.png',
+    [StormGraphic.ARRIVAL_TIME_MOST_LIKELY]: '_most_likely_toa_34_sm2.png',
+    [StormGraphic.KEY_MESSAGES]: '_key_messages.png',
+    [StormGraphic.PEAK_STORM_SURGE]: '_peak_surge.png',
+};
+
 /**
  * Obtains the latest cyclone cone graphic from NHC's archives for a specific storm
  * @param {String} cycloneWalletId 
@@ -183,19 +770,96 @@ export async function getActiveCyclonesInBasinFile(filename) {
  * @returns {Blob}
  */
 export async function getCycloneConeImageData(cycloneWalletId, cycloneAtcfId) {
-    const resp = await fetch(getCycloneConeImageLink(cycloneWalletId, cycloneAtcfId), {
+    const imgBlob = await getStormGraphicData(cycloneWalletId, cycloneAtcfId, StormGraphic.CONE_5DAY);
+    if (imgBlob == null) {
+        throw new Error(`Unable to retrieve cyclone cone image`);
+    }
+
+    return imgBlob;
+}
+
+/**
+ * Obtains the latest version of one of a storm's graphics from NHC's archives
+ * @param {String} cycloneSeasonWalletId 
+ * @param {String} cycloneAtcfId 
+ * @param {StormGraphic} graphic 
+ * @returns {?Blob} null when the NHC has not published the graphic for the storm
+ * @throws {Error} when the graphic could not be retrieved for another reason
+ */
+export async function getStormGraphicData(cycloneSeasonWalletId, cycloneAtcfId, graphic) {
+    const resp = await fetch(getStormGraphicLink(cycloneSeasonWalletId, cycloneAtcfId, graphic), {
         headers: {
             'User-Agent': USER_AGENT,
         },
         method: 'get'
     });
 
-    if (resp.status !== 200) {
-        throw new Error(`Unable to retrieve cyclone cone image`);
+    if (resp.status === 404) {
+        return null;
+    } else if (resp.status !== 200) {
+        throw new Error(`Unable to retrieve ${StormGraphicName[graphic]} graphic. Status: ${resp.status}`);
     }
-    let imgBlob = await resp.blob();
 
-    return imgBlob;
+    return await resp.blob();
+}
+
+/**
+ * Identifies a version of one of a storm's graphics, which the NHC regenerates with each advisory
+ * @typedef {Object} StormGraphicVersion
+ * @property {String} hash - SHA-256 hash of the image, hex encoded
+ * @property {?String} etag - ETag header the image was served with
+ * @property {?String} lastModified - Last-Modified header the image was served with
+ */
+
+/**
+ * One of a storm's graphics as the NHC currently serves it
+ * @typedef {Object} ModifiedStormGraphic
+ * @property {StormGraphicVersion} version
+ * @property {?Blob} blobData - The image the version was taken from. null when it was not modified since the known version
+ */
+
+/**
+ * Obtains the version of one of a storm's graphics the NHC currently serves, along with the image. When a known version
+ * is given, the image is only downloaded again if the NHC reports it was modified since (by its ETag or Last-Modified date)
+ * @param {String} cycloneSeasonWalletId 
+ * @param {String} cycloneAtcfId 
+ * @param {StormGraphic} graphic 
+ * @param {?StormGraphicVersion} knownVersion 
+ * @returns {?ModifiedStormGraphic} null when the NHC has not published the graphic for the storm
+ * @throws {Error} when the graphic could not be retrieved for another reason
+ */
+export async function getModifiedStormGraphic(cycloneSeasonWalletId, cycloneAtcfId, graphic, knownVersion = null) {
+    let headers = {
+        'User-Agent': USER_AGENT,
+    };
+    if (knownVersion?.etag) {
+        headers['If-None-Match'] = knownVersion.etag;
+    }
+    if (knownVersion?.lastModified) {
+        headers['If-Modified-Since'] = knownVersion.lastModified;
+    }
+    const resp = await fetch(getStormGraphicLink(cycloneSeasonWalletId, cycloneAtcfId, graphic), {
+        headers,
+        method: 'get'
+    });
+
+    if (resp.status === 304) {
+        return { version: knownVersion, blobData: null };
+    } else if (resp.status === 404) {
+        return null;
+    } else if (resp.status !== 200) {
+        throw new Error(`Unable to retrieve ${StormGraphicName[graphic]} graphic. Status: ${resp.status}`);
+    }
+
+    const imgBuffer = Buffer.from(await resp.arrayBuffer());
+    return {
+        version: {
+            hash: createHash('sha256').update(imgBuffer).digest('hex'),
+            etag: resp.headers.get('etag'),
+            lastModified: resp.headers.get('last-modified'),
+        },
+        blobData: new Blob([imgBuffer], { type: resp.headers.get('content-type') ?? 'image/png' }),
+    };
 }
 
 /**
@@ -208,10 +872,52 @@ export async function getCycloneConeImageData(cycloneWalletId, cycloneAtcfId) {
 export function getCycloneConeImageLink(cycloneSeasonWalletId, cycloneAtcfId, coneType='5day') {
     let imageLink;
     if (coneType === '3day') {
-        imageLink = `https://www.nhc.noaa.gov/storm_graphics/${cycloneSeasonWalletId}/${cycloneAtcfId}_3day_cone_with_line_and_wind.png`
+        imageLink = getStormGraphicLink(cycloneSeasonWalletId, cycloneAtcfId, StormGraphic.CONE_3DAY);
     } else if (coneType === '5day') {
-        imageLink = `https://www.nhc.noaa.gov/storm_graphics/${cycloneSeasonWalletId}/${cycloneAtcfId}_5day_cone_with_line_and_wind.png`;
+        imageLink = getStormGraphicLink(cycloneSeasonWalletId, cycloneAtcfId, StormGraphic.CONE_5DAY);
     }
 
     return imageLink;
 }
+
+/**
+ * Obtains the image link to one of a storm's graphics in NHC's archives
+ * @param {String} cycloneSeasonWalletId - e.g. AT10
+ * @param {String} cycloneAtcfId - e.g. AL102023
+ * @param {StormGraphic} graphic 
+ * @returns {String}
+ * @throws {Error} when the graphic is unknown
+ */
+export function getStormGraphicLink(cycloneSeasonWalletId, cycloneAtcfId, graphic) {
+    const filenameSuffix = STORM_GRAPHIC_FILENAME_SUFFIXES[graphic];
+    if (filenameSuffix == null) {
+        throw new Error(`Unknown storm graphic "${graphic}". Expected any of: ${Object.values(StormGraphic).join(', ')}`);
+    }
+
+    return `https://www.nhc.noaa.gov/storm_graphics/${cycloneSeasonWalletId}/${cycloneAtcfId}${filenameSuffix}`;
+}
+
+/**
+ * e.g. "29.2, -84.1" -> "29.2°N 84.1°W"
+ * @param {?String} center 
+ * @returns {?String}
+ */
+export function formatCycloneCenter(center) {
+    const [lat, lon] = (center ?? '').split(',').map(Number);
+    if (!Number.isFinite(lat) || !Number.isFinite(lon)) {
+        return center;
+    }
+
+    return `${Math.abs(lat)}°${lat >= 0 ? 'N' : 'S'} ${Math.abs(lon)}°${lon >= 0 ? 'E' : 'W'}`;
+}
+
+/**
+ * Obtains the link to the NHC's graphics page for a specific storm
+ * @param {String} cycloneWalletId - e.g. AT05
+ * @returns {String}
+ */
+export function getCycloneStormPageLink(cycloneWalletId) {
+    const walletBasin = cycloneWalletId.substring(0, 2).toLowerCase();
+    const walletNum = Number(cycloneWalletId.substring(2));
+    return `https://www.nhc.noaa.gov/graphics_${walletBasin}${walletNum}.shtml?cone`;
+}
@@ -0,0 +1,186 @@
+import net from 'node:net';
+import tls from 'node:tls';
+import os from 'node:os';
+
+const SOCKET_TIMEOUT_MS = 30000;
+
+/**
+ * @typedef {Object} SMTPSettings
+ * @property {String} host
+ * @property {?Number} port - Default: 465 when secure, 587 otherwise
+ * @property {?Boolean} secure - Whether to connect over TLS from the start (usually port 465). Otherwise the connection
+ * is upgraded with STARTTLS when the server offers it
+ * @property {?String} username - Leave out for servers that do not require authentication
+ * @property {?String} password
+ * @property {?Boolean} allowInsecureAuth - Whether to authenticate on a connection that is not encrypted, which sends 
+ * the credentials in cleartext. Default: false
+ */
+
+/**
+ * A plain text email
+ * @typedef {Object} Mail
+ * @property {String} from - e.g. "NHC Tracker <tracker@example.com>"
+ * @property {String[]} to - Recipient addresses
+ * @property {String} subject
+ * @property {String} text
+ */
+
+/**
+ * A reply of the SMTP server
+ * @typedef {Object} SMTPResponse
+ * @property {Number} code - e.g. 250
+ * @property {String[]} lines - Text of each line of the reply, without the code
+ */
+
+/**
+ * Sends an email through an SMTP server
+ * @param {SMTPSettings} settings
+ * @param {Mail} mail
+ * @throws {Error} when the server cannot be reached or refuses the email
+ */
+export async function sendMail(settings, mail) {
+    const { host, secure = false, username, password, allowInsecureAuth = false } = settings;
+    const port = settings.port ?? (secure ? 465 : 587);
+    let socket = secure ? tls.connect({ host, port, servername: host }) : net.connect({ host, port });
+    let connection = createSMTPConnection(socket);
+    try {
+        await connection.expect(null, 220);
+        let extensions = (await connection.expect(`EHLO ${os.hostname()}`, 250)).lines;
+        let encrypted = secure;
+        if (!secure && extensions.some((extension) => extension.toUpperCase() === 'STARTTLS')) {
+            await connection.expect('STARTTLS', 220);
+            socket = tls.connect({ socket, servername: host });
+            connection = createSMTPConnection(socket, connection);
+            await connection.expect(`EHLO ${os.hostname()}`, 250);
+            encrypted = true;
+        }
+        if (username && !encrypted && !allowInsecureAuth) {
+            throw new Error(`SMTP server ${host} does not offer STARTTLS, refusing to send credentials in cleartext. Set "secure" for servers that expect TLS from the start, or "allowInsecureAuth" to authenticate anyway`);
+        }
+        if (username) {
+            const credentials = Buffer.from(`\0${username}\0${password ?? ''}`).toString('base64');
+            await connection.expect(`AUTH PLAIN ${credentials}`, 235);
+        }
+
+        await connection.expect(`MAIL FROM:<${getAddress(mail.from)}>`, 250);
+        for (const recipient of mail.to) {
+            await connection.expect(`RCPT TO:<${getAddress(recipient)}>`, 250, 251);
+        }
+        await connection.expect('DATA', 354);
+        await connection.expect(`${buildMessage(mail)}\r\n.`, 250);
+        await connection.expect('QUIT', 221).catch(() => {}); // the email was already accepted
+    } finally {
+        socket.destroy();
+    }
+}
+
+/**
+ * Reads the replies of an SMTP server on a socket
+ * @param {net.Socket} socket
+ * @param {?Object} previousConnection - Connection the socket was upgraded from, whose unread data is dropped
+ * @returns {{expect: (command: ?String, ...expectedCodes: Number) => Promise<SMTPResponse>, detach: () => void}}
+ */
+function createSMTPConnection(socket, previousConnection = null) {
+    previousConnection?.detach();
+    let buffer = '';
+    let responseLines = [];
+    let responses = [];
+    let pendingRead = null;
+    let failure = null;
+
+    const settle = () => {
+        if (pendingRead && (responses.length > 0 || failure)) {
+            const { resolve, reject } = pendingRead;
+            pendingRead = null;
+            responses.length > 0 ? resolve(responses.shift()) : reject(failure);
+        }
+    };
+    const onData = (chunk) => {
+        buffer += chunk.toString('utf8');
+        let newlineIndex;
+        while ((newlineIndex = buffer.indexOf('\n')) >= 0) {
+            const line = buffer.substring(0, newlineIndex).replace(/\r$/, '');
+            buffer = buffer.substring(newlineIndex + 1);
+            responseLines.push(line.substring(4));
+            if (/^\d{3}(?: |$)/.test(line)) { // "250-" continues a reply, "250 " ends it
+                responses.push({ code: Number(line.substring(0, 3)), lines: responseLines });
+                responseLines = [];
+            }
+        }
+        settle();
+    };
+    const onError = (error) => {
+        failure = new Error(`SMTP connection failed. Reason:${error.message}`);
+        settle();
+    };
+    const onClose = () => onError(new Error('Connection closed by the server'));
+    const onTimeout = () => socket.destroy(new Error('Timed out waiting for the server'));
+
+    socket.on('data', onData);
+    socket.on('error', onError);
+    socket.on('close', onClose);
+    socket.setTimeout(SOCKET_TIMEOUT_MS, onTimeout);
+
+    return {
+        /**
+         * Sends a command (if any) and waits for the server's reply
+         * @param {?String} command
+         * @param {...Number} expectedCodes
+         * @returns {SMTPResponse}
+         * @throws {Error} when the reply has another code
+         */
+        async expect(command, ...expectedCodes) {
+            if (command != null) {
+                socket.write(`${command}\r\n`);
+            }
+            const response = await new Promise((resolve, reject) => {
+                pendingRead = { resolve, reject };
+                settle();
+            });
+            if (!expectedCodes.includes(response.code)) {
+                const commandName = command?.split(' ')[0] ?? 'connection';
+                throw new Error(`SMTP server refused ${commandName}. Reply: ${response.code} ${response.lines.join(' ')}`);
+            }
+
+            return response;
+        },
+        detach() {
+            socket.off('data', onData);
+            socket.off('error', onError);
+            socket.off('close', onClose);
+            socket.on('error', () => {}); // errors surface on the socket it was upgraded to
+            socket.setTimeout(0);
+        },
+    };
+}
+
+/**
+ * e.g. "NHC Tracker <tracker@example.com>" -> "tracker@example.com"
+ * @param {String} mailbox
+ * @returns {String}
+ */
+function getAddress(mailbox) {
+    return mailbox.match(/<([^>]+)>/)?.[1] ?? mailbox.trim();
+}
+
+/**
+ * Builds the headers and body of a plain text email. The body is base64 encoded, so that it needs no escaping and
+ * servers without 8-bit support accept it
+ * @param {Mail} mail
+ * @returns {String}
+ */
+function buildMessage(mail) {
+    const encodeHeader = (value) => /^[\x20-\x7E]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value).toString('base64')}?=`;
+    const headers = [
+        `From: ${mail.from}`,
+        `To: ${mail.to.join(', ')}`,
+        `Subject: ${encodeHeader(mail.subject)}`,
+        `Date: ${new Date().toUTCString()}`,
+        'MIME-Version: 1.0',
+        'Content-Type: text/plain; charset=UTF-8',
+        'Content-Transfer-Encoding: base64',
+    ];
+    const body = Buffer.from(mail.text.replace(/\r?\n/g, '\r\n')).toString('base64').match(/.{1,76}/g) ?? [];
+
+    return [...headers, '', ...body].join('\r\n');
+}
@@ -0,0 +1,70 @@
+const KNOTS_PER_MPH = 0.868976;
+const KMH_PER_MPH = 1.609344;
+const INHG_PER_MB = 0.0295300;
+
+/**
+ * @readonly
+ * @enum {String}
+ */
+export const WindUnit = {
+    MPH: 'mph',
+    KT: 'kt',
+    KMH: 'km/h',
+};
+
+/**
+ * @readonly
+ * @enum {String}
+ */
+export const PressureUnit = {
+    MB: 'mb',
+    INHG: 'inHg',
+};
+
+/**
+ * @param {Number} mph
+ * @param {WindUnit} unit
+ * @returns {Number} the speed in the unit, rounded to a whole number
+ */
+export function convertWind(mph, unit) {
+    if (unit === WindUnit.KT) {
+        return Math.round(mph * KNOTS_PER_MPH);
+    } else if (unit === WindUnit.KMH) {
+        return Math.round(mph * KMH_PER_MPH);
+    }
+
+    return Math.round(mph);
+}
+
+/**
+ * @param {Number} mb
+ * @param {PressureUnit} unit
+ * @returns {Number} the pressure in the unit, rounded to two decimals for inHg and a whole number for mb
+ */
+export function convertPressure(mb, unit) {
+    if (unit === PressureUnit.INHG) {
+        return Math.round(mb * INHG_PER_MB * 100) / 100;
+    }
+
+    return Math.round(mb);
+}
+
+/**
+ * e.g. 130, "km/h" -> "209 km/h"
+ * @param {Number} mph
+ * @param {WindUnit} unit
+ * @returns {String}
+ */
+export function formatWind(mph, unit = WindUnit.MPH) {
+    return `${convertWind(mph, unit)} ${unit}`;
+}
+
+/**
+ * e.g. 940, "inHg" -> "27.76 inHg"
+ * @param {Number} mb
+ * @param {PressureUnit} unit
+ * @returns {String}
+ */
+export function formatPressure(mb, unit = PressureUnit.MB) {
+    return unit === PressureUnit.INHG ? `${convertPressure(mb, unit).toFixed(2)} ${unit}` : `${convertPressure(mb, unit)} ${unit}`;
+}
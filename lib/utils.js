@@ -17,6 +17,29 @@ export function toTitleCase(str) {
     });
 }
 
+/**
+ * e.g. "MAXIMUM SUSTAINED WINDS" -> "maximumSustainedWinds"
+ * @param {String} str 
+ * @returns {String}
+ */
+export function toCamelCase(str) {
+    return str.trim().toLowerCase().replace(/[^a-z0-9]+(.)/g, (match, char) => char.toUpperCase());
+}
+
+/**
+ * Shortens a string to at most maxLength characters, marking the cut with an ellipsis
+ * @param {String} str 
+ * @param {Number} maxLength 
+ * @returns {String}
+ */
+export function truncateString(str, maxLength) {
+    if (str.length <= maxLength) {
+        return str;
+    }
+
+    return str.substring(0, maxLength - 1) + '…';
+}
+
 /**
  * Gets an ISO string of the date and time in the local timezone of the system where the process is running
  * @param {?Date} date - Date object. If none supplied defaults to new Date()
@@ -68,4 +91,21 @@ export function addDaysToDate(date, days) {
     let newDate = new Date(date.valueOf());
     newDate.setDate(date.getDate() + days);
     return newDate;
-}
\ No newline at end of file
+}
+
+let simulatedDate = null;
+
+/**
+ * Makes getCurrentDate return the given date instead of the system time, e.g. to replay saved feeds
+ * @param {?Date|String} date - null to go back to the system time
+ */
+export function setSimulatedDate(date) {
+    simulatedDate = date == null ? null : new Date(date);
+}
+
+/**
+ * @returns {Date} the simulated date when one is set (see setSimulatedDate), the system time otherwise
+ */
+export function getCurrentDate() {
+    return simulatedDate ? new Date(simulatedDate.valueOf()) : new Date();
+}
@@ -0,0 +1,48 @@
+import process from 'node:process';
+import { writeFile, copyFile, mkdtemp, rm } from 'fs/promises';
+import { existsSync } from 'fs';
+import { tmpdir } from 'os';
+import { join as pathJoin } from 'path';
+import { PROJECT_ROOT_DIRNAME } from './lib/utils.js';
+
+const KEEP_METADATA_FLAG = '--keep-metadata';
+const args = process.argv.slice(2);
+const keepMetadata = args.includes(KEEP_METADATA_FLAG);
+const [snapshotDirectory, dryRunFilename = pathJoin(PROJECT_ROOT_DIRNAME, 'dry-run.jsonl')] = args.filter((arg) => arg !== KEEP_METADATA_FLAG);
+if (!snapshotDirectory) {
+    console.error(`Usage: node replay.js <saved feeds directory> [dry run file] [${KEEP_METADATA_FLAG}]`);
+    process.exit(1);
+}
+
+// each replay starts from replay-metadata.json (or nothing) in a temporary store, so that it does not depend on what
+// earlier replays saw, unless asked to keep what it sees in replay-metadata.json
+const replayMetadataFilename = pathJoin(PROJECT_ROOT_DIRNAME, 'replay-metadata.json');
+let metadataFilename = replayMetadataFilename;
+let tempDirname = null;
+if (!keepMetadata) {
+    tempDirname = await mkdtemp(pathJoin(tmpdir(), 'nhc-replay-'));
+    metadataFilename = pathJoin(tempDirname, 'metadata.json');
+    if (existsSync(replayMetadataFilename)) {
+        await copyFile(replayMetadataFilename, metadataFilename);
+    }
+}
+
+// env variables override the config, which is loaded along with the tracker, so that replays never reach Discord or
+// the real metadata store
+process.env.DISCORD_DRY_RUN_FILE = dryRunFilename;
+process.env.METADATA_STORE = 'json';
+process.env.METADATA_STORE_PATH = metadataFilename;
+
+const { logger } = await import('./src/log.js');
+const { replaySnapshots } = await import('./src/replay.js');
+try {
+    await writeFile(dryRunFilename, '');
+    await replaySnapshots(snapshotDirectory);
+    logger.info(`Replay finished. Discord requests were recorded to ${dryRunFilename}`);
+} catch (error) {
+    logger.error(error);
+} finally {
+    if (tempDirname) {
+        await rm(tempDirname, { recursive: true, force: true });
+    }
+}
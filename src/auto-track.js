@@ -0,0 +1,160 @@
+import { getGreatCircleDistance } from '../lib/geo.js';
+import * as nhc from '../lib/nhc.js';
+
+/**
+ * Conditions under which a subscription starts tracking a cyclone by itself. Every condition given must hold, so an
+ * empty rule matches any cyclone
+ * @typedef {Object} AutoTrackRule
+ * @property {?String} name - Shown in admin notifications (e.g. "Florida warnings")
+ * @property {?String[]} types - Cyclone types, any of which must match (e.g. "Hurricane", "Tropical Storm")
+ * @property {?String[]} basins - Names of the basins (see nhc.Basin) the cyclone must be in
+ * @property {?Number} minCategory - Lowest hurricane category on the Saffir-Simpson Hurricane Wind Scale
+ * @property {?Number} minWindMph - Lowest maximum sustained wind
+ * @property {?Number} withinMiles - Greatest distance between the cyclone center and any of the subscription's locations
+ * @property {?String[]} warningAreas - Text, any of which a warning area of the cyclone's public advisory must mention (e.g. "Florida")
+ */
+
+/**
+ * A cyclone an auto-track rule matched
+ * @typedef {Object} AutoTrackMatch
+ * @property {nhc.Cyclone} cyclone
+ * @property {AutoTrackRule} rule - The first rule that matched
+ */
+
+/**
+ * Finds the cyclones the subscription's auto-track rules match that it has not tracked yet. Cyclones that were already
+ * auto-tracked once are skipped, so untracking one by hand sticks
+ * @param {Subscription} subscription
+ * @param {nhc.Cyclone[]} cycloneData - Cyclones the subscription accepts
+ * @returns {AutoTrackMatch[]}
+ */
+export function findAutoTrackMatches(subscription, cycloneData) {
+    subscription.autoTrackRules.forEach(validateAutoTrackRule);
+
+    let matches = [];
+    for (const cyclone of cycloneData) {
+        const { atcf } = cyclone;
+        if (subscription.trackedCycloneIds.includes(atcf) || subscription.autoTrackedCycloneIds.includes(atcf)) {
+            continue;
+        }
+
+        const rule = subscription.autoTrackRules.find((rule) => isAutoTrackRuleMatch(rule, cyclone, subscription.locations));
+        if (rule) {
+            matches.push({ cyclone, rule });
+        }
+    }
+
+    return matches;
+}
+
+/**
+ * Conditions an auto-track rule may have
+ */
+const AUTO_TRACK_RULE_FIELDS = ['name', 'types', 'basins', 'minCategory', 'minWindMph', 'withinMiles', 'warningAreas'];
+
+/**
+ * @param {AutoTrackRule} rule
+ * @throws {Error} when the rule is not an object, or has an unknown condition, an unknown basin or a condition of the
+ * wrong type
+ */
+export function validateAutoTrackRule(rule) {
+    if (rule == null || typeof rule !== 'object' || Array.isArray(rule)) {
+        throw new Error(`Expected an auto-track rule to be an object of conditions, got ${JSON.stringify(rule)}`);
+    }
+    const ruleName = typeof rule.name === 'string' ? rule.name : 'unnamed';
+    const unknownFieldName = Object.keys(rule).find((fieldName) => !AUTO_TRACK_RULE_FIELDS.includes(fieldName));
+    if (unknownFieldName != null) {
+        throw new Error(`Unknown condition "${unknownFieldName}" in auto-track rule "${ruleName}". Expected any of: ${AUTO_TRACK_RULE_FIELDS.join(', ')}`);
+    }
+    if (rule.name != null && typeof rule.name !== 'string') {
+        throw new Error(`Auto-track rule "${ruleName}" expects a string for name`);
+    }
+    for (const listName of ['types', 'basins', 'warningAreas']) {
+        if (rule[listName] != null && (!Array.isArray(rule[listName]) || rule[listName].some((item) => typeof item !== 'string'))) {
+            throw new Error(`Auto-track rule "${ruleName}" expects a list of ${listName}`);
+        }
+    }
+    for (const numberName of ['minCategory', 'minWindMph', 'withinMiles']) {
+        if (rule[numberName] != null && (!Number.isFinite(rule[numberName]) || rule[numberName] < 0)) {
+            throw new Error(`Auto-track rule "${ruleName}" expects a number of at least 0 for ${numberName}`);
+        }
+    }
+    if (rule.minCategory > 5) {
+        throw new Error(`Auto-track rule "${ruleName}" expects a category between 0 and 5 for minCategory`);
+    }
+    const unknownBasinNames = (rule.basins ?? []).filter((basinName) => nhc.Basin[basinName] == null);
+    if (unknownBasinNames.length > 0) {
+        throw new Error(`Unknown basin(s) ${unknownBasinNames.join(', ')} in auto-track rule "${ruleName}". Expected any of: ${Object.keys(nhc.Basin).join(', ')}`);
+    }
+}
+
+/**
+ * @param {AutoTrackRule} rule
+ * @param {nhc.Cyclone} cyclone
+ * @param {import('./proximity.js').Location[]} locations - Locations withinMiles is measured from (e.g. the subscription's)
+ * @returns {Boolean}
+ */
+export function isAutoTrackRuleMatch(rule, cyclone, locations) {
+    const { types, basins, minCategory, minWindMph, withinMiles, warningAreas } = rule;
+    if (types?.length > 0 && !types.some((type) => type.toLowerCase() === cyclone.type.toLowerCase())) {
+        return false;
+    }
+    if (basins?.length > 0 && !basins.some((basinName) => nhc.Basin[basinName] === cyclone.basin)) {
+        return false;
+    }
+    if (minCategory != null && (cyclone.hurricaneCategory ?? 0) < minCategory) {
+        return false;
+    }
+    if (minWindMph != null && (cyclone.windMph ?? 0) < minWindMph) {
+        return false;
+    }
+    if (withinMiles != null) {
+        const isNearLocation = Number.isFinite(cyclone.latitude) && locations.some((location) => {
+            return getGreatCircleDistance(location.latitude, location.longitude, cyclone.latitude, cyclone.longitude) <= withinMiles;
+        });
+        if (!isNearLocation) {
+            return false;
+        }
+    }
+    if (warningAreas?.length > 0) {
+        const warnedAreas = (cyclone.publicAdvisory?.watchesAndWarnings ?? [])
+            .filter((watchWarning) => /warning/i.test(watchWarning.type))
+            .flatMap((watchWarning) => watchWarning.areas)
+            .map((area) => area.toLowerCase());
+        if (!warningAreas.some((text) => warnedAreas.some((area) => area.includes(text.toLowerCase())))) {
+            return false;
+        }
+    }
+
+    return true;
+}
+
+/**
+ * e.g. "Hurricane in ATLANTIC with category ≥ 2"
+ * @param {AutoTrackRule} rule
+ * @returns {String}
+ */
+export function describeAutoTrackRule(rule) {
+    if (rule.name) {
+        return rule.name;
+    }
+
+    let conditions = [];
+    if (rule.basins?.length > 0) {
+        conditions.push(`in ${rule.basins.join(' or ')}`);
+    }
+    if (rule.minCategory != null) {
+        conditions.push(`with category ≥ ${rule.minCategory}`);
+    }
+    if (rule.minWindMph != null) {
+        conditions.push(`with winds ≥ ${rule.minWindMph} mph`);
+    }
+    if (rule.withinMiles != null) {
+        conditions.push(`within ${rule.withinMiles} mi of a location`);
+    }
+    if (rule.warningAreas?.length > 0) {
+        conditions.push(`with warnings for ${rule.warningAreas.join(' or ')}`);
+    }
+
+    return [rule.types?.length > 0 ? rule.types.join(' or ') : 'Any cyclone', ...conditions].join(' ');
+}
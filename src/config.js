@@ -0,0 +1,412 @@
+import process from 'node:process';
+import { readFileSync, existsSync } from 'fs';
+import { join as pathJoin } from 'path';
+import { PROJECT_ROOT_DIRNAME } from '../lib/utils.js';
+import * as nhc from '../lib/nhc.js';
+import { createNotifier } from './notifiers/notifiers.js';
+import { NotificationKind } from './notifiers/notification.js';
+import { parseWebhookUrl } from '../lib/discord.js';
+import { validateDisplaySettings } from './display-settings.js';
+import { validateAutoTrackRule } from './auto-track.js';
+
+/**
+ * Operational settings of the tracker and the interactions server, read from the config file. Settings left out of the
+ * file take their default
+ * @typedef {Object} Config
+ * @property {DiscordConfig} discord
+ * @property {{trackedBasins: String[], disturbanceAlertThreshold: ?Number, graphicMaxWaitMinutes: Number}} nhc -
+ * trackedBasins are Basin names (see nhc.Basin). Disturbances are alerted when disturbanceAlertThreshold is set
+ * @property {{prefix: String, lookbackDays: Number}} adminCommands - Prefix of the admin DM commands, and how many days
+ * back commands are looked for when none has been handled yet
+ * @property {{time: String}} adminReport - Time of day the daily admin report is sent, "HH:MM" in UTC
+ * @property {{retentionDays: Number}} history - Days the advisory history of a cyclone is kept after its last advisory
+ * @property {{store: String, path: ?String}} metadata - "json" or "sqlite" store, and its file (default: metadata.json or
+ * metadata.sqlite in the project root)
+ * @property {{port: Number}} interactions - Port the interactions server listens on
+ * @property {{notifiers: import('./notifiers/notifiers.js').NotifierConfig[]}} notifications - Destinations outside of
+ * guild subscriptions (e.g. Slack, email) that storm notifications are sent to
+ * @property {{channels: ChannelConfig[]}} subscriptions - Guild channels subscribed on startup, whose settings override
+ * those of the metadata store
+ */
+
+/**
+ * Settings of a guild channel's subscription (see Subscription). Settings left out keep their value in the metadata
+ * store, where they may be changed by commands
+ * @typedef {Object} ChannelConfig
+ * @property {String} channelId
+ * @property {?String[]} basins
+ * @property {?String[]} graphics
+ * @property {?String} webhookUrl - null sends as the bot
+ * @property {?Boolean} useStormThreads
+ * @property {?Boolean} enableStormRoles
+ * @property {?Boolean} attachIntensityChart
+ * @property {?Boolean} reportIntermediateAdvisories
+ * @property {?import('./display-settings.js').DisplaySettings} display
+ * @property {?import('./auto-track.js').AutoTrackRule[]} autoTrackRules
+ */
+
+/**
+ * @typedef {Object} DiscordConfig
+ * @property {?String} botToken
+ * @property {?String} adminId - User ID of the admin, who is sent reports and commands the bot by DM
+ * @property {?String} guildChannelId - Guild channel subscribed by default, and targeted by admin commands naming no channel
+ * @property {?String} applicationId - For the interactions server
+ * @property {?String} publicKey - For the interactions server
+ * @property {?String} commandGuildId - Guild application commands are registered to, instead of globally
+ * @property {?String} dryRunFile - Discord requests are recorded to this file instead of being sent when set
+ */
+
+/**
+ * Location of the config file unless the NHC_CONFIG_FILE env variable names another
+ */
+const DEFAULT_CONFIG_FILENAME = pathJoin(PROJECT_ROOT_DIRNAME, 'config.json');
+
+/**
+ * Every setting of the config file keyed by its "<section>.<name>" path. Settings with an env variable are overridden
+ * by it, which keeps secrets such as the bot token out of the file
+ * @type {Object<String, {defaultValue: *, env: ?String, parse: (value: *) => *}>}
+ */
+const CONFIG_SETTINGS = {
+    'discord.botToken': { defaultValue: null, env: 'DISCORD_BOT_TOKEN', parse: parseString },
+    'discord.adminId': { defaultValue: null, env: 'DISCORD_ADMIN_ID', parse: parseSnowflake },
+    'discord.guildChannelId': { defaultValue: null, env: 'DISCORD_GUILD_CHANNEL_ID', parse: parseSnowflake },
+    'discord.applicationId': { defaultValue: null, env: 'DISCORD_APPLICATION_ID', parse: parseSnowflake },
+    'discord.publicKey': { defaultValue: null, env: 'DISCORD_PUBLIC_KEY', parse: parseString },
+    'discord.commandGuildId': { defaultValue: null, env: 'DISCORD_COMMAND_GUILD_ID', parse: parseSnowflake },
+    'discord.dryRunFile': { defaultValue: null, env: 'DISCORD_DRY_RUN_FILE', parse: parseString },
+    'nhc.trackedBasins': { defaultValue: ['ATLANTIC'], env: 'NHC_TRACKED_BASINS', parse: parseBasinNames },
+    'nhc.disturbanceAlertThreshold': { defaultValue: null, env: 'NHC_DISTURBANCE_ALERT_THRESHOLD', parse: createNumberParser(0, 100) },
+    'nhc.graphicMaxWaitMinutes': { defaultValue: 60, env: 'NHC_GRAPHIC_MAX_WAIT_MINUTES', parse: createNumberParser(0) },
+    'adminCommands.prefix': { defaultValue: '!nhc', env: null, parse: parseCommandPrefix },
+    'adminCommands.lookbackDays': { defaultValue: 30, env: null, parse: createNumberParser(1) },
+    'adminReport.time': { defaultValue: '08:00', env: null, parse: parseTimeOfDay },
+    'history.retentionDays': { defaultValue: 30, env: null, parse: createNumberParser(1) },
+    'metadata.store': { defaultValue: 'json', env: 'METADATA_STORE', parse: createOneOfParser(['json', 'sqlite']) },
+    'metadata.path': { defaultValue: null, env: 'METADATA_STORE_PATH', parse: parseString },
+    'interactions.port': { defaultValue: 8080, env: 'INTERACTIONS_PORT', parse: createNumberParser(1, 65535, true) },
+    'notifications.notifiers': { defaultValue: [], env: null, parse: parseNotifiers },
+    'subscriptions.channels': { defaultValue: [], env: null, parse: parseSubscriptionChannels },
+};
+
+let config = null;
+
+/**
+ * Reads and validates the config file (config.json in the project root, or the file named by the NHC_CONFIG_FILE env
+ * variable), then applies env variable overrides. The default config file may be left out, leaving every setting to
+ * its default and env variable
+ * @returns {Config}
+ * @throws {Error} naming the setting, and the file or env variable it was read from, when a setting is unknown or invalid
+ */
+export function loadConfig() {
+    const filename = process.env.NHC_CONFIG_FILE || DEFAULT_CONFIG_FILENAME;
+    let fileConfig = {};
+    if (process.env.NHC_CONFIG_FILE || existsSync(filename)) {
+        try {
+            fileConfig = JSON.parse(readFileSync(filename, 'utf-8'));
+        } catch (error) {
+            throw new Error(`Unable to read config file ${filename}. Reason:${error.message}`);
+        }
+        validateConfigPaths(fileConfig, filename);
+    }
+
+    let loadedConfig = {};
+    for (const path in CONFIG_SETTINGS) {
+        const { defaultValue, env, parse } = CONFIG_SETTINGS[path];
+        const [section, name] = path.split('.');
+        let value = defaultValue;
+        if (fileConfig[section]?.[name] != null) {
+            try {
+                value = parse(fileConfig[section][name]);
+            } catch (error) {
+                throw new Error(`Invalid config setting "${path}" in ${filename}: ${error.message}`);
+            }
+        }
+        if (env && process.env[env]) {
+            try {
+                value = parse(process.env[env]);
+            } catch (error) {
+                throw new Error(`Invalid env variable ${env} (config setting "${path}"): ${error.message}`);
+            }
+        }
+
+        loadedConfig[section] ??= {};
+        loadedConfig[section][name] = value;
+    }
+
+    config = loadedConfig;
+    return config;
+}
+
+/**
+ * @returns {Config} the config, loaded on first use
+ */
+export function getConfig() {
+    return config ?? loadConfig();
+}
+
+/**
+ * @param {String[]} paths - e.g. ["discord.botToken", "discord.adminId"]
+ * @throws {Error} naming each setting that is not set, along with its env variable
+ */
+export function requireConfigSettings(paths) {
+    const currentConfig = getConfig();
+    const missingPaths = paths.filter((path) => {
+        const [section, name] = path.split('.');
+        return currentConfig[section][name] == null;
+    });
+    if (missingPaths.length > 0) {
+        const missingSettings = missingPaths.map((path) => CONFIG_SETTINGS[path].env ? `${path} (or the ${CONFIG_SETTINGS[path].env} env variable)` : path);
+        throw new Error(`Please set the config setting(s): ${missingSettings.join(', ')}`);
+    }
+}
+
+/**
+ * @param {Object} fileConfig
+ * @param {String} filename
+ * @throws {Error} when the file has a section or setting that does not exist, e.g. a misspelled one
+ */
+function validateConfigPaths(fileConfig, filename) {
+    if (fileConfig == null || typeof fileConfig !== 'object' || Array.isArray(fileConfig)) {
+        throw new Error(`Expected config file ${filename} to hold an object of sections`);
+    }
+
+    const paths = Object.keys(CONFIG_SETTINGS);
+    for (const section in fileConfig) {
+        if (!paths.some((path) => path.startsWith(`${section}.`))) {
+            throw new Error(`Unknown config section "${section}" in ${filename}. Expected any of: ${Array.from(new Set(paths.map((path) => path.split('.')[0]))).join(', ')}`);
+        }
+        if (fileConfig[section] == null || typeof fileConfig[section] !== 'object' || Array.isArray(fileConfig[section])) {
+            throw new Error(`Invalid config section "${section}" in ${filename}: expected an object of settings`);
+        }
+        for (const name in fileConfig[section]) {
+            if (CONFIG_SETTINGS[`${section}.${name}`] == null) {
+                throw new Error(`Unknown config setting "${section}.${name}" in ${filename}. Expected any of: ${paths.filter((path) => path.startsWith(`${section}.`)).join(', ')}`);
+            }
+        }
+    }
+}
+
+/**
+ * @param {*} value
+ * @returns {String}
+ */
+function parseString(value) {
+    if (typeof value !== 'string' || value.trim().length === 0) {
+        throw new Error(`expected a non-empty string, got ${JSON.stringify(value)}`);
+    }
+
+    return value.trim();
+}
+
+/**
+ * @param {*} value - A discord ID
+ * @returns {String}
+ */
+function parseSnowflake(value) {
+    if (typeof value !== 'string' || !/^\d+$/.test(value.trim())) {
+        throw new Error(`expected an ID written as a string of digits (e.g. "111111111111111111"), got ${JSON.stringify(value)}`);
+    }
+
+    return value.trim();
+}
+
+/**
+ * @param {*} value - An array of Basin names, or a comma separated list of them when read from an env variable
+ * @returns {String[]}
+ */
+function parseBasinNames(value) {
+    const basinNames = typeof value === 'string' ? value.split(',') : value;
+    if (!Array.isArray(basinNames) || basinNames.some((basinName) => typeof basinName !== 'string')) {
+        throw new Error(`expected a list of basin names, got ${JSON.stringify(value)}`);
+    }
+
+    const upperBasinNames = basinNames.map((basinName) => basinName.trim().toUpperCase()).filter((basinName) => basinName.length > 0);
+    const unknownBasinNames = upperBasinNames.filter((basinName) => nhc.Basin[basinName] == null);
+    if (upperBasinNames.length === 0 || unknownBasinNames.length > 0) {
+        throw new Error(`unknown basin(s): ${unknownBasinNames.join(', ') || 'none given'}. Expected one or more of: ${Object.keys(nhc.Basin).join(', ')}`);
+    }
+
+    return Array.from(new Set(upperBasinNames));
+}
+
+/**
+ * @param {Number} min
+ * @param {Number} max
+ * @param {Boolean} integer - Whether only whole numbers are accepted
+ * @returns {(value: *) => Number} parses numbers and numeric strings (e.g. from env variables)
+ */
+function createNumberParser(min = -Infinity, max = Infinity, integer = false) {
+    return (value) => {
+        const number = typeof value === 'string' && value.trim().length > 0 ? Number(value) : value;
+        if (typeof number !== 'number' || !Number.isFinite(number) || number < min || number > max || (integer && !Number.isInteger(number))) {
+            const range = max === Infinity ? `of at least ${min}` : `between ${min} and ${max}`;
+            throw new Error(`expected a ${integer ? 'whole number' : 'number'} ${range}, got ${JSON.stringify(value)}`);
+        }
+
+        return number;
+    };
+}
+
+/**
+ * @param {String[]} values
+ * @returns {(value: *) => String} parses any of the values, ignoring case
+ */
+function createOneOfParser(values) {
+    return (value) => {
+        const match = values.find((expectedValue) => typeof value === 'string' && expectedValue === value.trim().toLowerCase());
+        if (match == null) {
+            throw new Error(`expected any of: ${values.join(', ')}, got ${JSON.stringify(value)}`);
+        }
+
+        return match;
+    };
+}
+
+/**
+ * @param {*} value - e.g. "!nhc"
+ * @returns {String} the prefix in lowercase, as commands are matched ignoring case
+ */
+function parseCommandPrefix(value) {
+    if (typeof value !== 'string' || !/^\S+$/.test(value)) {
+        throw new Error(`expected a prefix without spaces (e.g. "!nhc"), got ${JSON.stringify(value)}`);
+    }
+
+    return value.toLowerCase();
+}
+
+/**
+ * @param {*} value - A list of notifier configs
+ * @returns {import('./notifiers/notifiers.js').NotifierConfig[]}
+ */
+function parseNotifiers(value) {
+    if (!Array.isArray(value)) {
+        throw new Error(`expected a list of notifiers, got ${JSON.stringify(value)}`);
+    }
+
+    let names = new Set();
+    value.forEach((notifierConfig, i) => {
+        if (notifierConfig == null || typeof notifierConfig !== 'object' || Array.isArray(notifierConfig)) {
+            throw new Error(`expected notifier ${i + 1} to be an object, got ${JSON.stringify(notifierConfig)}`);
+        }
+        const { name, cycloneIds, kinds, headers } = notifierConfig;
+        if (typeof name !== 'string' || name.trim().length === 0 || names.has(name)) {
+            throw new Error(`expected notifier ${i + 1} to have a unique "name", got ${JSON.stringify(name)}`);
+        }
+        names.add(name);
+        if (cycloneIds != null && (!Array.isArray(cycloneIds) || cycloneIds.some((id) => typeof id !== 'string'))) {
+            throw new Error(`expected the "cycloneIds" of notifier "${name}" to be a list of ATCF IDs, got ${JSON.stringify(cycloneIds)}`);
+        }
+        const notificationKinds = Object.values(NotificationKind);
+        if (kinds != null && (!Array.isArray(kinds) || kinds.some((kind) => !notificationKinds.includes(kind)))) {
+            throw new Error(`expected the "kinds" of notifier "${name}" to be a list of any of: ${notificationKinds.join(', ')}, got ${JSON.stringify(kinds)}`);
+        }
+        if (headers != null && (typeof headers !== 'object' || Object.values(headers).some((header) => typeof header !== 'string'))) {
+            throw new Error(`expected the "headers" of notifier "${name}" to be an object of strings, got ${JSON.stringify(headers)}`);
+        }
+
+        try {
+            createNotifier(notifierConfig);
+        } catch (error) {
+            throw new Error(`invalid notifier "${name}": ${error.message}`);
+        }
+    });
+
+    return value;
+}
+
+/**
+ * @param {*} value - A list of channel configs
+ * @returns {ChannelConfig[]}
+ */
+function parseSubscriptionChannels(value) {
+    if (!Array.isArray(value)) {
+        throw new Error(`expected a list of channels, got ${JSON.stringify(value)}`);
+    }
+
+    const fieldNames = ['channelId', 'basins', 'graphics', 'webhookUrl', 'useStormThreads', 'enableStormRoles', 'attachIntensityChart', 'reportIntermediateAdvisories', 'display', 'autoTrackRules'];
+    let channelIds = new Set();
+    return value.map((channelConfig, i) => {
+        if (channelConfig == null || typeof channelConfig !== 'object' || Array.isArray(channelConfig)) {
+            throw new Error(`expected channel ${i + 1} to be an object, got ${JSON.stringify(channelConfig)}`);
+        }
+        const unknownFieldName = Object.keys(channelConfig).find((fieldName) => !fieldNames.includes(fieldName));
+        if (unknownFieldName != null) {
+            throw new Error(`unknown field "${unknownFieldName}" in channel ${i + 1}. Expected any of: ${fieldNames.join(', ')}`);
+        }
+
+        let parsedConfig = { ...channelConfig };
+        try {
+            parsedConfig.channelId = parseSnowflake(channelConfig.channelId);
+        } catch (error) {
+            throw new Error(`invalid "channelId" of channel ${i + 1}: ${error.message}`);
+        }
+        if (channelIds.has(parsedConfig.channelId)) {
+            throw new Error(`channel ${parsedConfig.channelId} is listed more than once`);
+        }
+        channelIds.add(parsedConfig.channelId);
+
+        const channelName = `channel ${parsedConfig.channelId}`;
+        const { basins, graphics, webhookUrl, display, autoTrackRules } = channelConfig;
+        if (basins !== undefined) {
+            try {
+                parsedConfig.basins = Array.isArray(basins) && basins.length === 0 ? [] : parseBasinNames(basins); // empty for every tracked basin
+            } catch (error) {
+                throw new Error(`invalid "basins" of ${channelName}: ${error.message}`);
+            }
+        }
+        const stormGraphics = Object.values(nhc.StormGraphic);
+        if (graphics !== undefined && (!Array.isArray(graphics) || graphics.some((graphic) => !stormGraphics.includes(graphic)))) {
+            throw new Error(`expected the "graphics" of ${channelName} to be a list of any of: ${stormGraphics.join(', ')}, got ${JSON.stringify(graphics)}`);
+        }
+        if (webhookUrl != null) {
+            try {
+                parsedConfig.webhookUrl = parseString(webhookUrl);
+                parseWebhookUrl(parsedConfig.webhookUrl);
+            } catch (error) {
+                throw new Error(`invalid "webhookUrl" of ${channelName}: ${error.message}`);
+            }
+        }
+        for (const fieldName of ['useStormThreads', 'enableStormRoles', 'attachIntensityChart', 'reportIntermediateAdvisories']) {
+            if (channelConfig[fieldName] !== undefined && typeof channelConfig[fieldName] !== 'boolean') {
+                throw new Error(`expected the "${fieldName}" of ${channelName} to be true or false, got ${JSON.stringify(channelConfig[fieldName])}`);
+            }
+        }
+        if (display !== undefined) {
+            try {
+                if (display == null || typeof display !== 'object' || Array.isArray(display)) {
+                    throw new Error(`expected an object of display settings, got ${JSON.stringify(display)}`);
+                }
+                validateDisplaySettings(display);
+            } catch (error) {
+                throw new Error(`invalid "display" of ${channelName}: ${error.message}`);
+            }
+        }
+
+        if (autoTrackRules !== undefined) {
+            if (!Array.isArray(autoTrackRules)) {
+                throw new Error(`expected the "autoTrackRules" of ${channelName} to be a list of rules, got ${JSON.stringify(autoTrackRules)}`);
+            }
+            autoTrackRules.forEach((rule, ruleIndex) => {
+                try {
+                    validateAutoTrackRule(rule);
+                } catch (error) {
+                    throw new Error(`invalid rule ${ruleIndex + 1} of the "autoTrackRules" of ${channelName}: ${error.message}`);
+                }
+            });
+        }
+
+        return parsedConfig;
+    });
+}
+
+/**
+ * @param {*} value - e.g. "08:00"
+ * @returns {String}
+ */
+function parseTimeOfDay(value) {
+    if (typeof value !== 'string' || !/^([01]\d|2[0-3]):[0-5]\d$/.test(value.trim())) {
+        throw new Error(`expected a 24-hour UTC time written as "HH:MM" (e.g. "08:00"), got ${JSON.stringify(value)}`);
+    }
+
+    return value.trim();
+}
@@ -0,0 +1,162 @@
+import { toTitleCase } from '../lib/utils.js';
+import { WindUnit, formatWind } from '../lib/units.js';
+import { translate, translateTerm } from './i18n.js';
+import { resolveDisplaySettings } from './display-settings.js';
+
+const MPH_PER_KNOT = 1.15078;
+const RAPID_INTENSIFICATION_KNOTS = 30;
+const RAPID_INTENSIFICATION_HOURS = 24;
+
+/**
+ * Kinds of notable changes between two advisories of a cyclone
+ * @readonly
+ * @enum {String}
+ */
+export const CycloneChangeType = {
+    NAMED: 'named',
+    UPGRADED_TROPICAL_STORM: 'upgradedTropicalStorm',
+    UPGRADED_HURRICANE: 'upgradedHurricane',
+    CATEGORY_INCREASE: 'categoryIncrease',
+    CATEGORY_DECREASE: 'categoryDecrease',
+    RAPID_INTENSIFICATION: 'rapidIntensification',
+};
+
+/**
+ * @typedef {Object} CycloneChange
+ * @property {CycloneChangeType} type
+ * @property {String} description - Human readable summary of the change (e.g. "Strengthened from Category 2 to Category 3")
+ * @property {Object<String, String|Number>} details - What the description is made of (e.g. oldCategory, newCategory),
+ * to describe the change in other languages and units
+ */
+
+/**
+ * Classifies what notably changed between the previous and the latest advisory of a cyclone
+ * @param {nhc.Cyclone} oldCyclone
+ * @param {nhc.Cyclone} recentCyclone
+ * @param {CycloneObservation[]} observations - The cyclone's history, including the latest advisory, in chronological order
+ * @returns {CycloneChange[]}
+ */
+export function classifyCycloneChanges(oldCyclone, recentCyclone, observations = []) {
+    let changes = [];
+    const oldType = oldCyclone.type.toLowerCase();
+    const recentType = recentCyclone.type.toLowerCase();
+    const oldCategory = oldCyclone.hurricaneCategory ?? 0;
+    const recentCategory = recentCyclone.hurricaneCategory ?? 0;
+
+    if (oldCyclone.name.toLowerCase() !== recentCyclone.name.toLowerCase()) {
+        changes.push({
+            type: CycloneChangeType.NAMED,
+            description: `${toTitleCase(oldCyclone.name)} has been named ${toTitleCase(recentCyclone.name)}`,
+            details: { oldName: oldCyclone.name, newName: recentCyclone.name },
+        });
+    }
+
+    if (isStormType(recentType) && !isStormType(oldType) && recentType !== 'hurricane') {
+        changes.push({
+            type: CycloneChangeType.UPGRADED_TROPICAL_STORM,
+            description: `Upgraded from ${toTitleCase(oldCyclone.type)} to ${toTitleCase(recentCyclone.type)}`,
+            details: { oldType: oldCyclone.type, newType: recentCyclone.type },
+        });
+    }
+
+    if (recentType === 'hurricane' && oldType !== 'hurricane') {
+        changes.push({
+            type: CycloneChangeType.UPGRADED_HURRICANE,
+            description: `Upgraded from ${toTitleCase(oldCyclone.type)} to a Category ${recentCategory} Hurricane`,
+            details: { oldType: oldCyclone.type, newCategory: recentCategory },
+        });
+    } else if (oldCategory > 0 && recentCategory > oldCategory) {
+        changes.push({
+            type: CycloneChangeType.CATEGORY_INCREASE,
+            description: `Strengthened from Category ${oldCategory} to Category ${recentCategory}`,
+            details: { oldCategory, newCategory: recentCategory },
+        });
+    } else if (oldCategory > 0 && recentCategory < oldCategory) {
+        const recentRating = recentCategory > 0 ? `Category ${recentCategory}` : `a ${toTitleCase(recentCyclone.type)}`;
+        changes.push({
+            type: CycloneChangeType.CATEGORY_DECREASE,
+            description: `Weakened from a Category ${oldCategory} Hurricane to ${recentRating}`,
+            details: { oldCategory, newCategory: recentCategory, newType: recentCyclone.type },
+        });
+    }
+
+    // only alert when rapid intensification begins, not on every advisory while it lasts
+    const windIncrease = getWindIncreaseWithinWindow(observations, observations.length - 1);
+    const previousWindIncrease = getWindIncreaseWithinWindow(observations, observations.length - 2);
+    if (windIncrease >= RAPID_INTENSIFICATION_KNOTS * MPH_PER_KNOT && previousWindIncrease < RAPID_INTENSIFICATION_KNOTS * MPH_PER_KNOT) {
+        changes.push({
+            type: CycloneChangeType.RAPID_INTENSIFICATION,
+            description: `Rapid intensification: winds increased ${windIncrease} mph (${Math.round(windIncrease / MPH_PER_KNOT)} kt) in the last ${RAPID_INTENSIFICATION_HOURS} hours`,
+            details: { windIncreaseMph: windIncrease, hours: RAPID_INTENSIFICATION_HOURS },
+        });
+    }
+
+    return changes;
+}
+
+/**
+ * Describes a change in the display's language and wind unit, e.g. "Se fortaleció de Categoría 2 a Categoría 3"
+ * @param {CycloneChange} change
+ * @param {?import('./display-settings.js').DisplaySettings} display
+ * @returns {String}
+ */
+export function describeCycloneChange(change, display) {
+    const { locale, windUnit } = resolveDisplaySettings(display);
+    const { type, details } = change;
+    if (type === CycloneChangeType.NAMED) {
+        return translate(locale, 'changeNamed', { oldName: toTitleCase(details.oldName), newName: toTitleCase(details.newName) });
+    } else if (type === CycloneChangeType.UPGRADED_TROPICAL_STORM) {
+        return translate(locale, 'changeUpgradedTropicalStorm', { oldType: translateTerm(locale, details.oldType), newType: translateTerm(locale, details.newType) });
+    } else if (type === CycloneChangeType.UPGRADED_HURRICANE) {
+        return translate(locale, 'changeUpgradedHurricane', { oldType: translateTerm(locale, details.oldType), category: details.newCategory });
+    } else if (type === CycloneChangeType.CATEGORY_INCREASE) {
+        return translate(locale, 'changeCategoryIncrease', details);
+    } else if (type === CycloneChangeType.CATEGORY_DECREASE) {
+        return details.newCategory > 0
+            ? translate(locale, 'changeCategoryDecrease', details)
+            : translate(locale, 'changeCategoryDecreaseToType', { oldCategory: details.oldCategory, newType: translateTerm(locale, details.newType) });
+    } else if (type === CycloneChangeType.RAPID_INTENSIFICATION) {
+        let increase = formatWind(details.windIncreaseMph, windUnit);
+        if (windUnit !== WindUnit.KT) {
+            increase += ` (${formatWind(details.windIncreaseMph, WindUnit.KT)})`;
+        }
+        return translate(locale, 'changeRapidIntensification', { increase, hours: details.hours });
+    }
+
+    return change.description;
+}
+
+/**
+ * @param {String} type - Lowercase cyclone type
+ * @returns {Boolean} whether the type is a (sub)tropical storm or hurricane
+ */
+function isStormType(type) {
+    return type === 'hurricane' || type.endsWith('tropical storm');
+}
+
+/**
+ * Measures how much the wind of the observation at the given index increased over the rapid intensification window
+ * @param {CycloneObservation[]} observations - In chronological order
+ * @param {Number} index
+ * @returns {Number} increase in mph, 0 when unknown
+ */
+function getWindIncreaseWithinWindow(observations, index) {
+    const observation = observations[index];
+    if (observation == null || !Number.isFinite(observation.windMph)) {
+        return 0;
+    }
+
+    const windowStart = new Date(observation.time).getTime() - RAPID_INTENSIFICATION_HOURS * 3600 * 1000;
+    let lowestWind = observation.windMph;
+    for (let i = index - 1; i >= 0; i--) {
+        const earlierObservation = observations[i];
+        if (new Date(earlierObservation.time).getTime() < windowStart) {
+            break;
+        }
+        if (Number.isFinite(earlierObservation.windMph)) {
+            lowestWind = Math.min(lowestWind, earlierObservation.windMph);
+        }
+    }
+
+    return observation.windMph - lowestWind;
+}
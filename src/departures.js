@@ -0,0 +1,80 @@
+/**
+ * Consecutive runs a cyclone must be missing from the feed before it is considered gone (e.g. dissipated or became
+ * post-tropical), so that a feed temporarily leaving it out does not end its tracking
+ */
+export const DEPARTURE_MISSING_RUNS = 3;
+
+/**
+ * A cyclone that was in the feed during an earlier run but has been missing from it since
+ * @typedef {Object} MissingCyclone
+ * @property {Number} missingRuns - Consecutive runs the cyclone was missing from the feed
+ * @property {nhc.Cyclone} cyclone - The cyclone's data as of the last run it was in the feed
+ */
+
+/**
+ * Counts the runs each cyclone has been missing from the feed, forgetting cyclones that came back, and returns the
+ * cyclones that have been missing long enough to be considered gone
+ * @param {Object<String, MissingCyclone>} missingCyclones - Keyed by ATCF ID, updated in place
+ * @param {nhc.Cyclone[]} oldCycloneData - Cyclones in the feed during the last run
+ * @param {nhc.Cyclone[]} recentCycloneData - Cyclones in the feed now
+ * @returns {nhc.Cyclone[]} the last known data of each departed cyclone
+ */
+export function calculateCycloneDepartures(missingCyclones, oldCycloneData, recentCycloneData) {
+    const recentCycloneIds = recentCycloneData.map((cyclone) => cyclone.atcf);
+    for (const atcf in missingCyclones) {
+        if (recentCycloneIds.includes(atcf)) {
+            delete missingCyclones[atcf]; // the feed only left it out for a while
+        } else {
+            missingCyclones[atcf].missingRuns++;
+        }
+    }
+    for (const cyclone of oldCycloneData) {
+        if (!recentCycloneIds.includes(cyclone.atcf) && missingCyclones[cyclone.atcf] == null) {
+            missingCyclones[cyclone.atcf] = { missingRuns: 1, cyclone };
+        }
+    }
+
+    let departedCyclones = [];
+    for (const atcf in missingCyclones) {
+        if (missingCyclones[atcf].missingRuns >= DEPARTURE_MISSING_RUNS) {
+            departedCyclones.push(missingCyclones[atcf].cyclone);
+            delete missingCyclones[atcf];
+        }
+    }
+
+    return departedCyclones;
+}
+
+/**
+ * A cyclone's lifetime as recorded by its observations
+ * @typedef {Object} CycloneLifetime
+ * @property {String} startTime - Time of the first observation. An ISO8061 UTC String
+ * @property {String} endTime - Time of the last observation. An ISO8061 UTC String
+ * @property {Number} peakCategory - Highest hurricane category (0 when it never became a hurricane)
+ * @property {?Number} peakWindMph - Highest maximum sustained wind
+ * @property {?Number} lowestPressureMb - Lowest minimum pressure
+ * @property {Number} advisoryCount - Number of advisories observed
+ * @property {CycloneObservation} lastObservation
+ */
+
+/**
+ * @param {CycloneObservation[]} observations - Observations of one cyclone, oldest first
+ * @returns {?CycloneLifetime} null when the cyclone was never observed
+ */
+export function summarizeCycloneLifetime(observations) {
+    if (!observations || observations.length === 0) {
+        return null;
+    }
+
+    const winds = observations.map((observation) => observation.windMph).filter(Number.isFinite);
+    const pressures = observations.map((observation) => observation.pressureMb).filter(Number.isFinite);
+    return {
+        startTime: observations[0].time,
+        endTime: observations[observations.length - 1].time,
+        peakCategory: Math.max(0, ...observations.map((observation) => observation.hurricaneCategory ?? 0)),
+        peakWindMph: winds.length > 0 ? Math.max(...winds) : null,
+        lowestPressureMb: pressures.length > 0 ? Math.min(...pressures) : null,
+        advisoryCount: observations.length,
+        lastObservation: observations[observations.length - 1],
+    };
+}
@@ -0,0 +1,245 @@
+import { toTitleCase, truncateString } from '../lib/utils.js';
+import { convertWind, formatWind, formatPressure } from '../lib/units.js';
+import { translate, translateTerm } from './i18n.js';
+import { describeCycloneChange } from './cyclone-changes.js';
+import {
+    resolveDisplaySettings,
+    formatCycloneTitle,
+    formatCycloneWind,
+    formatCyclonePressure,
+    formatCycloneMovement,
+    formatAdvisoryTime,
+    formatDateTime,
+    formatDiscordTimestamp,
+} from './display-settings.js';
+import * as nhc from '../lib/nhc.js';
+
+/**
+ * Builds the embed of a cyclone's summary message, kept in the guild channel when its reports are posted in a thread
+ * @param {nhc.Cyclone} cyclone 
+ * @param {?String} threadId - The cyclone's thread, if it was already started
+ * @param {?import('./display-settings.js').DisplaySettings} display
+ * @returns {import('../lib/discord.js').Embed}
+ */
+export function buildCycloneSummaryEmbed(cyclone, threadId, display = null) {
+    const { locale } = resolveDisplaySettings(display);
+    const { wallet, atcf, center } = cyclone;
+    let embed = {
+        title: formatCycloneTitle(cyclone, display, true),
+        url: nhc.getCycloneStormPageLink(wallet),
+        description: threadId
+            ? translate(locale, 'advisoriesPostedInThread', { thread: `<#${threadId}>` })
+            : translate(locale, 'advisoriesPostedInMessageThread'),
+        color: getCycloneEmbedColor(cyclone),
+        fields: [
+            { name: translate(locale, 'maxSustainedWind'), value: formatCycloneWind(cyclone, display), inline: true },
+            { name: translate(locale, 'minimumPressure'), value: formatCyclonePressure(cyclone, display), inline: true },
+            { name: translate(locale, 'movement'), value: formatCycloneMovement(cyclone, display), inline: true },
+            { name: translate(locale, 'center'), value: nhc.formatCycloneCenter(center), inline: true },
+        ].filter((field) => field.value),
+        footer: { text: `ATCF:${atcf} | ${translate(locale, 'asOfTime', { time: formatAdvisoryTime(cyclone, display) })}` },
+    };
+    if (cyclone.advisoryPubDate) {
+        embed.timestamp = cyclone.advisoryPubDate;
+    }
+
+    return embed;
+}
+
+/**
+ * Builds the embed of an alert of a cyclone that notably changed (e.g. became a hurricane, rapidly intensified)
+ * @param {nhc.Cyclone} cyclone 
+ * @param {import('./cyclone-changes.js').CycloneChange[]} changes 
+ * @param {?import('./display-settings.js').DisplaySettings} display
+ * @returns {import('../lib/discord.js').Embed}
+ */
+export function buildCycloneAlertEmbed(cyclone, changes, display = null) {
+    const { locale } = resolveDisplaySettings(display);
+    const { wallet, atcf } = cyclone;
+    return {
+        title: formatCycloneTitle(cyclone, display),
+        url: nhc.getCycloneStormPageLink(wallet),
+        description: changes.map((change) => `**${describeCycloneChange(change, display)}**`).join('\n'),
+        color: getCycloneEmbedColor(cyclone),
+        fields: [
+            { name: translate(locale, 'maxSustainedWind'), value: formatCycloneWind(cyclone, display), inline: true },
+            { name: translate(locale, 'minimumPressure'), value: formatCyclonePressure(cyclone, display), inline: true },
+        ].filter((field) => field.value),
+        footer: { text: `ATCF:${atcf}` },
+    };
+}
+
+/**
+ * Builds the embed of a cyclone's final summary, detailing its lifetime, peak intensity and last known position
+ * @param {nhc.Cyclone} cyclone - Last known data of the cyclone
+ * @param {?import('./departures.js').CycloneLifetime} lifetime - null when the cyclone has no recorded observations
+ * @param {?import('./display-settings.js').DisplaySettings} display
+ * @returns {import('../lib/discord.js').Embed}
+ */
+export function buildCycloneDepartureEmbed(cyclone, lifetime, display = null) {
+    const { locale, windUnit, pressureUnit } = resolveDisplaySettings(display);
+    const { type, name, wallet, atcf } = cyclone;
+    const lastType = lifetime?.lastObservation.type ?? type;
+    let description = `**${translate(locale, 'advisoriesEnded', { name: toTitleCase(name) })}**`;
+    if (/post-tropical|remnants/i.test(lastType)) {
+        description += `\n${translate(locale, 'lastClassifiedAs', { type: translateTerm(locale, lastType).toLowerCase() })}`;
+    }
+
+    let fields = [];
+    if (lifetime) {
+        const { startTime, endTime, peakCategory, peakWindMph, lowestPressureMb, advisoryCount, lastObservation } = lifetime;
+        fields = [
+            { name: translate(locale, 'lifetime'), value: `${formatDiscordTimestamp(startTime)} - ${formatDiscordTimestamp(endTime)}` },
+            { name: translate(locale, 'peakIntensity'), value: peakCategory > 0 ? translate(locale, 'category', { category: peakCategory }) : null, inline: true },
+            { name: translate(locale, 'peakWind'), value: peakWindMph != null ? formatWind(peakWindMph, windUnit) : null, inline: true },
+            { name: translate(locale, 'lowestPressure'), value: lowestPressureMb != null ? formatPressure(lowestPressureMb, pressureUnit) : null, inline: true },
+            { name: translate(locale, 'advisories'), value: String(advisoryCount), inline: true },
+            { name: translate(locale, 'lastKnownPosition'), value: nhc.formatCycloneCenter(lastObservation.center), inline: true },
+        ];
+    } else {
+        fields = [{ name: translate(locale, 'lastKnownPosition'), value: nhc.formatCycloneCenter(cyclone.center), inline: true }];
+    }
+
+    return {
+        title: translate(locale, 'finalSummaryTitle', { title: formatCycloneTitle(cyclone, display) }),
+        url: nhc.getCycloneStormPageLink(wallet),
+        description,
+        color: getCycloneEmbedColor(cyclone),
+        fields: fields.filter((field) => field.value),
+        footer: { text: `ATCF:${atcf}` },
+    };
+}
+
+/**
+ * Builds the embed of a guild cyclone report, detailing the cyclone's intensity, pressure, movement and headline, along
+ * with the watch and warning changes of its public advisory
+ * @param {nhc.Cyclone} cyclone 
+ * @param {?String} imageUrl - The main graphic (e.g. the cone), e.g. "attachment://<filename>" for an image attached to
+ * the report message. The embed has no image when null
+ * @param {?import('./display-settings.js').DisplaySettings} display
+ * @param {?String} note - Shown below the headline (e.g. why the report has no graphics)
+ * @returns {import('../lib/discord.js').Embed}
+ */
+export function buildCycloneReportEmbed(cyclone, imageUrl, display = null, note = null) {
+    const { locale } = resolveDisplaySettings(display);
+    const { wallet, atcf, center, headline } = cyclone;
+    const update = cyclone.publicAdvisory?.changes.length > 0 ? 'watchesAndWarningsChanged' : 'publicAdvisoryUpdate';
+    let embed = {
+        title: `${formatCycloneTitle(cyclone, display, true)} - ${translate(locale, update)}`,
+        url: nhc.getCycloneStormPageLink(wallet),
+        description: note ? `${headline ?? ''}\n\n*${note}*`.trim() : headline,
+        color: getCycloneEmbedColor(cyclone),
+        fields: [
+            { name: translate(locale, 'maxSustainedWind'), value: formatCycloneWind(cyclone, display), inline: true },
+            { name: translate(locale, 'minimumPressure'), value: formatCyclonePressure(cyclone, display), inline: true },
+            { name: translate(locale, 'movement'), value: formatCycloneMovement(cyclone, display), inline: true },
+            { name: translate(locale, 'center'), value: nhc.formatCycloneCenter(center), inline: true },
+        ],
+        footer: { text: `ATCF:${atcf} | ${translate(locale, 'asOfTime', { time: formatAdvisoryTime(cyclone, display) })}` },
+    };
+    if (imageUrl) {
+        embed.image = { url: imageUrl };
+    }
+    if (cyclone.publicAdvisory) {
+        const { changes, watchesAndWarnings } = cyclone.publicAdvisory;
+        if (changes.length > 0) {
+            embed.fields.push({ name: translate(locale, 'changesWithThisAdvisory'), value: changes.join('\n\n') });
+        }
+        watchesAndWarnings.forEach(({ type, areas }) => {
+            embed.fields.push({
+                name: translate(locale, 'watchWarningInEffect', { type: translateTerm(locale, type) }),
+                value: areas.map((area) => `- ${area}`).join('\n'),
+            });
+        });
+    }
+    if (cyclone.forecastAdvisory?.forecastPoints.length > 0) {
+        embed.fields.push({ name: translate(locale, 'forecast'), value: formatForecastTable(cyclone.forecastAdvisory.forecastPoints, display) });
+    }
+    embed.fields = embed.fields
+        .filter((field) => field.value) // discord rejects empty field values
+        .slice(0, 25)
+        .map((field) => ({ ...field, value: truncateString(field.value, 1024) }));
+    if (cyclone.advisoryPubDate) {
+        embed.timestamp = cyclone.advisoryPubDate;
+    }
+
+    return embed;
+}
+
+/**
+ * Formats forecast points as a fixed-width table in a code block, e.g.
+ * "24h  Aug 31 06Z  32.6N  80.8W   65 mph". Times are in UTC unless the display sets a time zone
+ * @param {nhc.ForecastPoint[]} forecastPoints 
+ * @param {?import('./display-settings.js').DisplaySettings} display
+ * @returns {String}
+ */
+function formatForecastTable(forecastPoints, display) {
+    const { windUnit } = resolveDisplaySettings(display);
+    const times = forecastPoints.map(({ validTime }) => validTime ? formatForecastTime(validTime, display) : '');
+    const timeWidth = Math.max(...times.map((time) => time.length));
+    const rows = forecastPoints.map((point, i) => {
+        const { forecastHour, latitude, longitude, maxWindMph, status } = point;
+        let row = `${String(forecastHour ?? '?').padStart(3)}h  `;
+        if (times[i]) {
+            row += `${times[i].padEnd(timeWidth)}  `;
+        }
+        if (Number.isFinite(latitude)) {
+            row += `${formatForecastCoordinate(latitude, 'N', 'S').padStart(5)} ${formatForecastCoordinate(longitude, 'E', 'W').padStart(6)}  `;
+            row += `${String(maxWindMph != null ? convertWind(maxWindMph, windUnit) : '?').padStart(3)} ${windUnit}`;
+        }
+        if (status) {
+            row = `${row.trimEnd()} ${toTitleCase(status)}`;
+        }
+
+        return row.trimEnd();
+    });
+
+    return `\`\`\`\n${rows.join('\n')}\n\`\`\``;
+}
+
+/**
+ * e.g. "Aug 31 06Z" in UTC, or "Aug 31, 2:00 AM EDT" in the display's time zone
+ * @param {String} validTime - An ISO8061 UTC String
+ * @param {?import('./display-settings.js').DisplaySettings} display
+ * @returns {String}
+ */
+function formatForecastTime(validTime, display) {
+    if (display?.timeZone) {
+        return formatDateTime(validTime, display);
+    }
+
+    const { locale } = resolveDisplaySettings(display);
+    const date = new Date(validTime);
+    const month = date.toLocaleString(locale, { month: 'short', timeZone: 'UTC' });
+    return `${month} ${String(date.getUTCDate()).padStart(2, '0')} ${String(date.getUTCHours()).padStart(2, '0')}Z`;
+}
+
+/**
+ * e.g. -80.8 -> "80.8W"
+ * @param {Number} coordinate 
+ * @param {String} positiveHemisphere 
+ * @param {String} negativeHemisphere 
+ * @returns {String}
+ */
+function formatForecastCoordinate(coordinate, positiveHemisphere, negativeHemisphere) {
+    return `${Math.abs(coordinate).toFixed(1)}${coordinate >= 0 ? positiveHemisphere : negativeHemisphere}`;
+}
+
+/**
+ * Colors of the Saffir-Simpson Hurricane Wind Scale, as used on NHC track maps
+ * @param {nhc.Cyclone} cyclone 
+ * @returns {Number}
+ */
+export function getCycloneEmbedColor(cyclone) {
+    const categoryColors = [null, 0xFFFFCC, 0xFFE775, 0xFFC140, 0xFF8F20, 0xFF6060];
+    const type = cyclone.type.toLowerCase();
+    if (cyclone.hurricaneCategory > 0) {
+        return categoryColors[cyclone.hurricaneCategory];
+    } else if (type.startsWith('tropical storm')) {
+        return 0x00FAF4;
+    } else if (type.startsWith('tropical depression')) {
+        return 0x5EBAFF;
+    }
+
+    return 0xC0C0C0; // subtropical, post-tropical and potential tropical cyclones
+}
@@ -1,97 +1,790 @@
 import './setup-env.js';
-import process from 'node:process';
-import { readFile, writeFile } from 'fs/promises'
-import { join as pathJoin } from 'path';
-import { PROJECT_ROOT_DIRNAME, toTitleCase, addDaysToDate } from '../lib/utils.js';
+import { toTitleCase, truncateString, addDaysToDate, getCurrentDate } from '../lib/utils.js';
 import { logger } from './log.js';
+import { renderIntensityChart } from '../lib/chart.js';
+import { classifyCycloneChanges } from './cyclone-changes.js';
+import { calculateProximity, calculateProximityAlerts, ProximityStatus, DEFAULT_PROXIMITY_RADIUS_MILES } from './proximity.js';
+import { findAutoTrackMatches, describeAutoTrackRule, validateAutoTrackRule } from './auto-track.js';
+import { syncStormRoles, getStormRoleMention, setStormRoleReportMessage } from './storm-roles.js';
+import { getStormThread, archiveInactiveStormThreads } from './storm-threads.js';
+import { calculateCycloneDepartures, summarizeCycloneLifetime } from './departures.js';
+import { createLiveFeedSource } from './feed-source.js';
+import { checkStormGraphicFreshness } from './graphic-freshness.js';
+import { getConfig } from './config.js';
+import { createDryRunSink } from './dry-run-sink.js';
+import { buildCycloneReportEmbed, buildCycloneSummaryEmbed, buildCycloneAlertEmbed, buildCycloneDepartureEmbed, getCycloneEmbedColor } from './discord-embeds.js';
+import { NotificationKind } from './notifiers/notification.js';
+import { sendNotifications, isNotificationSelected } from './notifiers/notifiers.js';
+import { toCompassPoint } from '../lib/geo.js';
+import { formatWind } from '../lib/units.js';
+import { translate, translateCompassPoint } from './i18n.js';
+import {
+    resolveDisplaySettings,
+    parseDisplaySetting,
+    formatCycloneTitle,
+    formatCycloneWind,
+    formatCyclonePressure,
+    formatCycloneMovement,
+    formatDiscordTimestamp,
+} from './display-settings.js';
+import { loadMetadata, saveMetadata, withMetadataLock, createSubscription, filterCyclonesBySubscription } from './metadata.js';
 import * as nhc from '../lib/nhc.js';
 import * as discord from '../lib/discord.js';
 
-const guildTrackCycloneCommand = '!nhctrack';
+const adminCommandPrefix = getConfig().adminCommands.prefix;
+const maxMessageAttachments = 10; // discord's limit
 let adminDMChannel = null;
 
-export async function main() {
+/**
+ * Commands the admin may send in the DM channel, keyed by name (sent as "!nhc<name>")
+ * @type {Object<String, {usage: String, description: String}>}
+ */
+const adminCommands = {
+    track: { usage: '[Channel] <One or more ATCF IDs>', description: 'Report updates of cyclones in a guild channel' },
+    untrack: { usage: '[Channel] <One or more ATCF IDs>', description: 'Stop reporting updates of cyclones in a guild channel' },
+    list: { usage: '', description: 'List active cyclones and the guild channels tracking them' },
+    status: { usage: '[Channel]', description: 'Show the latest conditions of the cyclones guild channels track' },
+    config: { usage: '[Channel] [basins <ALL | Basin names> | graphics <Graphic names> | chart <on | off> | intermediate <on | off> | roles <on | off> | threads <on | off> | webhook <URL | off> | autotrack <add Rule | remove Rule number | off> | language <en | es> | timezone <Zone | default> | clock <12 | 24 | default> | wind <mph | kt | km/h> | pressure <mb | inHg>]', description: 'Show or change the settings of a guild channel' },
+    help: { usage: '', description: 'Show this message' },
+};
+
+/**
+ * Display settings changed by the config command, keyed by the name used in the command
+ */
+const displayConfigSettings = {
+    language: 'locale',
+    timezone: 'timeZone',
+    clock: 'clock',
+    wind: 'windUnit',
+    pressure: 'pressureUnit',
+};
+
+/**
+ * Runs the tracker once: reads the feeds, reports to the admin and guild channels and stores what was seen. Discord 
+ * requests are recorded to the discord.dryRunFile file of the config instead of being sent when it is set
+ * @param {import('./feed-source.js').FeedSource} feedSource - Where NHC products are read from. The live feeds by default
+ */
+export async function main(feedSource = createLiveFeedSource()) {
+    const config = getConfig();
+    if (config.discord.dryRunFile) {
+        discord.setRequestSink(createDryRunSink(config.discord.dryRunFile));
+    }
+
+    // slash commands wait for the run to end instead of saving changes the run would then overwrite
+    await withMetadataLock(() => runTracker(feedSource));
+}
+
+/**
+ * @param {import('./feed-source.js').FeedSource} feedSource
+ */
+async function runTracker(feedSource) {
+    const config = getConfig();
     let metadata = await loadMetadata();
-    let recentCycloneData = await nhc.getActiveCyclonesInBasinRSSFeed(nhc.Basin.ATLANTIC);
+    const trackedBasins = getTrackedBasins();
+    let { 
+        recentCycloneData, 
+        recentDisturbances, 
+        failedBasins,
+    } = await getActiveCyclonesInBasins(feedSource, trackedBasins, metadata.cyclones, metadata.disturbances);
+    recordCycloneObservations(metadata.cycloneHistory, recentCycloneData);
 
-    // check if any new guild tracked cyclones were added in admin channel
-    if (recentCycloneData.length > 0) {
-        metadata.guildTrackedCycloneIds = await getNewGuildTrackedCyclones(recentCycloneData);
+    // storms missing from the feed for several runs in a row are gone (e.g. dissipated or became post-tropical). The last
+    // known data of storms missing for now is kept so that they are not reported again if they come back
+    const lastCycloneData = [...metadata.cyclones, ...Object.values(metadata.missingCyclones).map(({ cyclone }) => cyclone)];
+    const departedCyclones = calculateCycloneDepartures(metadata.missingCyclones, metadata.cyclones, recentCycloneData);
+    const missingCycloneData = Object.values(metadata.missingCyclones).map(({ cyclone }) => cyclone);
+
+    // alert admin of disturbances that became likely to develop
+    const disturbanceAlertThreshold = config.nhc.disturbanceAlertThreshold;
+    if (disturbanceAlertThreshold != null) {
+        const alertDisturbances = calculateDisturbanceAlerts(metadata.disturbances, recentDisturbances, disturbanceAlertThreshold);
+        if (alertDisturbances.length > 0) {
+            logger.info('Disturbances crossed the formation chance threshold, alerting admin...');
+            await sendAdminDisturbanceAlert(alertDisturbances);
+        }
+    }
+
+    // handle commands sent in the admin channel since the last run
+    await handleAdminCommands(metadata, recentCycloneData);
+
+    // track cyclones matching auto-track rules and let the admin know
+    const autoTrackedCyclones = applyAutoTrackRules(metadata.subscriptions, recentCycloneData);
+    if (autoTrackedCyclones.length > 0) {
+        logger.info('Cyclones matched auto-track rules, alerting admin...');
+        await sendAdminAutoTrackAlert(autoTrackedCyclones);
     }
     
-    // send guild report only if tracked cyclones were updated
-    if (metadata.guildTrackedCycloneIds.length > 0) {
+    // reports of new advisories wait for the NHC to regenerate the storm's graphics, so that the previous advisory's cone
+    // is not posted under the new advisory. Deferred storms are compared against their new advisory during this run and
+    // keep their previous advisory in the metadata, so that they are reported as updated on a later run. Only storms 
+    // reported during this run are checked, now that admin commands and auto-track rules have updated what is tracked
+    const reportedCycloneIds = getReportedCycloneIds(metadata.subscriptions, config.notifications.notifiers, recentCycloneData);
+    const { deferredCycloneIds, staleGraphicCycloneIds } = await checkStormGraphicFreshness(
+        calculateTrackedCycloneUpdates(reportedCycloneIds, lastCycloneData, recentCycloneData, [], metadata.cycloneHistory).updatedCyclones,
+        metadata.stormGraphics,
+        feedSource,
+        config.nhc.graphicMaxWaitMinutes
+    );
+    if (deferredCycloneIds.length > 0) {
+        logger.info(`Graphics of cyclones ${deferredCycloneIds.join(', ')} are not updated for their latest advisory yet, deferring their reports...`);
+    }
+    const comparedCycloneData = [
+        ...lastCycloneData.filter((cyclone) => !deferredCycloneIds.includes(cyclone.atcf)),
+        ...recentCycloneData.filter((cyclone) => deferredCycloneIds.includes(cyclone.atcf)),
+    ];
+
+    // alert subscriptions of cyclones nearing their locations
+    for (const subscription of metadata.subscriptions) {
+        if (subscription.locations.length === 0) {
+            continue;
+        }
+
+        const proximityAlerts = calculateProximityAlerts(subscription, filterCyclonesBySubscription(subscription, recentCycloneData));
+        if (proximityAlerts.length > 0) {
+            logger.info(`Cyclones nearing locations found, alerting discord guild channel id:${subscription.channelId}...`);
+            try {
+                await sendGuildProximityAlerts(proximityAlerts, subscription);
+            } catch (error) {
+                logger.error(`Unable to alert discord guild channel id:${subscription.channelId}. Reason:${error.message}`);
+            }
+        }
+    }
+
+    // close out tracked storms that are gone with a summary of their lifetime
+    const departedCycloneIds = departedCyclones.map((cyclone) => cyclone.atcf);
+    for (const subscription of metadata.subscriptions) {
+        const departedTrackedCyclones = departedCyclones.filter((cyclone) => subscription.trackedCycloneIds.includes(cyclone.atcf));
+        subscription.trackedCycloneIds = subscription.trackedCycloneIds.filter((atcf) => !departedCycloneIds.includes(atcf));
+        if (departedTrackedCyclones.length > 0) {
+            logger.info(`Tracked cyclones are gone, sending final summaries to discord guild channel id:${subscription.channelId}...`);
+            try {
+                await sendGuildCycloneDepartures(departedTrackedCyclones, subscription, metadata.cycloneHistory);
+            } catch (error) {
+                logger.error(`Unable to report to discord guild channel id:${subscription.channelId}. Reason:${error.message}`);
+            }
+        }
+        departedCycloneIds.forEach((atcf) => delete subscription.cycloneReportMessageIds[atcf]);
+    }
+
+    // close the threads of storms that are gone, keeping those of storms only missing from the feed for now
+    const activeCycloneIds = [...recentCycloneData, ...missingCycloneData].map((cyclone) => cyclone.atcf);
+    Object.keys(metadata.stormGraphics)
+        .filter((atcf) => !activeCycloneIds.includes(atcf))
+        .forEach((atcf) => delete metadata.stormGraphics[atcf]);
+    for (const subscription of metadata.subscriptions) {
+        try {
+            await archiveInactiveStormThreads(subscription, activeCycloneIds);
+        } catch (error) {
+            logger.error(`Unable to archive storm threads of discord guild channel id:${subscription.channelId}. Reason:${error.message}`);
+        }
+    }
+
+    // send guild reports per subscription only if its tracked cyclones were updated
+    for (const subscription of metadata.subscriptions) {
+        if (subscription.trackedCycloneIds.length === 0 && Object.keys(subscription.stormRoles).length === 0) {
+            continue;
+        }
+
+        const subscribedCycloneData = filterCyclonesBySubscription(subscription, recentCycloneData);
         const { 
             updatedCyclones, 
-            trackableCycloneIds 
-        } = calculateTrackedCycloneUpdates(metadata.guildTrackedCycloneIds, metadata.cyclones, recentCycloneData);
+            trackableCycloneIds,
+            cycloneAlerts,
+        } = calculateTrackedCycloneUpdates(
+            subscription.trackedCycloneIds, 
+            comparedCycloneData, 
+            subscribedCycloneData, 
+            Object.keys(metadata.missingCyclones), 
+            metadata.cycloneHistory,
+            subscription.reportIntermediateAdvisories !== false
+        );
 
         // update to include only trackable IDs
-        metadata.guildTrackedCycloneIds = trackableCycloneIds;
+        subscription.trackedCycloneIds = trackableCycloneIds;
+
+        // roles are brought up to date before reports replace the report messages members react to. Webhooks cannot
+        // manage roles, so webhook subscriptions only mention roles configured by hand
+        if (!subscription.webhookUrl && (subscription.enableStormRoles || Object.keys(subscription.stormRoles).length > 0)) {
+            try {
+                const trackedCyclones = [...subscribedCycloneData, ...missingCycloneData].filter((cyclone) => trackableCycloneIds.includes(cyclone.atcf));
+                await syncStormRoles(subscription, trackedCyclones);
+            } catch (error) {
+                logger.error(`Unable to update storm roles of discord guild channel id:${subscription.channelId}. Reason:${error.message}`);
+            }
+        }
+
+        // report newly auto-tracked cyclones right away instead of waiting for their next advisory
+        autoTrackedCyclones.forEach(({ channelId, cyclone }) => {
+            if (channelId === subscription.channelId && !updatedCyclones.includes(cyclone) && !deferredCycloneIds.includes(cyclone.atcf)) {
+                updatedCyclones.push(cyclone);
+            }
+        });
+
+        if (updatedCyclones.length > 0 || cycloneAlerts.length > 0) {
+            logger.info(`Cyclone updates found, reporting to discord guild channel id:${subscription.channelId}...`);
+            try {
+                await sendGuildCycloneAlerts(cycloneAlerts, subscription);
+                // intermediate advisories the channel does not report may still have alerts
+                if (updatedCyclones.length > 0) {
+                    subscription.reportMessageIds = await sendGuildCycloneReports(updatedCyclones, subscription, metadata.cycloneHistory, feedSource, staleGraphicCycloneIds);
+                }
+            } catch (error) {
+                // don't let one unreachable channel stop the remaining subscriptions from being reported
+                logger.error(`Unable to report to discord guild channel id:${subscription.channelId}. Reason:${error.message}`);
+            }
+        }
+    }
 
-        if (updatedCyclones.length > 0) {
-            logger.info('Cyclone updates found, reporting to discord guild...');
-            metadata.guildReportMessageIds = await sendGuildCycloneReports(updatedCyclones, metadata.guildReportMessageIds);
+    // notify destinations outside of guild subscriptions, each selecting the storms it receives
+    if (config.notifications.notifiers.length > 0) {
+        const notifications = calculateCycloneNotifications(comparedCycloneData, recentCycloneData, departedCyclones, metadata.cycloneHistory);
+        if (notifications.length > 0) {
+            logger.info(`Cyclone updates found, sending ${notifications.length} notification(s) to notifiers...`);
+            await sendNotifications(config.notifications.notifiers, notifications, config.discord.dryRunFile);
         }
     }
 
     // send admin report only if next report should occur
-    if (new Date() > new Date(metadata.adminReportNextTime)) {
+    if (getCurrentDate() >= new Date(metadata.adminReportNextTime)) {
         logger.info('Generating new admin cyclone report...');
-        metadata.adminReportMessageId = await sendAdminCycloneReport(recentCycloneData, metadata.adminReportMessageId);
+        try {
+            metadata.adminReportMessageId = await sendAdminCycloneReport(
+                recentCycloneData, 
+                recentDisturbances, 
+                getRegisteredLocations(metadata.subscriptions), 
+                trackedBasins, 
+                failedBasins, 
+                metadata.adminReportMessageId
+            );
 
-        let tomorrowDateString = addDaysToDate(new Date(), 1).toISOString().substring(0, 10);
-        metadata.adminReportNextTime = `${tomorrowDateString}T08:00:00.000Z`; // @ 8am UTC
+            let tomorrowDateString = addDaysToDate(getCurrentDate(), 1).toISOString().substring(0, 10);
+            metadata.adminReportNextTime = `${tomorrowDateString}T${config.adminReport.time}:00.000Z`;
+        } catch (error) {
+            // what was reported to guilds is still saved, the admin report is retried on the next run
+            logger.error(`Unable to send the admin cyclone report. Reason:${error.message}`);
+        }
     }
     
     // update metadata.json
-    metadata.cyclones = recentCycloneData;
+    metadata.cyclones = recentCycloneData.map((cyclone) => deferredCycloneIds.includes(cyclone.atcf) 
+        ? lastCycloneData.find(({ atcf }) => atcf === cyclone.atcf) 
+        : cyclone);
+    metadata.disturbances = recentDisturbances;
     await saveMetadata(metadata);
 }
 
-async function getNewGuildTrackedCyclones(recentCycloneData) {
-    let newGuildTrackedCycloneIDs = [];
+/**
+ * @param {Subscription[]} subscriptions 
+ * @param {import('./notifiers/notifiers.js').NotifierConfig[]} notifierConfigs 
+ * @param {nhc.Cyclone[]} recentCycloneData 
+ * @returns {String[]} ATCF IDs of the cyclones whose updates are reported to a subscription tracking them or to a 
+ * notifier selecting them
+ */
+function getReportedCycloneIds(subscriptions, notifierConfigs, recentCycloneData) {
+    return recentCycloneData.filter((cyclone) => {
+        const isTracked = subscriptions.some((subscription) => {
+            return subscription.trackedCycloneIds.includes(cyclone.atcf) && filterCyclonesBySubscription(subscription, [cyclone]).length > 0;
+        });
+        return isTracked || notifierConfigs.some((notifierConfig) => isNotificationSelected(notifierConfig, { kind: NotificationKind.REPORT, cyclone }));
+    }).map((cyclone) => cyclone.atcf);
+}
 
-    // read admin channel to find the most recent message with the track command
-    let adminDMChannel = await getAdminDMChannel();
-    let recentMessages = await discord.getMessagesInChannel(adminDMChannel.id, null, null, 10); // return only last 10 messages
+/**
+ * @returns {nhc.Basin[]} the basins to poll, as set in the config
+ */
+function getTrackedBasins() {
+    return getConfig().nhc.trackedBasins.map((basinName) => nhc.Basin[basinName]);
+}
 
-    let mostRecentMessageWithCommandContent = null;
-    let mostRecentMessageWithCommandDate = addDaysToDate(new Date(), -30); // only messages within the last month
-    recentMessages.forEach(message => {
-        if (!message.author.bot && new Date(message.timestamp) > mostRecentMessageWithCommandDate && message.content.includes(guildTrackCycloneCommand)) {
-            mostRecentMessageWithCommandContent = message.content;
-            mostRecentMessageWithCommandDate = new Date(message.timestamp);
+/**
+ * Fetches the active cyclones and outlook disturbances of every given basin and merges the cyclones into a single 
+ * collection with one entry per ATCF ID. If a basin's feed cannot be fetched, the cyclones and disturbances last stored 
+ * for that basin are carried over so that they remain trackable until the feed is reachable again
+ * @param {import('./feed-source.js').FeedSource} feedSource
+ * @param {nhc.Basin[]} basins
+ * @param {nhc.Cyclone[]} oldCycloneData
+ * @param {nhc.Disturbance[]} oldDisturbances
+ * @returns {{recentCycloneData: nhc.Cyclone[], recentDisturbances: nhc.Disturbance[], failedBasins: nhc.Basin[]}}
+ */
+async function getActiveCyclonesInBasins(feedSource, basins, oldCycloneData, oldDisturbances) {
+    let cycloneMap = new Map();
+    let recentDisturbances = [];
+    let failedBasins = [];
+    for (const basin of basins) {
+        let basinCycloneData;
+        try {
+            const basinReport = await feedSource.getBasinReport(basin);
+            basinCycloneData = basinReport.cyclones;
+            basinCycloneData.forEach((cyclone) => cyclone.basin = basin);
+            (basinReport.outlook?.disturbances ?? []).forEach((disturbance) => {
+                disturbance.basin = basin;
+                recentDisturbances.push(disturbance);
+            });
+        } catch (error) {
+            logger.error(`Unable to fetch ${nhc.BasinName[basin]} basin cyclones. Reason:${error.message}`);
+            failedBasins.push(basin);
+            basinCycloneData = oldCycloneData.filter((cyclone) => cyclone.basin === basin);
+            recentDisturbances.push(...oldDisturbances.filter((disturbance) => disturbance.basin === basin));
         }
+
+        // a storm crossing basins may briefly appear in both feeds, keep the most recently advised entry
+        for (const cyclone of basinCycloneData) {
+            let existingCyclone = cycloneMap.get(cyclone.atcf);
+            if (existingCyclone == null || new Date(cyclone.advisoryPubDate) > new Date(existingCyclone.advisoryPubDate)) {
+                cycloneMap.set(cyclone.atcf, cyclone);
+            }
+        }
+    }
+
+    return {
+        recentCycloneData: Array.from(cycloneMap.values()),
+        recentDisturbances,
+        failedBasins,
+    };
+}
+
+/**
+ * Returns the disturbances whose 7-day formation chance reached the threshold since the last outlook
+ * @param {nhc.Disturbance[]} oldDisturbances 
+ * @param {nhc.Disturbance[]} recentDisturbances 
+ * @param {Number} threshold - Formation chance in percent
+ * @returns {nhc.Disturbance[]}
+ */
+function calculateDisturbanceAlerts(oldDisturbances, recentDisturbances, threshold) {
+    // outlook numbering changes between issuances, so disturbances are matched by invest ID or location
+    const getDisturbanceKey = (disturbance) => disturbance.invest ?? `${disturbance.basin}:${disturbance.location.toLowerCase()}`;
+    let oldChances = new Map();
+    oldDisturbances.forEach((disturbance) => {
+        oldChances.set(getDisturbanceKey(disturbance), disturbance.formationChance7Day?.percent ?? 0);
     });
 
-    // check if the most recent track command message has a valid ID (atcf)
-    if (mostRecentMessageWithCommandContent) {
-        let recentCycloneIDs = recentCycloneData.map((cyclone) => cyclone.atcf);
-        let messageWords = mostRecentMessageWithCommandContent.split(' ');
-        newGuildTrackedCycloneIDs = messageWords.filter((word) => recentCycloneIDs.includes(word.trim()));
+    return recentDisturbances.filter((disturbance) => {
+        const recentChance = disturbance.formationChance7Day?.percent ?? 0;
+        const oldChance = oldChances.get(getDisturbanceKey(disturbance)) ?? 0;
+        return recentChance >= threshold && oldChance < threshold;
+    });
+}
+
+/**
+ * Reads the messages sent to the admin DM channel since the last handled one and runs the commands among them in the 
+ * order they were sent, replying to each with a confirmation or an error. Each message is handled once, the last handled
+ * message ID is remembered in the metadata
+ * @param {Metadata} metadata
+ * @param {nhc.Cyclone[]} recentCycloneData
+ */
+async function handleAdminCommands(metadata, recentCycloneData) {
+    let adminDMChannel = await getAdminDMChannel();
+    let messages;
+    if (metadata.adminCommandLastMessageId) {
+        messages = await discord.getMessagesInChannelAfterId(adminDMChannel.id, metadata.adminCommandLastMessageId);
+    } else {
+        // nothing handled yet, only look at recent messages
+        messages = await discord.getMessagesInChannel(adminDMChannel.id, addDaysToDate(getCurrentDate(), -getConfig().adminCommands.lookbackDays), null);
+    }
+
+    messages.sort((a, b) => (BigInt(a.id) < BigInt(b.id) ? -1 : 1));
+    for (const message of messages) {
+        const lastMessageId = metadata.adminCommandLastMessageId;
+        if (lastMessageId && BigInt(message.id) <= BigInt(lastMessageId)) {
+            continue; // already handled
+        }
+
+        metadata.adminCommandLastMessageId = message.id;
+        const command = parseAdminCommand(message.content);
+        if (message.author.bot || command == null) {
+            continue;
+        }
+
+        logger.info(`Handling admin command "${adminCommandPrefix}${command.name}" in discord message id:${message.id}`);
+        const reply = runAdminCommand(command, metadata, recentCycloneData);
+        await discord.createTextMessageInChannel(adminDMChannel.id, truncateString(reply, 2000));
     }
+}
+
+/**
+ * An admin DM command, e.g. "!nhctrack <#111111111111111111> AL052023"
+ * @typedef {Object} AdminCommand
+ * @property {String} name - Command name without the prefix (e.g. "track")
+ * @property {?String} channelId - Guild channel named by the command as a channel mention or ID, if any
+ * @property {String[]} args - Remaining words of the command
+ */
 
-    return newGuildTrackedCycloneIDs;
+/**
+ * @param {String} content - Message content
+ * @returns {?AdminCommand} null when the message is not a command
+ */
+function parseAdminCommand(content) {
+    let words = content.trim().split(/\s+/);
+    const commandWord = words[0].toLowerCase();
+    if (!commandWord.startsWith(adminCommandPrefix) || commandWord.length === adminCommandPrefix.length) {
+        return null;
+    }
+
+    let channelId = null;
+    let args = words.slice(1);
+    const channelMatch = (args[0] ?? '').match(/^(?:<#(\d+)>|(\d+))$/);
+    if (channelMatch) {
+        channelId = channelMatch[1] ?? channelMatch[2];
+        args = args.slice(1);
+    }
+
+    return {
+        name: commandWord.substring(adminCommandPrefix.length),
+        channelId,
+        args,
+    };
+}
+
+/**
+ * Runs an admin command against the metadata
+ * @param {AdminCommand} command
+ * @param {Metadata} metadata
+ * @param {nhc.Cyclone[]} recentCycloneData
+ * @returns {String} the reply message
+ */
+function runAdminCommand(command, metadata, recentCycloneData) {
+    const { name, args } = command;
+    const commandUsage = adminCommands[name] ? `"${adminCommandPrefix}${name} ${adminCommands[name].usage}"` : null;
+    if (commandUsage == null) {
+        return `Unknown command "${adminCommandPrefix}${name}". Send "${adminCommandPrefix}help" to see every command.`;
+    } else if (name === 'help') {
+        return formatAdminCommandHelp();
+    } else if (name === 'list') {
+        return formatAdminCycloneList(metadata.subscriptions, recentCycloneData);
+    } else if (name === 'status' && command.channelId == null) {
+        return metadata.subscriptions.map((subscription) => formatSubscriptionStatus(subscription, recentCycloneData)).join('\n\n')
+            || 'No guild channels receive cyclone reports.';
+    }
+
+    const channelId = command.channelId ?? getConfig().discord.guildChannelId;
+    if (!channelId) {
+        return `Please name a guild channel, e.g. ${commandUsage}`;
+    }
+    let subscription = metadata.subscriptions.find((subscription) => subscription.channelId === channelId);
+
+    if (name === 'track') {
+        const cycloneIds = args.map((id) => id.toUpperCase());
+        if (cycloneIds.length === 0) {
+            return `Please give one or more ATCF IDs, e.g. ${commandUsage}`;
+        }
+
+        const activeCycloneIds = filterCyclonesBySubscription(subscription ?? createSubscription(channelId), recentCycloneData)
+            .map((cyclone) => cyclone.atcf);
+        const unknownCycloneIds = cycloneIds.filter((id) => !activeCycloneIds.includes(id));
+        if (unknownCycloneIds.length > 0) {
+            return `Unknown ATCF ID(s): ${unknownCycloneIds.join(', ')}. Send "${adminCommandPrefix}list" to see the active cyclones.`;
+        }
+
+        if (subscription == null) {
+            subscription = createSubscription(channelId);
+            metadata.subscriptions.push(subscription);
+        }
+        cycloneIds.forEach((id) => {
+            if (!subscription.trackedCycloneIds.includes(id)) {
+                subscription.trackedCycloneIds.push(id);
+            }
+        });
+
+        return `Now tracking ${cycloneIds.join(', ')} in <#${channelId}>. Reports are sent with the next public advisory.`;
+    } else if (name === 'config' && args.length > 0) {
+        return updateSubscriptionConfig(metadata, subscription ?? createSubscription(channelId), args, commandUsage);
+    }
+
+    if (subscription == null) {
+        return `<#${channelId}> does not receive cyclone reports. Send "${adminCommandPrefix}track" to start tracking a cyclone there.`;
+    }
+
+    if (name === 'untrack') {
+        const cycloneIds = args.map((id) => id.toUpperCase());
+        if (cycloneIds.length === 0) {
+            return `Please give one or more ATCF IDs, e.g. ${commandUsage}`;
+        }
+
+        const untrackedCycloneIds = cycloneIds.filter((id) => !subscription.trackedCycloneIds.includes(id));
+        if (untrackedCycloneIds.length > 0) {
+            return `<#${channelId}> does not track ATCF ID(s): ${untrackedCycloneIds.join(', ')}.`;
+        }
+
+        subscription.trackedCycloneIds = subscription.trackedCycloneIds.filter((id) => !cycloneIds.includes(id));
+        return `Stopped tracking ${cycloneIds.join(', ')} in <#${channelId}>.`;
+    } else if (name === 'status') {
+        return formatSubscriptionStatus(subscription, recentCycloneData);
+    }
+
+    // config without arguments shows the channel's settings
+    const basins = subscription.basins.length > 0 ? subscription.basins.join(', ') : 'ALL';
+    return `**Settings of <#${channelId}>**\n`
+        + `basins: ${basins}\n`
+        + `graphics: ${subscription.graphics.join(', ') || 'none'}\n`
+        + `chart: ${subscription.attachIntensityChart !== false ? 'on' : 'off'}\n`
+        + `intermediate: ${subscription.reportIntermediateAdvisories !== false ? 'on' : 'off'}\n`
+        + `roles: ${subscription.enableStormRoles ? 'on' : 'off'}\n`
+        + `threads: ${subscription.useStormThreads ? 'on' : 'off'}\n`
+        + `delivery: ${subscription.webhookUrl ? 'webhook (no pins, roles or threads)' : 'bot'}\n`
+        + `display: ${formatDisplaySettings(subscription.display)}\n`
+        + `locations: ${subscription.locations.map((location) => location.name).join(', ') || 'none'}\n`
+        + `auto-track rules: ${subscription.autoTrackRules.map((rule, i) => `${i + 1}. ${describeAutoTrackRule(rule)}`).join('; ') || 'none'}`;
+}
+
+/**
+ * Changes one setting of a subscription, adding the subscription to the metadata if it is new
+ * @param {Metadata} metadata
+ * @param {Subscription} subscription
+ * @param {String[]} args - Setting name followed by its value (e.g. ["basins", "ATLANTIC,EASTERNPACIFIC"])
+ * @param {String} commandUsage
+ * @returns {String} the reply message
+ */
+function updateSubscriptionConfig(metadata, subscription, args, commandUsage) {
+    const [setting, ...values] = args;
+    const value = values.join(',').toUpperCase();
+    if (setting.toLowerCase() === 'basins') {
+        const basinNames = value.split(',').filter((basinName) => basinName.length > 0);
+        const unknownBasinNames = basinNames.filter((basinName) => basinName !== 'ALL' && nhc.Basin[basinName] == null);
+        if (basinNames.length === 0 || unknownBasinNames.length > 0) {
+            return `Unknown basin(s): ${unknownBasinNames.join(', ') || 'none given'}. Expected ALL or one or more of: ${Object.keys(nhc.Basin).join(', ')}`;
+        }
+
+        subscription.basins = basinNames.includes('ALL') ? [] : Array.from(new Set(basinNames));
+    } else if (setting.toLowerCase() === 'graphics') {
+        const graphicNames = value.split(',').filter((graphicName) => graphicName.length > 0);
+        const graphics = graphicNames.map((graphicName) => Object.values(nhc.StormGraphic).find((graphic) => graphic.toUpperCase() === graphicName));
+        const unknownGraphicNames = graphicNames.filter((graphicName, i) => graphics[i] == null);
+        if (graphicNames.length === 0 || unknownGraphicNames.length > 0) {
+            return `Unknown graphic(s): ${unknownGraphicNames.join(', ') || 'none given'}. Expected one or more of: ${Object.values(nhc.StormGraphic).join(', ')}`;
+        }
+
+        subscription.graphics = Array.from(new Set(graphics));
+    } else if (setting.toLowerCase() === 'roles') {
+        if (value !== 'ON' && value !== 'OFF') {
+            return `Expected "on" or "off" for roles, e.g. "${adminCommandPrefix}config roles on"`;
+        }
+
+        subscription.enableStormRoles = value === 'ON';
+    } else if (setting.toLowerCase() === 'threads') {
+        if (value !== 'ON' && value !== 'OFF') {
+            return `Expected "on" or "off" for threads, e.g. "${adminCommandPrefix}config threads on"`;
+        }
+
+        subscription.useStormThreads = value === 'ON';
+    } else if (setting.toLowerCase() === 'webhook') {
+        if (value !== 'OFF') {
+            try {
+                discord.parseWebhookUrl(values[0]);
+            } catch (error) {
+                return `${error.message}, or "off" to send as the bot`;
+            }
+        }
+        subscription.webhookUrl = value === 'OFF' ? null : values[0].trim();
+        subscription.cycloneReportMessageIds = {}; // reports sent one way cannot be replaced or unpinned the other way
+    } else if (setting.toLowerCase() === 'chart') {
+        if (value !== 'ON' && value !== 'OFF') {
+            return `Expected "on" or "off" for chart, e.g. "${adminCommandPrefix}config chart off"`;
+        }
+
+        subscription.attachIntensityChart = value === 'ON';
+    } else if (setting.toLowerCase() === 'intermediate') {
+        if (value !== 'ON' && value !== 'OFF') {
+            return `Expected "on" or "off" for intermediate, e.g. "${adminCommandPrefix}config intermediate off"`;
+        }
+
+        subscription.reportIntermediateAdvisories = value === 'ON';
+    } else if (setting.toLowerCase() === 'autotrack') {
+        const action = (values[0] ?? '').toLowerCase();
+        if (action === 'add') {
+            let rule;
+            try {
+                rule = JSON.parse(values.slice(1).join(' ').replace(/^`+(?:json)?|`+$/g, '')); // rules are often sent as code
+                validateAutoTrackRule(rule);
+            } catch (error) {
+                return `Invalid auto-track rule: ${error.message}. Expected its conditions as JSON, e.g. \`${adminCommandPrefix}config autotrack add {"basins": ["ATLANTIC"], "minCategory": 3, "withinMiles": 300}\``;
+            }
+
+            subscription.autoTrackRules.push(rule);
+        } else if (action === 'remove') {
+            const ruleNumber = Number(values[1]);
+            if (!Number.isInteger(ruleNumber) || subscription.autoTrackRules[ruleNumber - 1] == null) {
+                return `Expected the number of one of the ${subscription.autoTrackRules.length} auto-track rule(s) shown by "${adminCommandPrefix}config", e.g. "${adminCommandPrefix}config autotrack remove 1"`;
+            }
+
+            subscription.autoTrackRules.splice(ruleNumber - 1, 1);
+        } else if (action === 'off') {
+            subscription.autoTrackRules = [];
+        } else {
+            return `Expected "add <Rule>", "remove <Rule number>" or "off" for autotrack, e.g. "${adminCommandPrefix}config autotrack off"`;
+        }
+    } else if (displayConfigSettings[setting.toLowerCase()]) {
+        const displaySetting = displayConfigSettings[setting.toLowerCase()];
+        if (value === 'DEFAULT') {
+            delete subscription.display[displaySetting];
+        } else {
+            try {
+                subscription.display[displaySetting] = parseDisplaySetting(displaySetting, values.join(' '));
+            } catch (error) {
+                return `${error.message}, or "default"`;
+            }
+        }
+    } else {
+        return `Unknown setting "${setting}". Usage: ${commandUsage}`;
+    }
+
+    if (!metadata.subscriptions.includes(subscription)) {
+        metadata.subscriptions.push(subscription);
+    }
+
+    return `Updated the ${setting.toLowerCase()} setting of <#${subscription.channelId}>.`;
+}
+
+/**
+ * e.g. "language es, timezone America/Chicago, clock 24h, wind km/h, pressure mb"
+ * @param {import('./display-settings.js').DisplaySettings} display
+ * @returns {String}
+ */
+function formatDisplaySettings(display) {
+    const { locale, timeZone, clock, windUnit, pressureUnit } = resolveDisplaySettings(display);
+    return `language ${locale}, timezone ${timeZone}, clock ${clock ? `${clock}h` : 'default'}, wind ${windUnit}, pressure ${pressureUnit}`;
+}
+
+/**
+ * @returns {String} every admin command and its usage
+ */
+function formatAdminCommandHelp() {
+    let formattedHelp = '**Commands**\n';
+    for (const name in adminCommands) {
+        const { usage, description } = adminCommands[name];
+        formattedHelp += `- \`${`${adminCommandPrefix}${name} ${usage}`.trim()}\` ${description}\n`;
+    }
+    formattedHelp += '_Channel is a channel mention or ID, and defaults to the discord.guildChannelId channel of the config_';
+
+    return formattedHelp;
+}
+
+/**
+ * e.g. "- `AL102023` Hurricane Idalia (tracked in <#111111111111111111>)"
+ * @param {Subscription[]} subscriptions
+ * @param {nhc.Cyclone[]} recentCycloneData
+ * @returns {String}
+ */
+function formatAdminCycloneList(subscriptions, recentCycloneData) {
+    if (recentCycloneData.length === 0) {
+        return 'There are no tropical cyclones at this time.';
+    }
+
+    return recentCycloneData.map((cyclone) => {
+        const trackingChannels = subscriptions
+            .filter((subscription) => subscription.trackedCycloneIds.includes(cyclone.atcf))
+            .map((subscription) => `<#${subscription.channelId}>`);
+        let formattedCyclone = `- \`${cyclone.atcf}\` ${toTitleCase(cyclone.type)} ${toTitleCase(cyclone.name)}`;
+        if (trackingChannels.length > 0) {
+            formattedCyclone += ` (tracked in ${trackingChannels.join(', ')})`;
+        }
+        return formattedCyclone;
+    }).join('\n');
+}
+
+/**
+ * Lists the latest conditions of the cyclones a subscription tracks
+ * @param {Subscription} subscription
+ * @param {nhc.Cyclone[]} recentCycloneData
+ * @returns {String}
+ */
+function formatSubscriptionStatus(subscription, recentCycloneData) {
+    const trackedCyclones = recentCycloneData.filter((cyclone) => subscription.trackedCycloneIds.includes(cyclone.atcf));
+    let formattedStatus = `**<#${subscription.channelId}>**\n`;
+    if (trackedCyclones.length === 0) {
+        return `${formattedStatus}Not tracking any cyclones.`;
+    }
+
+    return formattedStatus + trackedCyclones.map((cyclone) => {
+        const { type, name, atcf, hurricaneCategory, wind, pressure, movement, datetime } = cyclone;
+        let status = `${toTitleCase(type)} ${toTitleCase(name)} `;
+        if (hurricaneCategory > 0) {
+            status += `(Category ${hurricaneCategory}) `;
+        }
+        status += `\`ATCF:${atcf}\`\n`;
+        status += `Wind: ${wind} | Pressure: ${pressure} | Movement: ${movement} | As of ${datetime}`;
+        return status;
+    }).join('\n');
 }
 
 async function getAdminDMChannel() {
     if (!adminDMChannel) {
-        adminDMChannel = await discord.getDMChannel(process.env.DISCORD_ADMIN_ID);
+        adminDMChannel = await discord.getDMChannel(getConfig().discord.adminId);
     }
 
     return adminDMChannel;
 }
 
+/**
+ * A cyclone a subscription started tracking through one of its auto-track rules
+ * @typedef {Object} AutoTrackedCyclone
+ * @property {String} channelId - The subscription's guild channel
+ * @property {nhc.Cyclone} cyclone
+ * @property {import('./auto-track.js').AutoTrackRule} rule
+ */
+
+/**
+ * Adds the cyclones matching each subscription's auto-track rules to its tracked cyclones. Subscriptions with invalid 
+ * rules are skipped
+ * @param {Subscription[]} subscriptions
+ * @param {nhc.Cyclone[]} recentCycloneData
+ * @returns {AutoTrackedCyclone[]}
+ */
+function applyAutoTrackRules(subscriptions, recentCycloneData) {
+    const recentCycloneIds = recentCycloneData.map((cyclone) => cyclone.atcf);
+    let autoTrackedCyclones = [];
+    for (const subscription of subscriptions) {
+        // forget cyclones that are no longer active
+        subscription.autoTrackedCycloneIds = subscription.autoTrackedCycloneIds.filter((id) => recentCycloneIds.includes(id));
+        if (subscription.autoTrackRules.length === 0) {
+            continue;
+        }
+
+        try {
+            const matches = findAutoTrackMatches(subscription, filterCyclonesBySubscription(subscription, recentCycloneData));
+            matches.forEach(({ cyclone, rule }) => {
+                subscription.trackedCycloneIds.push(cyclone.atcf);
+                subscription.autoTrackedCycloneIds.push(cyclone.atcf);
+                autoTrackedCyclones.push({ channelId: subscription.channelId, cyclone, rule });
+            });
+        } catch (error) {
+            logger.error(`Unable to apply auto-track rules of discord guild channel id:${subscription.channelId}. Reason:${error.message}`);
+        }
+    }
+
+    return autoTrackedCyclones;
+}
+
+/**
+ * Creates a message in the admin DM channel listing the cyclones auto-track rules started tracking
+ * @param {AutoTrackedCyclone[]} autoTrackedCyclones 
+ */
+async function sendAdminAutoTrackAlert(autoTrackedCyclones) {
+    let formattedMessage = '## :satellite: Auto-Tracked Cyclones\n';
+    autoTrackedCyclones.forEach(({ channelId, cyclone, rule }) => {
+        formattedMessage += `- ${toTitleCase(cyclone.type)} ${toTitleCase(cyclone.name)} \`${cyclone.atcf}\` in <#${channelId}> `;
+        formattedMessage += `(rule: ${describeAutoTrackRule(rule)})\n`;
+    });
+    formattedMessage += `_Stop tracking one with "${adminCommandPrefix}untrack ${adminCommands.untrack.usage}"_`;
+
+    let adminDMChannel = await getAdminDMChannel();
+    await discord.createTextMessageInChannel(adminDMChannel.id, truncateString(formattedMessage, 2000));
+}
+
 /**
  * Returns cyclones whose public advisory has updated since the last time. If it cannot find public advisory data, 
  * it defaults to checking for updates using the cyclone summary GUID. Also returns the IDs of cyclones that are 
- * still present in recent cyclone data, and are trackable
+ * still present in recent cyclone data, or only missing from the feed for now, and are trackable, along with the 
+ * notable changes (e.g. category increase, rapid intensification) of cyclones whose advisory has updated
+ * @param {String[]} trackedCycloneIds 
  * @param {nhc.Cyclone[]} oldCycloneData 
  * @param {nhc.Cyclone[]} recentCycloneData 
- * @returns {{updatedCyclones: nhc.Cyclone[], trackableCycloneIds: String[]}}
+ * @param {String[]} missingCycloneIds - Cyclones missing from the feed that are not considered gone yet
+ * @param {Object<String, CycloneObservation[]>} cycloneHistory - Observations keyed by ATCF ID
+ * @param {Boolean} reportIntermediateAdvisories - Whether cyclones whose advisory updated to an intermediate advisory 
+ * (e.g. "16A") are returned as updated. Their notable changes are returned either way
+ * @returns {{updatedCyclones: nhc.Cyclone[], trackableCycloneIds: String[], cycloneAlerts: CycloneAlert[]}}
  */
-function calculateTrackedCycloneUpdates(trackedCycloneIds, oldCycloneData, recentCycloneData) {
+function calculateTrackedCycloneUpdates(trackedCycloneIds, oldCycloneData, recentCycloneData, missingCycloneIds, cycloneHistory, reportIntermediateAdvisories = true) {
     // transform arrays to map
     oldCycloneData = buildCycloneMap(oldCycloneData);
     recentCycloneData = buildCycloneMap(recentCycloneData);
@@ -99,6 +792,7 @@ function calculateTrackedCycloneUpdates(trackedCycloneIds, oldCycloneData, recen
     // go through data
     let updatedCyclones = [];
     let trackableCycloneIds = [];
+    let cycloneAlerts = [];
     for (const atcfId of trackedCycloneIds) {
         let oldCyclone = oldCycloneData.get(atcfId);
         let recentCyclone = recentCycloneData.get(atcfId);
@@ -111,95 +805,148 @@ function calculateTrackedCycloneUpdates(trackedCycloneIds, oldCycloneData, recen
             if (oldCyclone == null) {
                 // we don't have existing data on cyclone -> new cyclone
                 updatedCyclones.push(recentCyclone);
-            } else if (oldCyclone.hasOwnProperty('advisoryPubDate') && recentCyclone.hasOwnProperty('advisoryPubDate')) {
-                if (oldCyclone.advisoryPubDate !== recentCyclone.advisoryPubDate) {
-                    // advisory has updated, we have updated cyclone data
-                    updatedCyclones.push(recentCyclone);
-                }
+                continue;
+            }
+
+            let isAdvisoryUpdated = false;
+            if (oldCyclone.hasOwnProperty('advisoryPubDate') && recentCyclone.hasOwnProperty('advisoryPubDate')) {
+                // advisory has updated, we have updated cyclone data
+                isAdvisoryUpdated = oldCyclone.advisoryPubDate !== recentCyclone.advisoryPubDate;
             } else if (oldCyclone.updateGuid !== recentCyclone.updateGuid) {
                 logger.info(`Unable to read advisoryPubDates, falling back to measuring updates via updateGuids`);
+                isAdvisoryUpdated = true;
+            }
+            if (!isAdvisoryUpdated) {
+                continue;
+            }
+
+            if (reportIntermediateAdvisories || !nhc.isIntermediateAdvisory(recentCyclone)) {
                 updatedCyclones.push(recentCyclone);
             }
+
+            // classify what changed since the previous advisory
+            let changes = classifyCycloneChanges(oldCyclone, recentCyclone, cycloneHistory[atcfId]);
+            if (changes.length > 0) {
+                cycloneAlerts.push({ cyclone: recentCyclone, changes });
+            }
+        } else if (missingCycloneIds.includes(atcfId)) {
+            // kept until it has been missing long enough to be considered gone
+            trackableCycloneIds.push(atcfId);
         } // cyclone id is no longer in recent data -> untrackable
     }
 
     return {
         updatedCyclones,
         trackableCycloneIds,
+        cycloneAlerts,
     }
 }
 
 /**
- * Transforms an array of cyclone data to a map that allows accessing a cyclone using its ATCF ID
- * @param {nhc.Cyclone[]} cycloneData 
- * @returns {Map<String, nhc.Cyclone>}
+ * Builds the notifications of every storm for notifiers, which select the storms they receive themselves: alerts of
+ * notable changes first, then reports of updated advisories, then final summaries of storms that are gone
+ * @param {nhc.Cyclone[]} oldCycloneData - Including the last known data of storms missing from the feed
+ * @param {nhc.Cyclone[]} recentCycloneData 
+ * @param {nhc.Cyclone[]} departedCyclones 
+ * @param {Object<String, CycloneObservation[]>} cycloneHistory - Observations keyed by ATCF ID
+ * @returns {import('./notifiers/notification.js').Notification[]}
  */
-function buildCycloneMap(cycloneData) {
-    let cycloneMap = new Map();
-    cycloneData.forEach(cyclone => {
-        cycloneMap.set(cyclone.atcf, cyclone);
-    });
+function calculateCycloneNotifications(oldCycloneData, recentCycloneData, departedCyclones, cycloneHistory) {
+    const { updatedCyclones, cycloneAlerts } = calculateTrackedCycloneUpdates(
+        recentCycloneData.map((cyclone) => cyclone.atcf), 
+        oldCycloneData, 
+        recentCycloneData, 
+        [], 
+        cycloneHistory
+    );
 
-    return cycloneMap;
+    return [
+        ...cycloneAlerts.map(({ cyclone, changes }) => ({ kind: NotificationKind.ALERT, cyclone, changes })),
+        ...updatedCyclones.map((cyclone) => ({ kind: NotificationKind.REPORT, cyclone })),
+        ...departedCyclones.map((cyclone) => ({
+            kind: NotificationKind.DEPARTURE,
+            cyclone,
+            lifetime: summarizeCycloneLifetime(cycloneHistory[cyclone.atcf]),
+        })),
+    ];
 }
- 
+
 /**
- * Stores information about data from the last time the script ran
- * @typedef {Object} Metadata
- * @property {nhc.Cyclone[]} cyclones - latest cyclone data
- * @property {String} adminReportNextTime - Represents next time "admin cyclone report" will be generated. An ISO8061 UTC String
- * @property {String} adminReportMessageId - ID of the last admin cyclone report message sent in the admin channel
- * @property {String[]} guildTrackedCycloneIds - Cyclones to report to discord guild channel. IDs must be manually input.
- * @property {String[]} guildReportMessageIds - Last guild cyclone report message IDs generated. Used in for pinning.
+ * Notable changes of a cyclone since its previous advisory
+ * @typedef {Object} CycloneAlert
+ * @property {nhc.Cyclone} cyclone
+ * @property {CycloneChange[]} changes
  */
 
 /**
- * Loads data stored during the last time the script ran
- * @returns {Metadata}
+ * Appends an observation to the history of each cyclone whose advisory has updated since its last observation, and
+ * drops the history of cyclones that have not been observed for a while
+ * @param {Object<String, CycloneObservation[]>} cycloneHistory - Observations keyed by ATCF ID
+ * @param {nhc.Cyclone[]} recentCycloneData 
  */
-async function loadMetadata() {
-    const jsonFilename = pathJoin(PROJECT_ROOT_DIRNAME, 'metadata.json');
-    let metadataRaw;
-    try {        
-        metadataRaw = await readFile(jsonFilename, 'utf-8');
-    } catch (error) {
-        // metadata file does not exist
+function recordCycloneObservations(cycloneHistory, recentCycloneData) {
+    const observedTime = getCurrentDate().toISOString();
+    for (const cyclone of recentCycloneData) {
+        let observations = cycloneHistory[cyclone.atcf] ?? [];
+        let lastObservation = observations[observations.length - 1];
+        let isNewAdvisory = lastObservation == null 
+            || (cyclone.advisoryPubDate ? lastObservation.time !== cyclone.advisoryPubDate : lastObservation.updateGuid !== cyclone.updateGuid);
+        if (isNewAdvisory) {
+            observations.push({
+                time: cyclone.advisoryPubDate ?? observedTime,
+                updateGuid: cyclone.updateGuid,
+                type: cyclone.type,
+                name: cyclone.name,
+                windMph: cyclone.windMph,
+                pressureMb: cyclone.pressureMb,
+                center: cyclone.center,
+                hurricaneCategory: cyclone.hurricaneCategory,
+            });
+            cycloneHistory[cyclone.atcf] = observations;
+        }
     }
 
-    let metadata;
-    if (metadataRaw) {
-        metadata = JSON.parse(metadataRaw);
-    } else {
-        // set up metadata structure
-        metadata = {
-            adminReportNextTime: new Date().toISOString(), // set next report time to now (i.e. so new report generated now)
-            adminReportMessageId: null,
-            guildTrackedCycloneIds: [],
-            guildReportMessageIds: [],
-            cyclones: [],
-        };
+    const retentionLimit = addDaysToDate(getCurrentDate(), -getConfig().history.retentionDays);
+    for (const atcfId in cycloneHistory) {
+        const observations = cycloneHistory[atcfId];
+        if (new Date(observations[observations.length - 1].time) < retentionLimit) {
+            delete cycloneHistory[atcfId];
+        }
     }
-    
-    return metadata;
 }
 
 /**
- * Stores object data into metadata.json
+ * Transforms an array of cyclone data to a map that allows accessing a cyclone using its ATCF ID
+ * @param {nhc.Cyclone[]} cycloneData 
+ * @returns {Map<String, nhc.Cyclone>}
  */
-async function saveMetadata(metadataObj) {
-    const jsonFilename = pathJoin(PROJECT_ROOT_DIRNAME, 'metadata.json');
-    await writeFile(jsonFilename, JSON.stringify(metadataObj, null, 4));
-}
+function buildCycloneMap(cycloneData) {
+    let cycloneMap = new Map();
+    cycloneData.forEach(cyclone => {
+        cycloneMap.set(cyclone.atcf, cyclone);
+    });
 
+    return cycloneMap;
+}
+ 
 /**
- * Creates a discord message for each cyclone consisting of the current forecast cone image and a formatted message 
- * to the guild channel specified in the .env file 
+ * Creates a discord message for each cyclone consisting of an embed detailing the cyclone with the NHC graphics
+ * selected for the subscription (its current forecast cone by default) to the subscription's guild channel. The first
+ * graphic published for the cyclone is shown in the embed and the others are attached below it. A chart of the
+ * cyclone's intensity history is attached as well when enabled for the subscription. When storm threads are enabled,
+ * reports are posted in each cyclone's thread instead and only a summary message is kept in the guild channel. Reports
+ * sent through a webhook are neither pinned nor posted in threads, which need the bot; the cyclone's previous webhook
+ * report is edited into the new report instead. Reports of cyclones whose graphics were not regenerated for their
+ * advisory in time are sent as text only, with a note
  * @param {nhc.Cyclone[]} cycloneData
- * @param {String[]} lastReportMessageIds - The discord message ID of the last report message(s)
+ * @param {Subscription} subscription - The subscription whose guild channel reports are sent to
+ * @param {Object<String, CycloneObservation[]>} cycloneHistory - Observations keyed by ATCF ID
+ * @param {import('./feed-source.js').FeedSource} feedSource - Where storm graphics are read from
+ * @param {String[]} staleGraphicCycloneIds - Cyclones whose graphics are still those of their previous advisory
  * @returns {String[]} the message IDs of the created messages
  */
-async function sendGuildCycloneReports(cycloneData, lastReportMessageIds) {
-    const guildChannelId = process.env.DISCORD_GUILD_CHANNEL_ID;
+async function sendGuildCycloneReports(cycloneData, subscription, cycloneHistory, feedSource, staleGraphicCycloneIds = []) {
+    const { channelId: guildChannelId, reportMessageIds: lastReportMessageIds } = subscription;
     let reportMessageIds = [];
 
     // unpin previous reports (if any)
@@ -213,59 +960,336 @@ async function sendGuildCycloneReports(cycloneData, lastReportMessageIds) {
 
     // create a message for each cyclone report and pin it
     for (const cyclone of cycloneData) {
-        const { type, name, seasonWallet, atcf, hurricaneCategory } = cyclone;
-        
-        let formattedMessage = `## ${toTitleCase(type)} ${toTitleCase(name)} `;
-        if (hurricaneCategory > 0) {
-            formattedMessage += `(Category ${hurricaneCategory}) `;
+        const { atcf } = cyclone;
+        const hasStaleGraphics = staleGraphicCycloneIds.includes(atcf);
+        let attachments = hasStaleGraphics ? [] : await getStormGraphicAttachments(cyclone, subscription.graphics, feedSource);
+        const imageAttachment = attachments[0];
+
+        let observations = cycloneHistory[atcf] ?? [];
+        if (!hasStaleGraphics && subscription.attachIntensityChart !== false && observations.length > 1 && attachments.length < maxMessageAttachments) {
+            const chartPoints = observations.map(({ time, windMph, pressureMb }) => ({ time, wind: windMph, pressure: pressureMb }));
+            attachments.push({
+                name: `${atcf}_intensity_${Date.now()}`,
+                blobData: renderIntensityChart(`${atcf} ${cyclone.type} ${cyclone.name}`, chartPoints),
+            });
         }
-        formattedMessage += '- Public Advisory Update'
-        let imgData = await nhc.getCycloneConeImageData(seasonWallet, atcf);
         
-        let message = await discord.createImageAttachmentMessageInChannel(guildChannelId, {
-            messageContent: formattedMessage,
-            attachments: [{
-                name: `${atcf}_${Date.now()}`,
-                blobData: imgData,
-            }]
-        });
+        let stormThread = null;
+        if (subscription.useStormThreads && !subscription.webhookUrl) {
+            stormThread = await getStormThread(subscription, cyclone, buildCycloneSummaryEmbed(cyclone, subscription.stormThreads[atcf]?.threadId, subscription.display));
+        }
+
+        const { mention, allowedMentions } = getStormRoleMention(subscription, atcf);
+        const messageOptions = {
+            messageContent: mention,
+            embeds: [buildCycloneReportEmbed(
+                cyclone, 
+                imageAttachment ? `attachment://${discord.getImageAttachmentFilename(imageAttachment)}` : null, 
+                subscription.display,
+                hasStaleGraphics ? translate(resolveDisplaySettings(subscription.display).locale, 'graphicsNotUpdated') : null
+            )],
+            attachments,
+            allowedMentions,
+        };
+
+        // webhook messages cannot be pinned, so the cyclone's webhook report is kept up to date in place instead
+        let message = null;
+        const lastWebhookReportId = subscription.webhookUrl ? subscription.cycloneReportMessageIds[atcf] : null;
+        if (lastWebhookReportId) {
+            try {
+                message = await discord.editWebhookMessage(subscription.webhookUrl, lastWebhookReportId, messageOptions);
+            } catch (error) {
+                logger.info(`Unable to edit discord message id:${lastWebhookReportId}, sending a new report. Reason:${error.message}`);
+            }
+        }
+        message ??= await createGuildMessage(subscription, messageOptions, stormThread?.threadId);
 
-        await discord.pinMessageInChannel(guildChannelId, message.id, true);
-        reportMessageIds.push(message.id);
+        if (stormThread) {
+            // members opt in to the storm's role on the pinned summary message
+            await setStormRoleReportMessage(subscription, atcf, stormThread.summaryMessageId);
+        } else if (!subscription.webhookUrl) {
+            await discord.pinMessageInChannel(guildChannelId, message.id, true);
+            reportMessageIds.push(message.id);
+            subscription.cycloneReportMessageIds[atcf] = message.id;
+            await setStormRoleReportMessage(subscription, atcf, message.id);
+        } else {
+            subscription.cycloneReportMessageIds[atcf] = message.id;
+        }
     }
 
     return reportMessageIds;
 }
 
 /**
- * Creates/updates a single discord message in the admin DM channel detailing every active cyclone and providing a link 
- * to it's current forecast cone image
+ * Downloads the graphics of a cyclone, skipping those the NHC has not published for it and those that could not be
+ * retrieved, up to the number of attachments a message may have
+ * @param {nhc.Cyclone} cyclone 
+ * @param {nhc.StormGraphic[]} graphics - In the order they are attached
+ * @param {import('./feed-source.js').FeedSource} feedSource 
+ * @returns {discord.ImageAttachment[]}
+ */
+async function getStormGraphicAttachments(cyclone, graphics, feedSource) {
+    const { seasonWallet, atcf } = cyclone;
+    let attachments = [];
+    for (const graphic of graphics.slice(0, maxMessageAttachments)) {
+        try {
+            const blobData = await feedSource.getStormGraphicData(seasonWallet, atcf, graphic);
+            if (blobData) {
+                attachments.push({ name: `${atcf}_${graphic}_${Date.now()}`, blobData });
+            }
+        } catch (error) {
+            logger.info(`Unable to retrieve the ${nhc.StormGraphicName[graphic] ?? graphic} graphic of ${atcf}. Reason:${error.message}`);
+        }
+    }
+
+    return attachments;
+}
+
+/**
+ * Sends a message to the subscription's guild channel, or a thread of it, through the subscription's webhook when it
+ * has one, otherwise as the bot
+ * @param {Subscription} subscription 
+ * @param {Object} options - Message to send, see discord.executeWebhook
+ * @param {?String} threadId 
+ * @returns {discord.Message}
+ */
+async function createGuildMessage(subscription, options, threadId = null) {
+    if (subscription.webhookUrl) {
+        return await discord.executeWebhook(subscription.webhookUrl, { ...options, threadId });
+    } else if (options.attachments?.length > 0) {
+        return await discord.createImageAttachmentMessageInChannel(threadId ?? subscription.channelId, options);
+    }
+
+    return await discord.createEmbedMessageInChannel(threadId ?? subscription.channelId, options);
+}
+
+/**
+ * Creates a highlighted alert message for each cyclone that notably changed (e.g. became a hurricane, rapidly 
+ * intensified) in the subscription's guild channel, or the cyclone's thread if it has one, mentioning the cyclone's 
+ * role if it has one
+ * @param {CycloneAlert[]} cycloneAlerts 
+ * @param {Subscription} subscription 
+ */
+async function sendGuildCycloneAlerts(cycloneAlerts, subscription) {
+    for (const { cyclone, changes } of cycloneAlerts) {
+        const embed = buildCycloneAlertEmbed(cyclone, changes, subscription.display);
+        const { mention, allowedMentions } = getStormRoleMention(subscription, cyclone.atcf);
+        const { locale } = resolveDisplaySettings(subscription.display);
+        await createGuildMessage(subscription, {
+            messageContent: `## :warning: ${translate(locale, 'alertTitle', { title: embed.title })}\n${mention}`.trim(),
+            allowedMentions,
+            embeds: [embed],
+        }, subscription.stormThreads[cyclone.atcf]?.threadId);
+    }
+}
+
+/**
+ * Creates a final summary message of each cyclone that is gone in the subscription's guild channel, or the cyclone's
+ * thread if it has one (whose summary message is replaced with it as well), and unpins the cyclone's last report
+ * @param {nhc.Cyclone[]} cycloneData - Last known data of each cyclone
+ * @param {Subscription} subscription 
+ * @param {Object<String, CycloneObservation[]>} cycloneHistory - Observations keyed by ATCF ID
+ */
+async function sendGuildCycloneDepartures(cycloneData, subscription, cycloneHistory) {
+    const { channelId: guildChannelId, stormThreads, cycloneReportMessageIds } = subscription;
+    for (const cyclone of cycloneData) {
+        const { atcf } = cyclone;
+        const embed = buildCycloneDepartureEmbed(cyclone, summarizeCycloneLifetime(cycloneHistory[atcf]), subscription.display);
+        await createGuildMessage(subscription, {
+            messageContent: `## :checkered_flag: ${embed.title}`,
+            embeds: [embed],
+        }, stormThreads[atcf]?.threadId);
+        if (stormThreads[atcf]) {
+            await discord.editEmbedMessageInChannel(guildChannelId, stormThreads[atcf].summaryMessageId, { embeds: [embed] });
+        }
+
+        const reportMessageId = cycloneReportMessageIds[atcf];
+        if (reportMessageId && subscription.reportMessageIds.includes(reportMessageId)) {
+            try {
+                await discord.unpinMessageInChannel(guildChannelId, reportMessageId);
+            } catch (error) {
+                logger.info(`Unable to unpin discord message id:${reportMessageId}. Reason:${error.message}`);
+            }
+            subscription.reportMessageIds = subscription.reportMessageIds.filter((messageId) => messageId !== reportMessageId);
+        }
+        delete cycloneReportMessageIds[atcf];
+    }
+}
+
+/**
+ * Creates an alert message in the subscription's guild channel for each cyclone that came within the radius of, or 
+ * started moving toward, one of the subscription's locations
+ * @param {import('./proximity.js').ProximityAlert[]} proximityAlerts 
+ * @param {Subscription} subscription 
+ */
+async function sendGuildProximityAlerts(proximityAlerts, subscription) {
+    const { display } = subscription;
+    const { locale, windUnit } = resolveDisplaySettings(display);
+    for (const { cyclone, location, proximity } of proximityAlerts) {
+        const { wallet, atcf } = cyclone;
+        const title = formatCycloneTitle(cyclone, display);
+        const descriptionParams = {
+            title,
+            proximity: formatProximity(location, proximity, display),
+            radius: location.radiusMiles ?? DEFAULT_PROXIMITY_RADIUS_MILES,
+            speed: formatWind(cyclone.movementSpeedMph, windUnit),
+        };
+        let description;
+        if (proximity.status === ProximityStatus.WITHIN_RADIUS) {
+            description = translate(locale, 'proximityWithinRadius', descriptionParams);
+        } else if (cyclone.forecastAdvisory?.forecastPoints.length > 0) {
+            description = translate(locale, 'proximityForecastToPass', descriptionParams);
+        } else {
+            description = translate(locale, 'proximityMovingToward', descriptionParams);
+        }
+
+        await createGuildMessage(subscription, {
+            messageContent: `## :round_pushpin: ${translate(locale, 'nearLocationTitle', { title, location: location.name })}`,
+            embeds: [{
+                title,
+                url: nhc.getCycloneStormPageLink(wallet),
+                description: `**${description}**`,
+                color: getCycloneEmbedColor(cyclone),
+                fields: [
+                    { name: translate(locale, 'maxSustainedWind'), value: formatCycloneWind(cyclone, display), inline: true },
+                    { name: translate(locale, 'minimumPressure'), value: formatCyclonePressure(cyclone, display), inline: true },
+                    { name: translate(locale, 'movement'), value: formatCycloneMovement(cyclone, display), inline: true },
+                ].filter((field) => field.value),
+                footer: { text: `ATCF:${atcf}` },
+            }],
+        });
+    }
+}
+
+/**
+ * e.g. "120 mi WSW of Tampa Office"
+ * @param {import('./proximity.js').Location} location 
+ * @param {import('./proximity.js').Proximity} proximity 
+ * @param {?import('./display-settings.js').DisplaySettings} display
+ * @returns {String}
+ */
+function formatProximity(location, proximity, display = null) {
+    const { locale } = resolveDisplaySettings(display);
+    return translate(locale, 'proximity', {
+        distance: Math.round(proximity.distanceMiles),
+        direction: translateCompassPoint(locale, toCompassPoint(proximity.bearing)),
+        location: location.name,
+    });
+}
+
+/**
+ * Collects the locations of every subscription, once per name and coordinates
+ * @param {Subscription[]} subscriptions 
+ * @returns {import('./proximity.js').Location[]}
+ */
+function getRegisteredLocations(subscriptions) {
+    let locationMap = new Map();
+    subscriptions.forEach((subscription) => {
+        subscription.locations.forEach((location) => {
+            locationMap.set(`${location.name}:${location.latitude},${location.longitude}`, location);
+        });
+    });
+
+    return Array.from(locationMap.values());
+}
+
+/**
+ * Creates a message in the admin DM channel listing disturbances that became likely to develop
+ * @param {nhc.Disturbance[]} disturbances 
+ */
+async function sendAdminDisturbanceAlert(disturbances) {
+    let formattedMessage = '## :warning: Disturbance Alert\n';
+    disturbances.forEach((disturbance) => {
+        formattedMessage += `${formatDisturbance(disturbance)}\n`;
+    });
+
+    let adminDMChannel = await getAdminDMChannel();
+    await discord.createTextMessageInChannel(adminDMChannel.id, truncateString(formattedMessage, 2000));
+}
+
+/**
+ * e.g. "- **Eastern Tropical Atlantic** `AL98` 48 hours: 60% (medium) | 7 days: 70% (high)"
+ * @param {nhc.Disturbance} disturbance 
+ * @returns {String}
+ */
+function formatDisturbance(disturbance) {
+    const { location, invest, formationChance48Hour, formationChance7Day } = disturbance;
+    const formatChance = (chance) => chance ? `${chance.percent}% (${chance.level})` : 'unknown';
+    let formattedDisturbance = `- **${location}** `;
+    if (invest) {
+        formattedDisturbance += `\`${invest}\` `;
+    }
+    formattedDisturbance += `48 hours: ${formatChance(formationChance48Hour)} | 7 days: ${formatChance(formationChance7Day)}`;
+
+    return formattedDisturbance;
+}
+
+/**
+ * Creates/updates a single discord message in the admin DM channel detailing every active cyclone, grouped by basin, and 
+ * providing a link to it's current forecast cone image along with its distance to each registered location. Disturbances 
+ * from each basin's outlook are listed after its cyclones
  * @param {nhc.Cyclone[]} cycloneData 
+ * @param {nhc.Disturbance[]} disturbances 
+ * @param {import('./proximity.js').Location[]} locations - Locations registered by any subscription
+ * @param {nhc.Basin[]} trackedBasins - Basins to include in the report
+ * @param {nhc.Basin[]} failedBasins - Basins whose feed could not be fetched this run
  * @param {?String} lastReportMessageId - The discord message ID of the last report message
  * @returns {String} the message ID of the report message
  */
-async function sendAdminCycloneReport(cycloneData, lastReportMessageId) {
-    const reportTime = new Date().toLocaleString();
+async function sendAdminCycloneReport(cycloneData, disturbances, locations, trackedBasins, failedBasins, lastReportMessageId) {
+    const reportTime = formatDiscordTimestamp(getCurrentDate()); // shown in the admin's own time zone
     const noCyclonesFoundMessage = `There are no tropical cyclones at this time. Last updated: ${reportTime}`;
     let message;
     let adminDMChannel = await getAdminDMChannel();
-    if (cycloneData.length > 0) {
+    if (cycloneData.length > 0 || disturbances.length > 0 || failedBasins.length > 0) {
         // build formatted report message
         let formattedMessage = '';
-        cycloneData.forEach((cyclone, i) => {
-            const { type, name, seasonWallet, atcf, hurricaneCategory } = cyclone;
-            formattedMessage += `## ${toTitleCase(type)} ${toTitleCase(name)} `;
-            if (hurricaneCategory > 0) {
-                formattedMessage += `(Category ${hurricaneCategory}) `;
+        trackedBasins.forEach((basin) => {
+            formattedMessage += `# ${nhc.BasinName[basin]}\n`;
+            if (failedBasins.includes(basin)) {
+                formattedMessage += '_Unable to reach the NHC feed for this basin, showing last known data_\n';
+            }
+
+            let basinCycloneData = cycloneData.filter((cyclone) => cyclone.basin === basin);
+            if (basinCycloneData.length === 0) {
+                formattedMessage += '_No tropical cyclones at this time_\n\n';
+            }
+            basinCycloneData.forEach((cyclone) => {
+                const { type, name, seasonWallet, atcf, hurricaneCategory } = cyclone;
+                formattedMessage += `## ${toTitleCase(type)} ${toTitleCase(name)} `;
+                if (hurricaneCategory > 0) {
+                    formattedMessage += `(Category ${hurricaneCategory}) `;
+                }
+                formattedMessage += `\`ATCF:${atcf}\`\n`
+                locations.forEach((location) => {
+                    const proximity = calculateProximity(cyclone, location);
+                    if (proximity) {
+                        formattedMessage += `- ${formatProximity(location, proximity)}\n`;
+                    }
+                });
+                formattedMessage += nhc.getCycloneConeImageLink(seasonWallet, atcf); // link for image embed w/o download
+                formattedMessage += '\n\n'; // add spacing after one report
+            });
+
+            let basinDisturbances = disturbances.filter((disturbance) => disturbance.basin === basin);
+            if (basinDisturbances.length > 0) {
+                formattedMessage += '### Disturbances (Formation Chance)\n';
+                basinDisturbances.forEach((disturbance) => {
+                    formattedMessage += `${formatDisturbance(disturbance)}\n`;
+                });
+                formattedMessage += '\n';
             }
-            formattedMessage += `\`ATCF:${atcf}\`\n`
-            formattedMessage += nhc.getCycloneConeImageLink(seasonWallet, atcf); // link for image embed w/o download
-            formattedMessage += '\n\n'; // add spacing after one report
         });
 
-        // append update time & instructions after last report
-        formattedMessage += `_Track cyclones in your guild by PMing me "${guildTrackCycloneCommand} <One or more ATCF IDs>"_\n`
-        formattedMessage += `Last updated: ${reportTime}`;
+        // append update time & instructions after last report, cutting the report short of discord's message limit
+        const footer = `_Track cyclones in your guild by PMing me "${adminCommandPrefix}track ${adminCommands.track.usage}", `
+            + `or "${adminCommandPrefix}help" for every command_\n`
+            + `Last updated: ${reportTime}`;
+        const maxReportLength = 2000 - footer.length;
+        if (formattedMessage.length > maxReportLength) {
+            formattedMessage = `${truncateString(formattedMessage, maxReportLength - 2)}\n\n`;
+        }
+        formattedMessage += footer;
 
         // delete previous report and send new message to force a notification
         if (lastReportMessageId) {
@@ -0,0 +1,199 @@
+import { toTitleCase } from '../lib/utils.js';
+import { WindUnit, PressureUnit, formatWind, formatPressure } from '../lib/units.js';
+import { Locale, translate, translateTerm, translateCompassPoint } from './i18n.js';
+
+/**
+ * How reports sent to a destination (a subscription or a notifier) are rendered. Every setting is optional
+ * @typedef {Object} DisplaySettings
+ * @property {?Locale} locale - Language of the report text. Default: en. Text written by the NHC (e.g. headlines,
+ * advisory paragraphs, area names) is not translated
+ * @property {?String} timeZone - IANA time zone (e.g. "America/Chicago") of times written out as text. Default: UTC.
+ * Discord timestamps are shown in each member's own time zone regardless
+ * @property {?String} clock - "12" or "24" hour clock. Default: the locale's
+ * @property {?WindUnit} windUnit - Default: mph
+ * @property {?PressureUnit} pressureUnit - Default: mb
+ */
+
+const DEFAULT_DISPLAY_SETTINGS = {
+    locale: Locale.ENGLISH,
+    timeZone: 'UTC',
+    clock: null,
+    windUnit: WindUnit.MPH,
+    pressureUnit: PressureUnit.MB,
+};
+
+/**
+ * @param {?DisplaySettings} display
+ * @returns {DisplaySettings} the settings with defaults for those not set
+ */
+export function resolveDisplaySettings(display) {
+    let resolvedDisplay = { ...DEFAULT_DISPLAY_SETTINGS };
+    for (const setting in display ?? {}) {
+        if (display[setting] != null) {
+            resolvedDisplay[setting] = display[setting];
+        }
+    }
+
+    return resolvedDisplay;
+}
+
+/**
+ * Values each setting may have, other than the time zone
+ */
+const DISPLAY_SETTING_VALUES = {
+    locale: Object.values(Locale),
+    clock: ['12', '24'],
+    windUnit: Object.values(WindUnit),
+    pressureUnit: Object.values(PressureUnit),
+};
+
+/**
+ * @param {?DisplaySettings} display
+ * @throws {Error} when a setting is unknown or has an unknown value
+ */
+export function validateDisplaySettings(display) {
+    for (const setting in display ?? {}) {
+        if (display[setting] != null && parseDisplaySetting(setting, display[setting]) !== display[setting]) {
+            throw new Error(`Expected "${parseDisplaySetting(setting, display[setting])}" for the ${setting} display setting, got "${display[setting]}"`);
+        }
+    }
+}
+
+/**
+ * Reads the value of a display setting written by hand (e.g. in an admin command), ignoring case
+ * @param {String} setting - e.g. "windUnit"
+ * @param {String} text - e.g. "KM/H", "america/chicago"
+ * @returns {String} the value as stored, e.g. "km/h", "America/Chicago"
+ * @throws {Error} when the setting is unknown or the value is not one of its values
+ */
+export function parseDisplaySetting(setting, text) {
+    text = String(text).trim();
+    if (setting === 'timeZone') {
+        try {
+            return new Intl.DateTimeFormat('en-US', { timeZone: text }).resolvedOptions().timeZone;
+        } catch (error) {
+            throw new Error(`Unknown time zone "${text}". Expected an IANA time zone (e.g. America/Chicago)`);
+        }
+    }
+
+    const values = DISPLAY_SETTING_VALUES[setting];
+    if (values == null) {
+        throw new Error(`Unknown display setting "${setting}". Expected any of: timeZone, ${Object.keys(DISPLAY_SETTING_VALUES).join(', ')}`);
+    }
+    const value = values.find((value) => value.toLowerCase() === text.toLowerCase());
+    if (value == null) {
+        throw new Error(`Unknown ${setting} "${text}". Expected any of: ${values.join(', ')}`);
+    }
+
+    return value;
+}
+
+/**
+ * e.g. "Hurricane Idalia (Category 4)", "Huracán Idalia (Categoría 4)"
+ * @param {import('../lib/nhc.js').Cyclone} cyclone
+ * @param {?DisplaySettings} display
+ * @param {Boolean} includeCategory - Whether the hurricane category follows the name
+ * @returns {String}
+ */
+export function formatCycloneTitle(cyclone, display, includeCategory = false) {
+    const { locale } = resolveDisplaySettings(display);
+    let title = `${translateTerm(locale, cyclone.type)} ${toTitleCase(cyclone.name)}`;
+    if (includeCategory && cyclone.hurricaneCategory > 0) {
+        title += ` (${translate(locale, 'category', { category: cyclone.hurricaneCategory })})`;
+    }
+
+    return title;
+}
+
+/**
+ * The cyclone's maximum sustained wind in the display's unit, or as written by the NHC when it could not be parsed
+ * @param {import('../lib/nhc.js').Cyclone} cyclone
+ * @param {?DisplaySettings} display
+ * @returns {String}
+ */
+export function formatCycloneWind(cyclone, display) {
+    const { windUnit } = resolveDisplaySettings(display);
+    if (windUnit === WindUnit.MPH || !Number.isFinite(cyclone.windMph)) {
+        return cyclone.wind;
+    }
+
+    return formatWind(cyclone.windMph, windUnit);
+}
+
+/**
+ * The cyclone's minimum pressure in the display's unit, or as written by the NHC when it could not be parsed
+ * @param {import('../lib/nhc.js').Cyclone} cyclone
+ * @param {?DisplaySettings} display
+ * @returns {String}
+ */
+export function formatCyclonePressure(cyclone, display) {
+    const { pressureUnit } = resolveDisplaySettings(display);
+    if (pressureUnit === PressureUnit.MB || !Number.isFinite(cyclone.pressureMb)) {
+        return cyclone.pressure;
+    }
+
+    return formatPressure(cyclone.pressureMb, pressureUnit);
+}
+
+/**
+ * e.g. "NNE at 18 mph", "NNE a 29 km/h". Movement the NHC did not write as a heading and speed (e.g. "Stationary") is
+ * left as is
+ * @param {import('../lib/nhc.js').Cyclone} cyclone
+ * @param {?DisplaySettings} display
+ * @returns {String}
+ */
+export function formatCycloneMovement(cyclone, display) {
+    const { locale, windUnit } = resolveDisplaySettings(display);
+    const compassPoint = cyclone.movement?.match(/^([NESW]{1,3}) at /)?.[1];
+    if ((locale === Locale.ENGLISH && windUnit === WindUnit.MPH) || !compassPoint || !Number.isFinite(cyclone.movementSpeedMph)) {
+        return cyclone.movement;
+    }
+
+    return translate(locale, 'movementToward', {
+        direction: translateCompassPoint(locale, compassPoint),
+        speed: formatWind(cyclone.movementSpeedMph, windUnit),
+    });
+}
+
+/**
+ * e.g. "Aug 30, 11:00 AM UTC", "30 ago, 13:00 CEST"
+ * @param {String|Date} time
+ * @param {?DisplaySettings} display
+ * @returns {String}
+ */
+export function formatDateTime(time, display) {
+    const { locale, timeZone, clock } = resolveDisplaySettings(display);
+    let options = { month: 'short', day: 'numeric', hour: clock === '24' ? '2-digit' : 'numeric', minute: '2-digit', timeZone, timeZoneName: 'short' };
+    if (clock) {
+        options.hourCycle = clock === '12' ? 'h12' : 'h23';
+    }
+
+    return new Intl.DateTimeFormat(locale, options).format(new Date(time));
+}
+
+/**
+ * Time of the cyclone's latest advisory. The NHC's own text (e.g. "200 PM EDT Tue Aug 29") is kept unless the display
+ * sets a time zone or a language other than English
+ * @param {import('../lib/nhc.js').Cyclone} cyclone
+ * @param {?DisplaySettings} display
+ * @returns {String}
+ */
+export function formatAdvisoryTime(cyclone, display) {
+    const { locale } = resolveDisplaySettings(display);
+    if (cyclone.advisoryPubDate && (display?.timeZone || locale !== Locale.ENGLISH)) {
+        return formatDateTime(cyclone.advisoryPubDate, display);
+    }
+
+    return cyclone.datetime;
+}
+
+/**
+ * Formats a time as a Discord timestamp, which Discord shows in each member's own time zone and language
+ * https://discord.com/developers/docs/reference#message-formatting-timestamp-styles
+ * @param {String|Date} time
+ * @param {String} style - e.g. "f" for the short date and time, "R" for the relative time
+ * @returns {String}
+ */
+export function formatDiscordTimestamp(time, style = 'f') {
+    return `<t:${Math.floor(new Date(time).getTime() / 1000)}:${style}>`;
+}
@@ -0,0 +1,90 @@
+import { appendFile } from 'fs/promises';
+import { getCurrentDate } from '../lib/utils.js';
+
+const DISCORD_EPOCH = 1420070400000;
+let createdCount = 0;
+
+/**
+ * A request the tracker would have sent to Discord, written as one JSON line of the dry run file
+ * @typedef {Object} DryRunRecord
+ * @property {String} time - Current (or simulated) time of the request. An ISO8061 UTC String
+ * @property {String} method - e.g. "POST" to send a message, "PATCH" to edit one, "PUT"/"DELETE" on pins to pin/unpin
+ * @property {String} endpoint - e.g. "/channels/111111111111111111/messages"
+ * @property {?Object} body - JSON payload of the request
+ * @property {?String} id - ID given to the created object, when the request creates one
+ */
+
+/**
+ * Creates a sink (see discord.setRequestSink) that appends every request changing something on Discord to a file
+ * instead, and answers requests with made up data consistent with what was recorded (e.g. created messages get IDs,
+ * pinned messages get a pin notification). Nothing is read from Discord: channels have no messages, pins or reactions
+ * @param {String} filename - JSON lines file the requests are appended to
+ * @returns {import('../lib/discord.js').RequestSink}
+ */
+export function createDryRunSink(filename) {
+    let pinnedMessageIds = new Map(); // channel ID -> latest pinned message whose notification was not read yet
+
+    return async (method, endpoint, body) => {
+        method = method.toUpperCase();
+        const segments = endpoint.split('?')[0].split('/').filter((segment) => segment.length > 0);
+        if (method === 'GET') {
+            return getDryRunResponse(segments, pinnedMessageIds);
+        }
+
+        if (body instanceof FormData) {
+            body = JSON.parse(body.get('payload_json')); // attachments are listed by filename in the payload
+        }
+        let record = {
+            time: getCurrentDate().toISOString(),
+            method,
+            endpoint: endpoint.replace(/^(\/webhooks\/\d+\/)[^/?]+/, '$1<token>'), // keep webhook tokens out of the file
+            body: body ?? null,
+        };
+        let respData;
+        if (method === 'POST') {
+            record.id = createSnowflakeId();
+            respData = { ...body, id: record.id };
+        } else if (method === 'PATCH') {
+            respData = { ...body, id: segments[segments.length - 1] };
+        } else if (method === 'PUT' && segments[2] === 'pins') {
+            pinnedMessageIds.set(segments[1], segments[3]);
+        }
+        await appendFile(filename, `${JSON.stringify(record)}\n`);
+
+        return respData;
+    };
+}
+
+/**
+ * @param {String[]} segments - Path segments of the endpoint
+ * @param {Map<String, String>} pinnedMessageIds
+ * @returns {Object|Object[]}
+ */
+function getDryRunResponse(segments, pinnedMessageIds) {
+    const [resource, resourceId, subresource] = segments;
+    if (resource !== 'channels') {
+        return [];
+    } else if (subresource == null) {
+        return { id: resourceId, guild_id: '0' };
+    } else if (subresource === 'messages' && segments.length === 3 && pinnedMessageIds.has(resourceId)) {
+        const messageId = pinnedMessageIds.get(resourceId);
+        pinnedMessageIds.delete(resourceId);
+        return [{
+            id: createSnowflakeId(),
+            type: 6, // channel pinned message
+            content: '',
+            author: { id: '0', bot: true },
+            message_reference: { channel_id: resourceId, message_id: messageId },
+        }];
+    }
+
+    return [];
+}
+
+/**
+ * @returns {String} a unique ID in the order of the current (or simulated) time
+ */
+function createSnowflakeId() {
+    const timestamp = BigInt(getCurrentDate().getTime() - DISCORD_EPOCH);
+    return ((timestamp << 22n) + BigInt(createdCount++ % 4096)).toString();
+}
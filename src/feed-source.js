@@ -0,0 +1,67 @@
+import * as nhc from '../lib/nhc.js';
+
+/**
+ * Where the tracker reads NHC products from
+ * @typedef {Object} FeedSource
+ * @property {(basin: nhc.Basin) => Promise<nhc.BasinReport>} getBasinReport - Rejects when the basin's feed is unavailable
+ * @property {(seasonWallet: String, atcf: String, graphic: nhc.StormGraphic) => Promise<?Blob>} getStormGraphicData -
+ * Resolves to null when the graphic was not published for the storm
+ * @property {(seasonWallet: String, atcf: String, graphic: nhc.StormGraphic, knownVersion: ?nhc.StormGraphicVersion) => Promise<?nhc.StormGraphicVersion>} getStormGraphicVersion -
+ * Resolves to null when the graphic was not published for the storm or its version cannot be told
+ */
+
+/**
+ * Reads the NHC's live RSS feeds and graphics. Each graphic is downloaded once per source, so a graphic whose version
+ * was checked is attached to reports as the same image
+ * @returns {FeedSource}
+ */
+export function createLiveFeedSource() {
+    let graphicBlobs = new Map(); // keyed by "<ATCF ID>:<graphic>"
+    return {
+        getBasinReport: (basin) => nhc.getBasinReportInRSSFeed(basin),
+        async getStormGraphicData(seasonWallet, atcf, graphic) {
+            const key = `${atcf}:${graphic}`;
+            if (!graphicBlobs.has(key)) {
+                graphicBlobs.set(key, await nhc.getStormGraphicData(seasonWallet, atcf, graphic));
+            }
+
+            return graphicBlobs.get(key);
+        },
+        async getStormGraphicVersion(seasonWallet, atcf, graphic, knownVersion) {
+            const modifiedGraphic = await nhc.getModifiedStormGraphic(seasonWallet, atcf, graphic, knownVersion);
+            if (modifiedGraphic?.blobData) {
+                graphicBlobs.set(`${atcf}:${graphic}`, modifiedGraphic.blobData);
+            }
+
+            return modifiedGraphic?.version ?? null;
+        },
+    };
+}
+
+/**
+ * Reads saved RSS feed files instead of the live feeds. Storm graphics are not saved along with the feeds, so an empty
+ * placeholder image is supplied for each of them. Their versions are unknown, so reports never wait for graphics to be
+ * regenerated
+ * @param {Object<String, String>} basinFilenames - Feed file of each basin, keyed by basin name (see nhc.Basin). Basins
+ * without a file are reported as unavailable
+ * @returns {FeedSource}
+ */
+export function createFileFeedSource(basinFilenames) {
+    return {
+        async getBasinReport(basin) {
+            const basinName = Object.keys(nhc.Basin).find((name) => nhc.Basin[name] === basin);
+            const filename = basinFilenames[basinName];
+            if (!filename) {
+                throw new Error(`No saved feed of basin ${basinName}`);
+            }
+
+            return nhc.getBasinReportInFile(filename);
+        },
+        async getStormGraphicData() {
+            return new Blob([], { type: 'image/png' });
+        },
+        async getStormGraphicVersion() {
+            return null;
+        },
+    };
+}
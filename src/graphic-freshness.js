@@ -0,0 +1,71 @@
+import { getCurrentDate } from '../lib/utils.js';
+import { logger } from './log.js';
+import * as nhc from '../lib/nhc.js';
+
+/**
+ * Graphic compared with the one reported with a storm's previous advisory to tell whether the NHC has regenerated the
+ * storm's graphics for a new advisory. The RSS feed usually updates before the graphics do
+ */
+export const FRESHNESS_GRAPHIC = nhc.StormGraphic.CONE_5DAY;
+
+/**
+ * What is known of the graphics of a storm
+ * @typedef {Object} StormGraphicState
+ * @property {String} advisoryPubDate - Advisory the graphic was last reported with
+ * @property {nhc.StormGraphicVersion} version - Version of the graphic reported with that advisory
+ * @property {?String} waitStartTime - When the report of a newer advisory started waiting for the graphic to be
+ * regenerated. An ISO8061 UTC String
+ */
+
+/**
+ * Compares the graphic of each storm with a new advisory against the one reported with its previous advisory. Reports
+ * of storms whose graphic has not been regenerated yet are deferred to a later run, until they have waited the maximum
+ * time, after which they are reported without graphics. Storms whose graphic cannot be checked and intermediate
+ * advisories are reported as usual
+ * @param {nhc.Cyclone[]} updatedCyclones - Storms with a new advisory since the last run
+ * @param {Object<String, StormGraphicState>} graphicStates - Keyed by ATCF ID, updated in place
+ * @param {import('./feed-source.js').FeedSource} feedSource
+ * @param {Number} maxWaitMinutes
+ * @returns {{deferredCycloneIds: String[], staleGraphicCycloneIds: String[]}}
+ */
+export async function checkStormGraphicFreshness(updatedCyclones, graphicStates, feedSource, maxWaitMinutes) {
+    let deferredCycloneIds = [];
+    let staleGraphicCycloneIds = [];
+    for (const cyclone of updatedCyclones) {
+        const { seasonWallet, atcf, advisoryPubDate } = cyclone;
+        const state = graphicStates[atcf];
+        if (nhc.isIntermediateAdvisory(cyclone)) {
+            continue; // the forecast, and so the cone, is only updated with full advisories
+        }
+
+        let version;
+        try {
+            version = await feedSource.getStormGraphicVersion(seasonWallet, atcf, FRESHNESS_GRAPHIC, state?.version ?? null);
+        } catch (error) {
+            logger.info(`Unable to check the ${nhc.StormGraphicName[FRESHNESS_GRAPHIC]} graphic of ${atcf}. Reason:${error.message}`);
+            continue;
+        }
+
+        if (version == null) {
+            // nothing to wait for
+            delete graphicStates[atcf];
+        } else if (state == null || version.hash !== state.version.hash) {
+            // first advisory seen or the graphic was regenerated
+            graphicStates[atcf] = { advisoryPubDate, version, waitStartTime: null };
+        } else {
+            const waitStartTime = state.waitStartTime ?? getCurrentDate().toISOString();
+            if (getCurrentDate() - new Date(waitStartTime) < maxWaitMinutes * 60 * 1000) {
+                state.waitStartTime = waitStartTime;
+                deferredCycloneIds.push(atcf);
+            } else {
+                graphicStates[atcf] = { advisoryPubDate, version, waitStartTime: null };
+                staleGraphicCycloneIds.push(atcf);
+            }
+        }
+    }
+
+    return {
+        deferredCycloneIds,
+        staleGraphicCycloneIds,
+    };
+}
@@ -0,0 +1,182 @@
+import { toTitleCase } from '../lib/utils.js';
+
+/**
+ * Languages reports can be rendered in
+ * @readonly
+ * @enum {String}
+ */
+export const Locale = {
+    ENGLISH: 'en',
+    SPANISH: 'es',
+};
+
+/**
+ * Text of reports keyed by locale then message key. Placeholders are written as {name}. English is used for keys
+ * a locale is missing
+ */
+const messages = {
+    en: {
+        category: 'Category {category}',
+        publicAdvisoryUpdate: 'Public Advisory Update',
+        watchesAndWarningsChanged: 'Watches and Warnings Changed',
+        alertTitle: '{title} Alert',
+        finalSummaryTitle: '{title} - Final Summary',
+        nearLocationTitle: '{title} Near {location}',
+        headline: 'Headline',
+        maxSustainedWind: 'Max Sustained Wind',
+        minimumPressure: 'Minimum Pressure',
+        movement: 'Movement',
+        movementToward: '{direction} at {speed}',
+        center: 'Center',
+        changes: 'Changes',
+        changesWithThisAdvisory: 'Changes With This Advisory',
+        watchWarningInEffect: '{type} In Effect',
+        forecast: 'Forecast',
+        asOf: 'As Of',
+        asOfTime: 'As of {time}',
+        advisoriesPostedInThread: 'Advisories are posted in {thread}',
+        advisoriesPostedInMessageThread: 'Advisories are posted in the thread of this message',
+        advisoriesEnded: 'Advisories on {name} have ended',
+        lastClassifiedAs: 'It was last classified as a {type}',
+        advisoriesEndedStatus: 'Advisories have ended, last classified as a {type}',
+        status: 'Status',
+        lifetime: 'Lifetime',
+        lifetimeRange: '{start} to {end}',
+        peakIntensity: 'Peak Intensity',
+        peakWind: 'Peak Wind',
+        lowestPressure: 'Lowest Pressure',
+        advisories: 'Advisories',
+        lastKnownPosition: 'Last Known Position',
+        forecastCone: 'Forecast cone',
+        stormPage: 'NHC storm page',
+        forecastConeOf: 'Forecast cone of {title}',
+        proximity: '{distance} mi {direction} of {location}',
+        proximityWithinRadius: '{title} is {proximity}, within the {radius} mi alert radius',
+        proximityForecastToPass: '{title} is {proximity} and forecast to pass within {radius} mi of it',
+        proximityMovingToward: '{title} is {proximity} and moving toward it at {speed}',
+        changeNamed: '{oldName} has been named {newName}',
+        changeUpgradedTropicalStorm: 'Upgraded from {oldType} to {newType}',
+        changeUpgradedHurricane: 'Upgraded from {oldType} to a Category {category} Hurricane',
+        changeCategoryIncrease: 'Strengthened from Category {oldCategory} to Category {newCategory}',
+        changeCategoryDecrease: 'Weakened from a Category {oldCategory} Hurricane to Category {newCategory}',
+        changeCategoryDecreaseToType: 'Weakened from a Category {oldCategory} Hurricane to a {newType}',
+        changeRapidIntensification: 'Rapid intensification: winds increased {increase} in the last {hours} hours',
+        graphicsNotUpdated: 'The NHC has not updated the graphics for this advisory yet. See the storm page for the latest forecast cone',
+    },
+    es: {
+        category: 'Categoría {category}',
+        publicAdvisoryUpdate: 'Actualización del Aviso Público',
+        watchesAndWarningsChanged: 'Cambios en Vigilancias y Avisos',
+        alertTitle: 'Alerta: {title}',
+        finalSummaryTitle: '{title} - Resumen Final',
+        nearLocationTitle: '{title} Cerca de {location}',
+        headline: 'Titular',
+        maxSustainedWind: 'Vientos Máximos Sostenidos',
+        minimumPressure: 'Presión Mínima',
+        movement: 'Movimiento',
+        movementToward: '{direction} a {speed}',
+        center: 'Centro',
+        changes: 'Cambios',
+        changesWithThisAdvisory: 'Cambios Con Este Aviso',
+        watchWarningInEffect: '{type} en Efecto',
+        forecast: 'Pronóstico',
+        asOf: 'Vigente a',
+        asOfTime: 'Vigente a {time}',
+        advisoriesPostedInThread: 'Los avisos se publican en {thread}',
+        advisoriesPostedInMessageThread: 'Los avisos se publican en el hilo de este mensaje',
+        advisoriesEnded: 'Los avisos sobre {name} han terminado',
+        lastClassifiedAs: 'Su última clasificación fue {type}',
+        advisoriesEndedStatus: 'Los avisos han terminado, su última clasificación fue {type}',
+        status: 'Estado',
+        lifetime: 'Duración',
+        lifetimeRange: 'Del {start} al {end}',
+        peakIntensity: 'Intensidad Máxima',
+        peakWind: 'Viento Máximo',
+        lowestPressure: 'Presión Más Baja',
+        advisories: 'Avisos',
+        lastKnownPosition: 'Última Posición Conocida',
+        forecastCone: 'Cono de pronóstico',
+        stormPage: 'Página de la tormenta del NHC',
+        forecastConeOf: 'Cono de pronóstico de {title}',
+        proximity: '{distance} mi al {direction} de {location}',
+        proximityWithinRadius: '{title} está a {proximity}, dentro del radio de alerta de {radius} mi',
+        proximityForecastToPass: '{title} está a {proximity} y se pronostica que pase a menos de {radius} mi',
+        proximityMovingToward: '{title} está a {proximity} y se acerca a {speed}',
+        changeNamed: '{oldName} ha sido nombrada {newName}',
+        changeUpgradedTropicalStorm: 'Ascendió de {oldType} a {newType}',
+        changeUpgradedHurricane: 'Ascendió de {oldType} a Huracán Categoría {category}',
+        changeCategoryIncrease: 'Se fortaleció de Categoría {oldCategory} a Categoría {newCategory}',
+        changeCategoryDecrease: 'Se debilitó de Huracán Categoría {oldCategory} a Categoría {newCategory}',
+        changeCategoryDecreaseToType: 'Se debilitó de Huracán Categoría {oldCategory} a {newType}',
+        changeRapidIntensification: 'Intensificación rápida: los vientos aumentaron {increase} en las últimas {hours} horas',
+        graphicsNotUpdated: 'El NHC aún no ha actualizado los gráficos de este aviso. Consulte la página de la tormenta para ver el cono de pronóstico más reciente',
+    },
+};
+
+/**
+ * NHC terms (cyclone types, watch and warning types) keyed by locale then lowercase English term
+ */
+const terms = {
+    es: {
+        'hurricane': 'Huracán',
+        'tropical storm': 'Tormenta Tropical',
+        'tropical depression': 'Depresión Tropical',
+        'subtropical storm': 'Tormenta Subtropical',
+        'subtropical depression': 'Depresión Subtropical',
+        'post-tropical cyclone': 'Ciclón Post-Tropical',
+        'potential tropical cyclone': 'Potencial Ciclón Tropical',
+        'remnants of': 'Remanentes de',
+        'hurricane warning': 'Aviso de Huracán',
+        'hurricane watch': 'Vigilancia de Huracán',
+        'tropical storm warning': 'Aviso de Tormenta Tropical',
+        'tropical storm watch': 'Vigilancia de Tormenta Tropical',
+        'storm surge warning': 'Aviso de Marejada Ciclónica',
+        'storm surge watch': 'Vigilancia de Marejada Ciclónica',
+    },
+};
+
+/**
+ * Compass point letters keyed by locale then English letter
+ */
+const compassLetters = {
+    es: { W: 'O' },
+};
+
+/**
+ * e.g. "es", "alertTitle", { title: "Huracán Idalia" } -> "Alerta: Huracán Idalia"
+ * @param {Locale} locale
+ * @param {String} key
+ * @param {Object<String, String|Number>} params - Values of the message's placeholders
+ * @returns {String}
+ * @throws {Error} when no locale has the message, which is a bug
+ */
+export function translate(locale, key, params = {}) {
+    const message = messages[locale]?.[key] ?? messages[Locale.ENGLISH][key];
+    if (message == null) {
+        throw new Error(`Unknown message "${key}"`);
+    }
+
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => params[name] != null ? String(params[name]) : placeholder);
+}
+
+/**
+ * Translates an NHC term such as a cyclone type or a watch/warning type, e.g. "es", "HURRICANE" -> "Huracán". Terms
+ * without a translation are title cased
+ * @param {Locale} locale
+ * @param {String} term
+ * @returns {String}
+ */
+export function translateTerm(locale, term) {
+    return terms[locale]?.[term.toLowerCase()] ?? toTitleCase(term);
+}
+
+/**
+ * e.g. "es", "WSW" -> "OSO"
+ * @param {Locale} locale
+ * @param {String} compassPoint
+ * @returns {String}
+ */
+export function translateCompassPoint(locale, compassPoint) {
+    const letters = compassLetters[locale] ?? {};
+    return compassPoint.split('').map((letter) => letters[letter] ?? letter).join('');
+}
@@ -0,0 +1,376 @@
+import './setup-env.js';
+import { createServer } from 'node:http';
+import { toTitleCase } from '../lib/utils.js';
+import { logger } from './log.js';
+import { loadMetadata, saveMetadata, withMetadataLock, createSubscription, filterCyclonesBySubscription } from './metadata.js';
+import { DEFAULT_PROXIMITY_RADIUS_MILES } from './proximity.js';
+import { getConfig, requireConfigSettings } from './config.js';
+import * as discord from '../lib/discord.js';
+
+const interactionsPath = '/interactions';
+const manageMessagesPermission = String(1 << 13);
+
+/**
+ * The "/nhc" command and its subcommands
+ * @type {discord.ApplicationCommand}
+ */
+const nhcCommand = {
+    name: 'nhc',
+    description: 'Track NHC tropical cyclones in a guild channel',
+    default_member_permissions: manageMessagesPermission,
+    dm_permission: false,
+    options: [
+        {
+            type: discord.ApplicationCommandOptionType.SUB_COMMAND,
+            name: 'track',
+            description: 'Report updates of one or more cyclones in a channel',
+            options: [
+                {
+                    type: discord.ApplicationCommandOptionType.STRING,
+                    name: 'atcf',
+                    description: 'One or more ATCF IDs separated by spaces (e.g. AL052023)',
+                    required: true,
+                },
+                {
+                    type: discord.ApplicationCommandOptionType.CHANNEL,
+                    name: 'channel',
+                    description: 'Channel to report in. Defaults to this channel',
+                },
+            ],
+        },
+        {
+            type: discord.ApplicationCommandOptionType.SUB_COMMAND,
+            name: 'untrack',
+            description: 'Stop reporting updates of one or more cyclones in a channel',
+            options: [
+                {
+                    type: discord.ApplicationCommandOptionType.STRING,
+                    name: 'atcf',
+                    description: 'One or more ATCF IDs separated by spaces (e.g. AL052023)',
+                    required: true,
+                },
+                {
+                    type: discord.ApplicationCommandOptionType.CHANNEL,
+                    name: 'channel',
+                    description: 'Channel reports are sent to. Defaults to this channel',
+                },
+            ],
+        },
+        {
+            type: discord.ApplicationCommandOptionType.SUB_COMMAND,
+            name: 'list',
+            description: 'List active cyclones and whether a channel tracks them',
+            options: [
+                {
+                    type: discord.ApplicationCommandOptionType.CHANNEL,
+                    name: 'channel',
+                    description: 'Channel reports are sent to. Defaults to this channel',
+                },
+            ],
+        },
+        {
+            type: discord.ApplicationCommandOptionType.SUB_COMMAND,
+            name: 'status',
+            description: 'Show the latest conditions of the cyclones a channel tracks',
+            options: [
+                {
+                    type: discord.ApplicationCommandOptionType.CHANNEL,
+                    name: 'channel',
+                    description: 'Channel reports are sent to. Defaults to this channel',
+                },
+            ],
+        },
+        {
+            type: discord.ApplicationCommandOptionType.SUB_COMMAND_GROUP,
+            name: 'location',
+            description: 'Manage the locations a channel is alerted about when a cyclone comes near',
+            options: [
+                {
+                    type: discord.ApplicationCommandOptionType.SUB_COMMAND,
+                    name: 'add',
+                    description: 'Alert a channel when a cyclone comes near a location',
+                    options: [
+                        {
+                            type: discord.ApplicationCommandOptionType.STRING,
+                            name: 'name',
+                            description: 'Name of the location (e.g. Tampa Office)',
+                            required: true,
+                        },
+                        {
+                            type: discord.ApplicationCommandOptionType.NUMBER,
+                            name: 'latitude',
+                            description: 'Latitude in degrees (e.g. 27.95)',
+                            required: true,
+                            min_value: -90,
+                            max_value: 90,
+                        },
+                        {
+                            type: discord.ApplicationCommandOptionType.NUMBER,
+                            name: 'longitude',
+                            description: 'Longitude in degrees, negative west (e.g. -82.46)',
+                            required: true,
+                            min_value: -180,
+                            max_value: 180,
+                        },
+                        {
+                            type: discord.ApplicationCommandOptionType.NUMBER,
+                            name: 'radius',
+                            description: `Alert radius in miles. Defaults to ${DEFAULT_PROXIMITY_RADIUS_MILES}`,
+                            min_value: 1,
+                        },
+                        {
+                            type: discord.ApplicationCommandOptionType.CHANNEL,
+                            name: 'channel',
+                            description: 'Channel to alert. Defaults to this channel',
+                        },
+                    ],
+                },
+                {
+                    type: discord.ApplicationCommandOptionType.SUB_COMMAND,
+                    name: 'remove',
+                    description: 'Stop alerting a channel about a location',
+                    options: [
+                        {
+                            type: discord.ApplicationCommandOptionType.STRING,
+                            name: 'name',
+                            description: 'Name of the location',
+                            required: true,
+                        },
+                        {
+                            type: discord.ApplicationCommandOptionType.CHANNEL,
+                            name: 'channel',
+                            description: 'Channel alerts are sent to. Defaults to this channel',
+                        },
+                    ],
+                },
+                {
+                    type: discord.ApplicationCommandOptionType.SUB_COMMAND,
+                    name: 'list',
+                    description: 'List the locations a channel is alerted about',
+                    options: [
+                        {
+                            type: discord.ApplicationCommandOptionType.CHANNEL,
+                            name: 'channel',
+                            description: 'Channel alerts are sent to. Defaults to this channel',
+                        },
+                    ],
+                },
+            ],
+        },
+    ],
+};
+
+/**
+ * Registers the application commands and starts an HTTP server that receives Discord interactions on the
+ * "/interactions" path. The server's public URL must be set as the application's "Interactions Endpoint URL"
+ * @param {?Number} port - Defaults to the interactions.port setting of the config
+ * @returns {import('node:http').Server}
+ */
+export async function startInteractionsServer(port) {
+    requireConfigSettings(['discord.applicationId', 'discord.publicKey']);
+    const config = getConfig();
+    port = port ?? config.interactions.port;
+
+    await discord.overwriteApplicationCommands(config.discord.applicationId, [nhcCommand], config.discord.commandGuildId);
+    logger.info('Registered discord application commands');
+
+    const server = createServer(async (req, res) => {
+        try {
+            await handleRequest(req, res);
+        } catch (error) {
+            logger.error(`Unable to handle interaction. Reason:${error.message}`);
+            if (!res.headersSent) {
+                res.writeHead(500).end();
+            }
+        }
+    });
+    server.listen(port, () => logger.info(`Listening for discord interactions on port ${port}`));
+
+    return server;
+}
+
+/**
+ * @param {import('node:http').IncomingMessage} req
+ * @param {import('node:http').ServerResponse} res
+ */
+async function handleRequest(req, res) {
+    if (req.method !== 'POST' || req.url !== interactionsPath) {
+        res.writeHead(404).end();
+        return;
+    }
+
+    // the signature covers the bytes sent, and a multi-byte character may be split between chunks
+    let chunks = [];
+    for await (const chunk of req) {
+        chunks.push(chunk);
+    }
+    const rawBody = Buffer.concat(chunks);
+
+    const isVerified = discord.verifyInteractionSignature(
+        rawBody,
+        req.headers['x-signature-ed25519'],
+        req.headers['x-signature-timestamp'],
+        getConfig().discord.publicKey
+    );
+    if (!isVerified) {
+        res.writeHead(401).end('invalid request signature');
+        return;
+    }
+
+    const interaction = JSON.parse(rawBody.toString('utf-8'));
+    let responseData;
+    if (interaction.type === discord.InteractionType.PING) {
+        responseData = { type: discord.InteractionResponseType.PONG };
+    } else if (interaction.type === discord.InteractionType.APPLICATION_COMMAND && interaction.data.name === nhcCommand.name) {
+        // the reply follows once the metadata is free, which may take longer than the 3 seconds Discord waits for a 
+        // response while the tracker runs
+        responseData = {
+            type: discord.InteractionResponseType.DEFERRED_CHANNEL_MESSAGE_WITH_SOURCE,
+            data: {
+                flags: discord.MessageFlags.EPHEMERAL,
+            },
+        };
+    } else {
+        res.writeHead(400).end('unsupported interaction');
+        return;
+    }
+
+    res.writeHead(200, { 'Content-Type': 'application/json' }).end(JSON.stringify(responseData));
+    if (responseData.type === discord.InteractionResponseType.DEFERRED_CHANNEL_MESSAGE_WITH_SOURCE) {
+        await replyToNhcCommand(interaction);
+    }
+}
+
+/**
+ * Runs a "/nhc" subcommand while holding the metadata lock and replies with its result
+ * @param {Object} interaction - Discord interaction object
+ */
+async function replyToNhcCommand(interaction) {
+    let content;
+    try {
+        content = await withMetadataLock(() => handleNhcCommand(interaction));
+    } catch (error) {
+        logger.error(`Unable to handle "/nhc" command. Reason:${error.message}`);
+        content = 'Unable to run the command right now, please try again later.';
+    }
+
+    await discord.editOriginalInteractionResponse(getConfig().discord.applicationId, interaction.token, { messageContent: content });
+}
+
+/**
+ * Runs a "/nhc" subcommand against the stored metadata
+ * @param {Object} interaction - Discord interaction object
+ * @returns {String} the reply message
+ */
+async function handleNhcCommand(interaction) {
+    let subcommand = interaction.data.options[0];
+    let subcommandName = subcommand.name;
+    if (subcommand.type === discord.ApplicationCommandOptionType.SUB_COMMAND_GROUP) {
+        subcommand = subcommand.options[0];
+        subcommandName += ` ${subcommand.name}`; // e.g. "location add"
+    }
+    let options = {};
+    (subcommand.options ?? []).forEach((option) => options[option.name] = option.value);
+
+    const channelId = options.channel ?? interaction.channel_id;
+    const cycloneIds = (options.atcf ?? '').toUpperCase().split(/[\s,]+/).filter((id) => id.length > 0);
+    let metadata = await loadMetadata();
+    let subscription = metadata.subscriptions.find((subscription) => subscription.channelId === channelId);
+
+    logger.info(`Handling "/nhc ${subcommandName}" for discord guild channel id:${channelId}`);
+    if (subcommandName === 'track' || subcommandName === 'location add') {
+        if (subscription == null) {
+            subscription = createSubscription(channelId);
+            metadata.subscriptions.push(subscription);
+        }
+
+        if (subcommandName === 'location add') {
+            const { name, latitude, longitude, radius } = options;
+            const location = { name: name.trim(), latitude, longitude, radiusMiles: radius ?? null };
+            subscription.locations = subscription.locations.filter((existing) => existing.name.toLowerCase() !== location.name.toLowerCase());
+            subscription.locations.push(location);
+            await saveMetadata(metadata);
+
+            return `<#${channelId}> will be alerted when a cyclone comes within ${radius ?? DEFAULT_PROXIMITY_RADIUS_MILES} mi of ${location.name}, or is moving toward it.`;
+        }
+
+        let activeCycloneIds = filterCyclonesBySubscription(subscription, metadata.cyclones).map((cyclone) => cyclone.atcf);
+        let unknownCycloneIds = cycloneIds.filter((id) => !activeCycloneIds.includes(id));
+        if (unknownCycloneIds.length > 0) {
+            return `Unknown ATCF ID(s): ${unknownCycloneIds.join(', ')}. Use \`/nhc list\` to see the active cyclones.`;
+        }
+
+        cycloneIds.forEach((id) => {
+            if (!subscription.trackedCycloneIds.includes(id)) {
+                subscription.trackedCycloneIds.push(id);
+            }
+        });
+        await saveMetadata(metadata);
+
+        return `Now tracking ${cycloneIds.join(', ')} in <#${channelId}>. Reports are sent with the next public advisory.`;
+    }
+
+    if (subscription == null) {
+        return `<#${channelId}> does not receive cyclone reports. Use \`/nhc track\` to start tracking a cyclone there.`;
+    }
+
+    if (subcommandName === 'untrack') {
+        let untrackedCycloneIds = cycloneIds.filter((id) => !subscription.trackedCycloneIds.includes(id));
+        if (untrackedCycloneIds.length > 0) {
+            return `<#${channelId}> does not track ATCF ID(s): ${untrackedCycloneIds.join(', ')}.`;
+        }
+
+        subscription.trackedCycloneIds = subscription.trackedCycloneIds.filter((id) => !cycloneIds.includes(id));
+        await saveMetadata(metadata);
+
+        return `Stopped tracking ${cycloneIds.join(', ')} in <#${channelId}>.`;
+    } else if (subcommandName === 'list') {
+        let activeCyclones = filterCyclonesBySubscription(subscription, metadata.cyclones);
+        if (activeCyclones.length === 0) {
+            return 'There are no tropical cyclones at this time.';
+        }
+
+        return activeCyclones.map((cyclone) => {
+            const trackedMarker = subscription.trackedCycloneIds.includes(cyclone.atcf) ? ' (tracked)' : '';
+            return `- \`${cyclone.atcf}\` ${toTitleCase(cyclone.type)} ${toTitleCase(cyclone.name)}${trackedMarker}`;
+        }).join('\n');
+    } else if (subcommandName === 'status') {
+        let trackedCyclones = metadata.cyclones.filter((cyclone) => subscription.trackedCycloneIds.includes(cyclone.atcf));
+        if (trackedCyclones.length === 0) {
+            return `<#${channelId}> is not tracking any cyclones.`;
+        }
+
+        return trackedCyclones.map((cyclone) => {
+            const { type, name, atcf, hurricaneCategory, wind, pressure, movement, datetime } = cyclone;
+            let status = `**${toTitleCase(type)} ${toTitleCase(name)}** `;
+            if (hurricaneCategory > 0) {
+                status += `(Category ${hurricaneCategory}) `;
+            }
+            status += `\`ATCF:${atcf}\`\n`;
+            status += `Wind: ${wind} | Pressure: ${pressure} | Movement: ${movement}\n`;
+            status += `As of ${datetime}`;
+            return status;
+        }).join('\n\n');
+    } else if (subcommandName === 'location remove') {
+        const name = options.name.trim().toLowerCase();
+        let location = subscription.locations.find((location) => location.name.toLowerCase() === name);
+        if (location == null) {
+            return `<#${channelId}> has no location named "${options.name}".`;
+        }
+
+        subscription.locations = subscription.locations.filter((existing) => existing !== location);
+        await saveMetadata(metadata);
+
+        return `Stopped alerting <#${channelId}> about ${location.name}.`;
+    } else if (subcommandName === 'location list') {
+        if (subscription.locations.length === 0) {
+            return `<#${channelId}> has no locations. Use \`/nhc location add\` to add one.`;
+        }
+
+        return subscription.locations.map(({ name, latitude, longitude, radiusMiles }) => {
+            return `- **${name}** (${latitude}, ${longitude}) within ${radiusMiles ?? DEFAULT_PROXIMITY_RADIUS_MILES} mi`;
+        }).join('\n');
+    }
+
+    return `Unknown command "${subcommandName}".`;
+}
@@ -0,0 +1,386 @@
+import { join as pathJoin } from 'path';
+import { open, stat, unlink } from 'fs/promises';
+import process from 'node:process';
+import { PROJECT_ROOT_DIRNAME, getCurrentDate } from '../lib/utils.js';
+import { createJSONFileStore } from './store/json-file-store.js';
+import { createSQLiteStore } from './store/sqlite-store.js';
+import { getConfig } from './config.js';
+import * as nhc from '../lib/nhc.js';
+import { logger } from './log.js';
+
+/**
+ * Version of the metadata structure written by this version of the script
+ */
+export const METADATA_SCHEMA_VERSION = 16;
+
+/**
+ * Upgrades metadata from the version it is keyed by to the next version
+ * @type {Object<Number, (metadata: Object) => void>}
+ */
+const migrations = {
+    // 1 -> 2: single guild channel fields become subscriptions, advisory history is added
+    1: (metadata) => {
+        const defaultChannelId = getConfig().discord.guildChannelId;
+        if (metadata.hasOwnProperty('guildTrackedCycloneIds')) {
+            metadata.subscriptions = [];
+            if (defaultChannelId) {
+                metadata.subscriptions.push(createSubscription(defaultChannelId, metadata.guildTrackedCycloneIds, metadata.guildReportMessageIds));
+            }
+            delete metadata.guildTrackedCycloneIds;
+            delete metadata.guildReportMessageIds;
+        }
+        metadata.subscriptions ??= [];
+        metadata.subscriptions.forEach((subscription) => {
+            subscription.trackCommandMessageId ??= null;
+            subscription.attachIntensityChart ??= true;
+        });
+        metadata.cycloneHistory ??= {};
+    },
+    // 2 -> 3: outlook disturbances are stored
+    2: (metadata) => {
+        metadata.disturbances ??= [];
+    },
+    // 3 -> 4: subscriptions watch locations for nearby cyclones
+    3: (metadata) => {
+        metadata.subscriptions.forEach((subscription) => {
+            subscription.locations ??= [];
+            subscription.proximityStatuses ??= {};
+        });
+    },
+    // 4 -> 5: admin DM commands are handled once each, remembering the last handled message instead of per subscription
+    4: (metadata) => {
+        metadata.adminCommandLastMessageId = null;
+        metadata.subscriptions.forEach((subscription) => {
+            const messageId = subscription.trackCommandMessageId;
+            if (messageId != null && (metadata.adminCommandLastMessageId == null || BigInt(messageId) > BigInt(metadata.adminCommandLastMessageId))) {
+                metadata.adminCommandLastMessageId = messageId;
+            }
+            delete subscription.trackCommandMessageId;
+        });
+    },
+    // 5 -> 6: subscriptions may track cyclones by themselves through auto-track rules
+    5: (metadata) => {
+        metadata.subscriptions.forEach((subscription) => {
+            subscription.autoTrackRules ??= [];
+            subscription.autoTrackedCycloneIds ??= [];
+        });
+    },
+    // 6 -> 7: storms may have a guild role members opt in to
+    6: (metadata) => {
+        metadata.subscriptions.forEach((subscription) => {
+            subscription.guildId ??= null;
+            subscription.enableStormRoles ??= false;
+            subscription.stormRoles ??= {};
+        });
+    },
+    // 7 -> 8: storm advisories may be posted in a thread per storm
+    7: (metadata) => {
+        metadata.subscriptions.forEach((subscription) => {
+            subscription.useStormThreads ??= false;
+            subscription.stormThreads ??= {};
+        });
+    },
+    // 8 -> 9: storms missing from the feed are remembered until they are considered gone and get a final summary
+    8: (metadata) => {
+        metadata.missingCyclones ??= {};
+        metadata.subscriptions.forEach((subscription) => {
+            subscription.cycloneReportMessageIds ??= {};
+        });
+    },
+    // 9 -> 10: subscriptions may be sent to through a channel webhook instead of the bot
+    9: (metadata) => {
+        metadata.subscriptions.forEach((subscription) => {
+            subscription.webhookUrl ??= null;
+        });
+    },
+    // 10 -> 11: storm notifications may be sent to destinations outside of guild subscriptions
+    10: (metadata) => {
+        metadata.notifiers ??= [];
+    },
+    // 11 -> 12: subscriptions choose the language, time zone and units of their reports
+    11: (metadata) => {
+        metadata.subscriptions.forEach((subscription) => {
+            subscription.display ??= {};
+        });
+    },
+    // 12 -> 13: subscriptions choose which NHC graphics are attached to reports, which was always the 5-day cone
+    12: (metadata) => {
+        metadata.subscriptions.forEach((subscription) => {
+            subscription.graphics ??= [nhc.StormGraphic.CONE_5DAY];
+        });
+    },
+    // 13 -> 14: reports wait for storm graphics to be regenerated for new advisories
+    13: (metadata) => {
+        metadata.stormGraphics ??= {};
+    },
+    // 14 -> 15: subscriptions choose whether intermediate advisories are reported, which they always were
+    14: (metadata) => {
+        metadata.subscriptions.forEach((subscription) => {
+            subscription.reportIntermediateAdvisories ??= true;
+        });
+    },
+    // 15 -> 16: notifiers move to the config file, where they are validated at startup
+    15: (metadata) => {
+        if (metadata.notifiers?.length > 0) {
+            logger.error(`Notifiers are now read from the "notifications.notifiers" setting of the config file. Move the notifiers removed from the metadata store there: ${JSON.stringify(metadata.notifiers)}`);
+        }
+        delete metadata.notifiers;
+    },
+};
+
+let metadataStore = null;
+
+/**
+ * How long a process waits for the metadata lock before giving up, and how old a lock must be to be considered left
+ * behind by a process that crashed while holding it. Runs of the tracker take well under the latter
+ */
+const METADATA_LOCK_TIMEOUT_MS = 5 * 60 * 1000;
+const METADATA_LOCK_STALE_MS = 15 * 60 * 1000;
+const METADATA_LOCK_RETRY_MS = 200;
+
+/**
+ * Stores information about data from the last time the script ran
+ * @typedef {Object} Metadata
+ * @property {Number} schemaVersion - Version of the metadata structure (see METADATA_SCHEMA_VERSION)
+ * @property {nhc.Cyclone[]} cyclones - latest cyclone data
+ * @property {nhc.Disturbance[]} disturbances - latest Tropical Weather Outlook disturbances of every tracked basin
+ * @property {String} adminReportNextTime - Represents next time "admin cyclone report" will be generated. An ISO8061 UTC String
+ * @property {String} adminReportMessageId - ID of the last admin cyclone report message sent in the admin channel
+ * @property {?String} adminCommandLastMessageId - ID of the last admin DM message handled as a command
+ * @property {Subscription[]} subscriptions - Discord guild channels that receive cyclone reports
+ * @property {Object<String, CycloneObservation[]>} cycloneHistory - Every advisory observed for each cyclone, keyed by ATCF ID
+ * @property {Object<String, import('./departures.js').MissingCyclone>} missingCyclones - Cyclones missing from the feed that
+ * are not considered gone yet, keyed by ATCF ID
+ * @property {Object<String, import('./graphic-freshness.js').StormGraphicState>} stormGraphics - Graphic last reported
+ * for each active cyclone, keyed by ATCF ID. Used to tell whether the graphics of a new advisory have been regenerated
+ */
+
+/**
+ * A cyclone's intensity and position as of one of its advisories
+ * @typedef {Object} CycloneObservation
+ * @property {String} time - Publication date of the advisory, or the time it was observed when unavailable. An ISO8061 UTC String
+ * @property {String} updateGuid - The guid of the summary update the observation was taken from
+ * @property {String} type
+ * @property {String} name
+ * @property {?Number} windMph
+ * @property {?Number} pressureMb
+ * @property {String} center
+ * @property {Number} hurricaneCategory
+ */
+
+/**
+ * A discord guild channel that receives reports for the cyclones it tracks
+ * @typedef {Object} Subscription
+ * @property {String} channelId - ID of the discord guild channel reports are sent to
+ * @property {?String} webhookUrl - Webhook of the channel to send through instead of the bot. Messages sent through it are 
+ * not pinned, and storm roles (other than those configured by hand) and threads are not available
+ * @property {import('./display-settings.js').DisplaySettings} display - Language, time zone and units of the channel's reports
+ * @property {String[]} basins - Names of the basins (see nhc.Basin) whose cyclones may be tracked. Any tracked basin when empty
+ * @property {String[]} trackedCycloneIds - Cyclones to report to the channel. Set through commands or manually input.
+ * @property {String[]} reportMessageIds - Last cyclone report message IDs generated in the channel. Used in for pinning.
+ * @property {Object<String, String>} cycloneReportMessageIds - Last report message ID of each tracked cyclone, keyed by ATCF ID
+ * @property {nhc.StormGraphic[]} graphics - NHC graphics attached to reports, in order. The first one published for the
+ * cyclone is shown in the report's embed
+ * @property {Boolean} attachIntensityChart - Whether reports include a chart of the cyclone's wind and pressure history
+ * @property {Boolean} reportIntermediateAdvisories - Whether intermediate advisories (e.g. "16A") are reported, or only
+ * full advisories. Notable changes are alerted either way
+ * @property {import('./proximity.js').Location[]} locations - Places to alert the channel about when a cyclone comes near
+ * @property {Object<String, String>} proximityStatuses - Last proximity status (see ProximityStatus) of each active
+ * cyclone near a location, keyed by "<ATCF ID>:<location name>"
+ * @property {import('./auto-track.js').AutoTrackRule[]} autoTrackRules - Active cyclones matching any of the rules are tracked automatically
+ * @property {String[]} autoTrackedCycloneIds - Active cyclones tracked through auto-track rules, which are not auto-tracked again once untracked
+ * @property {?String} guildId - ID of the guild the channel belongs to. Looked up when first needed
+ * @property {Boolean} enableStormRoles - Whether a role is created for each tracked storm, which members get by reacting to its report
+ * @property {Object<String, import('./storm-roles.js').StormRole>} stormRoles - Role mentioned in the reports and alerts of 
+ * each tracked storm, keyed by ATCF ID. Roles may also be configured by hand as { "roleId": "..." }
+ * @property {Boolean} useStormThreads - Whether reports are posted in a thread per storm, keeping only a summary message in the channel
+ * @property {Object<String, import('./storm-threads.js').StormThread>} stormThreads - Thread of each storm still in the feed, keyed by ATCF ID
+ */
+
+/**
+ * Persists metadata between runs
+ * @typedef {Object} MetadataStore
+ * @property {() => Promise<?Object>} load - Resolves to null when nothing has been stored yet. Rejects if the store is corrupt
+ * @property {(metadata: Metadata) => Promise<void>} save
+ */
+
+/**
+ * Gets the store selected by the metadata.store setting of the config: "json" (default) for a JSON file or "sqlite" 
+ * for an SQLite database. metadata.path overrides the file location (default: metadata.json or metadata.sqlite in the 
+ * project root)
+ * @returns {MetadataStore}
+ */
+function getMetadataStore() {
+    if (metadataStore) {
+        return metadataStore;
+    }
+
+    if (getConfig().metadata.store === 'json') {
+        metadataStore = createJSONFileStore(getMetadataStorePath());
+    } else {
+        metadataStore = createSQLiteStore(getMetadataStorePath());
+    }
+
+    return metadataStore;
+}
+
+/**
+ * @returns {String} the file of the store selected by the config
+ */
+function getMetadataStorePath() {
+    const { store: storeType, path: storePath } = getConfig().metadata;
+    return storePath ?? pathJoin(PROJECT_ROOT_DIRNAME, storeType === 'json' ? 'metadata.json' : 'metadata.sqlite');
+}
+
+/**
+ * Runs the callback while holding a lock file next to the metadata store, so that the tracker and the interactions 
+ * server never load the metadata while the other is about to save over it. Waits for the lock when it is held
+ * @template T
+ * @param {() => Promise<T>} callback - Loads, changes and saves the metadata
+ * @returns {Promise<T>} what the callback resolves to
+ * @throws {Error} when the lock is not released in time
+ */
+export async function withMetadataLock(callback) {
+    const lockFilename = `${getMetadataStorePath()}.lock`;
+    const waitStartTime = Date.now();
+    while (true) {
+        try {
+            const fileHandle = await open(lockFilename, 'wx'); // fails if the lock file exists
+            await fileHandle.writeFile(String(process.pid));
+            await fileHandle.close();
+            break;
+        } catch (error) {
+            if (error.code !== 'EEXIST') {
+                throw new Error(`Unable to lock metadata store. Reason:${error.message}`);
+            }
+        }
+
+        const lockStats = await stat(lockFilename).catch(() => null);
+        if (lockStats && Date.now() - lockStats.mtimeMs > METADATA_LOCK_STALE_MS) {
+            logger.info(`Removing stale metadata lock ${lockFilename}`);
+            await unlink(lockFilename).catch(() => {});
+        } else if (Date.now() - waitStartTime > METADATA_LOCK_TIMEOUT_MS) {
+            throw new Error(`Timed out waiting for metadata lock ${lockFilename}`);
+        } else {
+            await new Promise((resolve) => setTimeout(resolve, METADATA_LOCK_RETRY_MS));
+        }
+    }
+
+    try {
+        return await callback();
+    } finally {
+        await unlink(lockFilename).catch(() => {});
+    }
+}
+
+/**
+ * Loads data stored during the last time the script ran, migrating it to the current schema version
+ * @returns {Metadata}
+ */
+export async function loadMetadata() {
+    let metadata = await getMetadataStore().load();
+    if (metadata == null) {
+        // set up metadata structure
+        metadata = {
+            schemaVersion: METADATA_SCHEMA_VERSION,
+            adminReportNextTime: getCurrentDate().toISOString(), // set next report time to now (i.e. so new report generated now)
+            adminReportMessageId: null,
+            adminCommandLastMessageId: null,
+            subscriptions: [],
+            cycloneHistory: {},
+            missingCyclones: {},
+            stormGraphics: {},
+            cyclones: [],
+            disturbances: [],
+        };
+    }
+
+    metadata.schemaVersion ??= 1; // metadata written before versioning
+    if (metadata.schemaVersion > METADATA_SCHEMA_VERSION) {
+        throw new Error(`Metadata schema version ${metadata.schemaVersion} is newer than supported version ${METADATA_SCHEMA_VERSION}`);
+    }
+    while (metadata.schemaVersion < METADATA_SCHEMA_VERSION) {
+        migrations[metadata.schemaVersion](metadata);
+        metadata.schemaVersion++;
+    }
+
+    const defaultChannelId = getConfig().discord.guildChannelId;
+    if (defaultChannelId && !metadata.subscriptions.some((subscription) => subscription.channelId === defaultChannelId)) {
+        metadata.subscriptions.push(createSubscription(defaultChannelId));
+    }
+    applyChannelConfigs(metadata, getConfig().subscriptions.channels);
+    
+    return metadata;
+}
+
+/**
+ * Subscribes the channels of the config, overriding the settings they give
+ * @param {Metadata} metadata
+ * @param {import('./config.js').ChannelConfig[]} channelConfigs
+ */
+function applyChannelConfigs(metadata, channelConfigs) {
+    for (const { channelId, ...settings } of channelConfigs) {
+        let subscription = metadata.subscriptions.find((subscription) => subscription.channelId === channelId);
+        if (subscription == null) {
+            subscription = createSubscription(channelId);
+            metadata.subscriptions.push(subscription);
+        }
+
+        if (settings.webhookUrl !== undefined && (settings.webhookUrl ?? null) !== subscription.webhookUrl) {
+            subscription.cycloneReportMessageIds = {}; // reports sent one way cannot be replaced or unpinned the other way
+        }
+        Object.assign(subscription, structuredClone(settings)); // commands must not change the config itself
+    }
+}
+
+/**
+ * @param {String} channelId 
+ * @param {String[]} trackedCycloneIds 
+ * @param {String[]} reportMessageIds 
+ * @returns {Subscription}
+ */
+export function createSubscription(channelId, trackedCycloneIds = [], reportMessageIds = []) {
+    return {
+        channelId,
+        webhookUrl: null,
+        display: {},
+        basins: [],
+        trackedCycloneIds,
+        reportMessageIds,
+        cycloneReportMessageIds: {},
+        graphics: [nhc.StormGraphic.CONE_5DAY],
+        attachIntensityChart: true,
+        reportIntermediateAdvisories: true,
+        locations: [],
+        proximityStatuses: {},
+        autoTrackRules: [],
+        autoTrackedCycloneIds: [],
+        guildId: null,
+        enableStormRoles: false,
+        stormRoles: {},
+        useStormThreads: false,
+        stormThreads: {},
+    };
+}
+
+/**
+ * Stores object data into the metadata store
+ * @param {Metadata} metadataObj
+ */
+export async function saveMetadata(metadataObj) {
+    await getMetadataStore().save(metadataObj);
+}
+
+/**
+ * @param {Subscription} subscription 
+ * @param {nhc.Cyclone[]} cycloneData 
+ * @returns {nhc.Cyclone[]} the cyclones in the basins the subscription accepts
+ */
+export function filterCyclonesBySubscription(subscription, cycloneData) {
+    if (!subscription.basins || subscription.basins.length === 0) {
+        return cycloneData;
+    }
+
+    const basins = subscription.basins.map((basinName) => nhc.Basin[basinName]);
+    return cycloneData.filter((cyclone) => basins.includes(cyclone.basin));
+}
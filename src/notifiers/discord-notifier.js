@@ -0,0 +1,37 @@
+import { buildCycloneReportEmbed, buildCycloneAlertEmbed, buildCycloneDepartureEmbed } from '../discord-embeds.js';
+import { NotificationKind, getNotificationTitle, getNotificationLinks } from './notification.js';
+import * as discord from '../../lib/discord.js';
+
+/**
+ * Sends notifications as the same embeds guild channel subscriptions get, through a channel webhook or as the bot.
+ * Reports link the cone image instead of attaching it, and nothing is pinned
+ * @param {import('./notifiers.js').NotifierConfig} config - Either url (a webhook URL) or channelId is required
+ * @returns {import('./notifiers.js').Notifier}
+ * @throws {Error} when neither a valid webhook URL nor a channel is configured
+ */
+export function createDiscordNotifier(config) {
+    if (config.url) {
+        discord.parseWebhookUrl(config.url);
+    } else if (!config.channelId) {
+        throw new Error('Discord notifiers require a webhook "url" or a "channelId"');
+    }
+
+    const send = (options) => config.url
+        ? discord.executeWebhook(config.url, options)
+        : discord.createEmbedMessageInChannel(config.channelId, options);
+
+    return {
+        async notify(notification) {
+            const { kind, cyclone, changes, lifetime } = notification;
+            const { display } = config;
+            const title = getNotificationTitle(notification, display);
+            if (kind === NotificationKind.REPORT) {
+                await send({ embeds: [buildCycloneReportEmbed(cyclone, getNotificationLinks(notification).coneImageUrl, display)] });
+            } else if (kind === NotificationKind.ALERT) {
+                await send({ messageContent: `## :warning: ${title}`, embeds: [buildCycloneAlertEmbed(cyclone, changes, display)] });
+            } else if (kind === NotificationKind.DEPARTURE) {
+                await send({ messageContent: `## :checkered_flag: ${title}`, embeds: [buildCycloneDepartureEmbed(cyclone, lifetime, display)] });
+            }
+        },
+    };
+}
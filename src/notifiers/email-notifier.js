@@ -0,0 +1,51 @@
+import process from 'node:process';
+import { sendMail } from '../../lib/smtp.js';
+import { translate } from '../i18n.js';
+import { resolveDisplaySettings } from '../display-settings.js';
+import { getNotificationTitle, getNotificationFields, getNotificationLinks } from './notification.js';
+
+/**
+ * Emails notifications as plain text over SMTP. The SMTP password is read from the env variable named by
+ * smtp.passwordEnv, so that it is not kept in the metadata
+ * @param {import('./notifiers.js').NotifierConfig} config - smtp.host, from and to are required
+ * @returns {import('./notifiers.js').Notifier}
+ * @throws {Error} when the SMTP server, sender or recipients are missing
+ */
+export function createEmailNotifier(config) {
+    const { smtp, from, to } = config;
+    if (!smtp?.host || !from || !Array.isArray(to) || to.length === 0) {
+        throw new Error('Email notifiers require "smtp" settings with a host, a "from" address and a list of "to" addresses');
+    }
+    const password = smtp.passwordEnv ? process.env[smtp.passwordEnv] : null;
+    if (smtp.passwordEnv && !password) {
+        throw new Error(`Please set the environmental variable ${smtp.passwordEnv} to the SMTP password`);
+    }
+
+    return {
+        async notify(notification) {
+            await sendMail({ ...smtp, password }, {
+                from,
+                to,
+                subject: getNotificationTitle(notification, config.display),
+                text: buildEmailText(notification, config.display),
+            });
+        },
+    };
+}
+
+/**
+ * @param {Notification} notification
+ * @param {?import('../display-settings.js').DisplaySettings} display
+ * @returns {String}
+ */
+function buildEmailText(notification, display) {
+    const { locale } = resolveDisplaySettings(display);
+    const { stormPageUrl, coneImageUrl } = getNotificationLinks(notification);
+    const fieldsText = getNotificationFields(notification, display)
+        .map(({ name, value }) => value.includes('\n') ? `${name}:\n${value}` : `${name}: ${value}`)
+        .join('\n\n');
+
+    return `${getNotificationTitle(notification, display)}\n\n${fieldsText}\n\n`
+        + `${translate(locale, 'forecastCone')}: ${coneImageUrl}\n${translate(locale, 'stormPage')}: ${stormPageUrl}\n`
+        + `ATCF:${notification.cyclone.atcf}\n`;
+}
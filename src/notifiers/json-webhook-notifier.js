@@ -0,0 +1,60 @@
+import { getCurrentDate } from '../../lib/utils.js';
+import { getNotificationTitle, getNotificationLinks, postJSON } from './notification.js';
+import * as nhc from '../../lib/nhc.js';
+
+/**
+ * Posts notifications as JSON to a webhook URL, for integrations that do their own formatting. e.g.
+ * { "kind": "alert", "title": "Hurricane Idalia Alert", "cyclone": { "atcf": "AL102023", ... }, "changes": [...] }
+ * @param {import('./notifiers.js').NotifierConfig} config - url is required, headers are sent along (e.g. for authentication)
+ * @returns {import('./notifiers.js').Notifier}
+ * @throws {Error} when no webhook URL is configured
+ */
+export function createJSONWebhookNotifier(config) {
+    if (!config.url) {
+        throw new Error('JSON webhook notifiers require a "url"');
+    }
+
+    return {
+        async notify(notification) {
+            await postJSON(config.url, buildJSONPayload(notification, config.display), config.headers);
+        },
+    };
+}
+
+/**
+ * Values are kept in mph and mb whatever the display's units, only the title follows the display's language
+ * @param {Notification} notification
+ * @param {?import('../display-settings.js').DisplaySettings} display
+ * @returns {Object}
+ */
+function buildJSONPayload(notification, display) {
+    const { kind, cyclone, changes, lifetime } = notification;
+    let payload = {
+        kind,
+        title: getNotificationTitle(notification, display),
+        sentAt: getCurrentDate().toISOString(),
+        cyclone: {
+            atcf: cyclone.atcf,
+            name: cyclone.name,
+            type: cyclone.type,
+            basin: nhc.BasinName[cyclone.basin] ?? null,
+            hurricaneCategory: cyclone.hurricaneCategory ?? null,
+            windMph: cyclone.windMph ?? null,
+            pressureMb: cyclone.pressureMb ?? null,
+            latitude: cyclone.latitude ?? null,
+            longitude: cyclone.longitude ?? null,
+            movement: cyclone.movement ?? null,
+            headline: cyclone.headline ?? null,
+            advisoryPubDate: cyclone.advisoryPubDate ?? null,
+            ...getNotificationLinks(notification),
+        },
+    };
+    if (changes) {
+        payload.changes = changes;
+    }
+    if (lifetime !== undefined) {
+        payload.lifetime = lifetime;
+    }
+
+    return payload;
+}
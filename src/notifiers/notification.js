@@ -0,0 +1,139 @@
+import { formatWind, formatPressure } from '../../lib/units.js';
+import { translate, translateTerm } from '../i18n.js';
+import { describeCycloneChange } from '../cyclone-changes.js';
+import {
+    resolveDisplaySettings,
+    formatCycloneTitle,
+    formatCycloneWind,
+    formatCyclonePressure,
+    formatCycloneMovement,
+    formatAdvisoryTime,
+    formatDateTime,
+} from '../display-settings.js';
+import * as nhc from '../../lib/nhc.js';
+
+/**
+ * @readonly
+ * @enum {String}
+ */
+export const NotificationKind = {
+    REPORT: 'report', // the storm's advisory was updated
+    ALERT: 'alert', // the storm notably changed (e.g. became a hurricane)
+    DEPARTURE: 'departure', // the storm is gone from the feed, with a summary of its lifetime
+};
+
+/**
+ * Something to tell notifiers about a storm, formatted by each notifier for its destination
+ * @typedef {Object} Notification
+ * @property {NotificationKind} kind
+ * @property {nhc.Cyclone} cyclone - The storm's latest data, or its last known data when it is gone
+ * @property {?import('../cyclone-changes.js').CycloneChange[]} changes - What changed, for alerts
+ * @property {?import('../departures.js').CycloneLifetime} lifetime - For departures, null when the storm has no
+ * recorded observations
+ */
+
+/**
+ * e.g. "Hurricane Idalia (Category 4) - Public Advisory Update"
+ * @param {Notification} notification
+ * @param {?import('../display-settings.js').DisplaySettings} display
+ * @returns {String}
+ */
+export function getNotificationTitle(notification, display = null) {
+    const { locale } = resolveDisplaySettings(display);
+    const { kind, cyclone } = notification;
+    if (kind === NotificationKind.ALERT) {
+        return translate(locale, 'alertTitle', { title: formatCycloneTitle(cyclone, display) });
+    } else if (kind === NotificationKind.DEPARTURE) {
+        return translate(locale, 'finalSummaryTitle', { title: formatCycloneTitle(cyclone, display) });
+    }
+
+    const update = cyclone.publicAdvisory?.changes.length > 0 ? 'watchesAndWarningsChanged' : 'publicAdvisoryUpdate';
+    return `${formatCycloneTitle(cyclone, display, true)} - ${translate(locale, update)}`;
+}
+
+/**
+ * Details of a notification as name and value pairs, for destinations that are formatted as text. Fields without a
+ * value are left out
+ * @param {Notification} notification
+ * @param {?import('../display-settings.js').DisplaySettings} display
+ * @returns {{name: String, value: String}[]}
+ */
+export function getNotificationFields(notification, display = null) {
+    const { locale, windUnit, pressureUnit } = resolveDisplaySettings(display);
+    const { kind, cyclone, changes, lifetime } = notification;
+    const field = (key, value) => ({ name: translate(locale, key), value });
+    let fields = [];
+    if (kind === NotificationKind.REPORT) {
+        fields.push(
+            field('headline', cyclone.headline),
+            field('maxSustainedWind', formatCycloneWind(cyclone, display)),
+            field('minimumPressure', formatCyclonePressure(cyclone, display)),
+            field('movement', formatCycloneMovement(cyclone, display)),
+            field('center', nhc.formatCycloneCenter(cyclone.center)),
+        );
+        if (cyclone.publicAdvisory) {
+            fields.push(field('changesWithThisAdvisory', cyclone.publicAdvisory.changes.join('\n')));
+            cyclone.publicAdvisory.watchesAndWarnings.forEach(({ type, areas }) => {
+                fields.push({ name: translate(locale, 'watchWarningInEffect', { type: translateTerm(locale, type) }), value: areas.join('; ') });
+            });
+        }
+        fields.push(field('asOf', formatAdvisoryTime(cyclone, display)));
+    } else if (kind === NotificationKind.ALERT) {
+        fields.push(
+            field('changes', changes.map((change) => describeCycloneChange(change, display)).join('\n')),
+            field('maxSustainedWind', formatCycloneWind(cyclone, display)),
+            field('minimumPressure', formatCyclonePressure(cyclone, display)),
+        );
+    } else if (kind === NotificationKind.DEPARTURE) {
+        fields.push(field('status', translate(locale, 'advisoriesEndedStatus', { type: translateTerm(locale, cyclone.type).toLowerCase() })));
+        if (lifetime) {
+            const { startTime, endTime, peakCategory, peakWindMph, lowestPressureMb, advisoryCount, lastObservation } = lifetime;
+            fields.push(
+                field('lifetime', translate(locale, 'lifetimeRange', { start: formatDateTime(startTime, display), end: formatDateTime(endTime, display) })),
+                field('peakIntensity', peakCategory > 0 ? translate(locale, 'category', { category: peakCategory }) : null),
+                field('peakWind', peakWindMph != null ? formatWind(peakWindMph, windUnit) : null),
+                field('lowestPressure', lowestPressureMb != null ? formatPressure(lowestPressureMb, pressureUnit) : null),
+                field('advisories', String(advisoryCount)),
+                field('lastKnownPosition', nhc.formatCycloneCenter(lastObservation.center)),
+            );
+        } else {
+            fields.push(field('lastKnownPosition', nhc.formatCycloneCenter(cyclone.center)));
+        }
+    }
+
+    return fields.filter((field) => field.value);
+}
+
+/**
+ * @param {Notification} notification
+ * @returns {{stormPageUrl: String, coneImageUrl: String}} links to the storm's NHC pages
+ */
+export function getNotificationLinks(notification) {
+    const { wallet, seasonWallet, atcf } = notification.cyclone;
+    return {
+        stormPageUrl: nhc.getCycloneStormPageLink(wallet),
+        coneImageUrl: nhc.getCycloneConeImageLink(seasonWallet, atcf),
+    };
+}
+
+/**
+ * Posts a JSON payload to a webhook URL
+ * @param {String} url
+ * @param {Object} payload
+ * @param {?Object<String, String>} headers - Extra headers (e.g. for authentication)
+ * @throws {Error} when the webhook does not accept the payload
+ */
+export async function postJSON(url, payload, headers = {}) {
+    const resp = await fetch(url, {
+        method: 'post',
+        headers: {
+            ...headers,
+            'Content-Type': 'application/json; charset=UTF-8',
+        },
+        body: JSON.stringify(payload),
+    });
+
+    if (!resp.ok) {
+        throw new Error(`Unexpected status ${resp.status} ${resp.statusText}.`);
+    }
+}
@@ -0,0 +1,132 @@
+import { appendFile } from 'fs/promises';
+import { getCurrentDate } from '../../lib/utils.js';
+import { validateAutoTrackRule, isAutoTrackRuleMatch } from '../auto-track.js';
+import { getNotificationTitle } from './notification.js';
+import { validateDisplaySettings } from '../display-settings.js';
+import { createDiscordNotifier } from './discord-notifier.js';
+import { createSlackNotifier } from './slack-notifier.js';
+import { createJSONWebhookNotifier } from './json-webhook-notifier.js';
+import { createEmailNotifier } from './email-notifier.js';
+import { logger } from '../log.js';
+
+/**
+ * @typedef {import('./notification.js').Notification} Notification
+ */
+
+/**
+ * @typedef {Object} Notifier
+ * @property {(notification: Notification) => Promise<void>} notify - Formats and sends the notification to its destination
+ */
+
+const NOTIFIER_FACTORIES = {
+    discord: createDiscordNotifier,
+    slack: createSlackNotifier,
+    json: createJSONWebhookNotifier,
+    email: createEmailNotifier,
+};
+
+/**
+ * A destination outside of guild subscriptions that storm notifications are sent to, and which storms it receives.
+ * With neither cycloneIds nor rules, it receives every storm
+ * @typedef {Object} NotifierConfig
+ * @property {String} name - Shown in logs (e.g. "ops-slack")
+ * @property {String} type - discord, slack, json or email
+ * @property {?String} url - Webhook URL, for discord, slack and json notifiers
+ * @property {?String} channelId - Channel the bot posts in, for discord notifiers without a url
+ * @property {?Object<String, String>} headers - Extra headers, for json notifiers
+ * @property {?{host: String, port: ?Number, secure: ?Boolean, username: ?String, passwordEnv: ?String, allowInsecureAuth: ?Boolean}} smtp - For email notifiers
+ * @property {?String} from - Sender address, for email notifiers
+ * @property {?String[]} to - Recipient addresses, for email notifiers
+ * @property {?String[]} cycloneIds - ATCF IDs of storms to receive
+ * @property {?import('../auto-track.js').AutoTrackRule[]} rules - Storms matching any of these rules are received too
+ * @property {?import('../proximity.js').Location[]} locations - Locations withinMiles rules are measured from
+ * @property {?String[]} kinds - Kinds of notifications to receive (see NotificationKind). Defaults to all of them
+ * @property {?import('../display-settings.js').DisplaySettings} display - Language, time zone and units of the notifications
+ */
+
+/**
+ * @param {NotifierConfig} config
+ * @returns {Notifier}
+ * @throws {Error} when the notifier type is unknown or its config is incomplete
+ */
+export function createNotifier(config) {
+    const createTypedNotifier = NOTIFIER_FACTORIES[config.type];
+    if (!createTypedNotifier) {
+        throw new Error(`Unknown notifier type "${config.type}" for notifier "${config.name}". Expected any of: ${Object.keys(NOTIFIER_FACTORIES).join(', ')}`);
+    }
+    (config.rules ?? []).forEach(validateAutoTrackRule);
+    validateDisplaySettings(config.display);
+
+    return createTypedNotifier(config);
+}
+
+/**
+ * @param {NotifierConfig} config
+ * @param {Notification} notification
+ * @returns {Boolean} whether the notifier receives the notification
+ */
+export function isNotificationSelected(config, notification) {
+    const { kind, cyclone } = notification;
+    if (config.kinds?.length > 0 && !config.kinds.includes(kind)) {
+        return false;
+    }
+
+    const cycloneIds = config.cycloneIds ?? [];
+    const rules = config.rules ?? [];
+    if (cycloneIds.length === 0 && rules.length === 0) {
+        return true;
+    }
+    return cycloneIds.includes(cyclone.atcf)
+        || rules.some((rule) => isAutoTrackRuleMatch(rule, cyclone, config.locations ?? []));
+}
+
+/**
+ * Sends each notification to the notifiers that receive it. A notifier failing does not stop the others
+ * @param {NotifierConfig[]} configs
+ * @param {Notification[]} notifications
+ * @param {?String} dryRunFile - When set, notifications that would be sent outside of Discord are appended to this file
+ * instead. Discord notifiers already go through the dry run sink
+ */
+export async function sendNotifications(configs, notifications, dryRunFile = null) {
+    for (const config of configs) {
+        const selectedNotifications = notifications.filter((notification) => isNotificationSelected(config, notification));
+        if (selectedNotifications.length === 0) {
+            continue;
+        }
+
+        try {
+            const notifier = dryRunFile && config.type !== 'discord'
+                ? createDryRunNotifier(config, dryRunFile)
+                : createNotifier(config);
+            for (const notification of selectedNotifications) {
+                await notifier.notify(notification);
+            }
+        } catch (error) {
+            logger.error(`Unable to notify ${config.name}. Reason:${error.message}`);
+        }
+    }
+}
+
+/**
+ * @param {NotifierConfig} config
+ * @param {String} filename - JSON lines file the notifications are appended to, along with the dry run Discord requests
+ * @returns {Notifier}
+ */
+function createDryRunNotifier(config, filename) {
+    createNotifier(config); // still validate the config
+
+    return {
+        async notify(notification) {
+            const record = {
+                time: getCurrentDate().toISOString(),
+                method: 'NOTIFY',
+                notifier: config.name,
+                type: config.type,
+                kind: notification.kind,
+                atcf: notification.cyclone.atcf,
+                title: getNotificationTitle(notification, config.display),
+            };
+            await appendFile(filename, `${JSON.stringify(record)}\n`);
+        },
+    };
+}
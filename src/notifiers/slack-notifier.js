@@ -0,0 +1,60 @@
+import { truncateString } from '../../lib/utils.js';
+import { translate } from '../i18n.js';
+import { resolveDisplaySettings } from '../display-settings.js';
+import { NotificationKind, getNotificationTitle, getNotificationFields, getNotificationLinks, postJSON } from './notification.js';
+
+/**
+ * Sends notifications to a Slack-compatible incoming webhook as Block Kit messages
+ * https://api.slack.com/messaging/webhooks
+ * @param {import('./notifiers.js').NotifierConfig} config - url is required
+ * @returns {import('./notifiers.js').Notifier}
+ * @throws {Error} when no webhook URL is configured
+ */
+export function createSlackNotifier(config) {
+    if (!config.url) {
+        throw new Error('Slack notifiers require an incoming webhook "url"');
+    }
+
+    return {
+        async notify(notification) {
+            await postJSON(config.url, buildSlackMessage(notification, config.display));
+        },
+    };
+}
+
+/**
+ * @param {Notification} notification
+ * @param {?import('../display-settings.js').DisplaySettings} display
+ * @returns {Object} the message payload
+ */
+function buildSlackMessage(notification, display) {
+    const { locale } = resolveDisplaySettings(display);
+    const title = getNotificationTitle(notification, display);
+    const { stormPageUrl, coneImageUrl } = getNotificationLinks(notification);
+    const fieldsText = getNotificationFields(notification, display)
+        .map(({ name, value }) => `*${name}:* ${escapeSlackText(value)}`)
+        .join('\n');
+
+    let blocks = [
+        { type: 'header', text: { type: 'plain_text', text: truncateString(title, 150) } },
+        { type: 'section', text: { type: 'mrkdwn', text: truncateString(fieldsText, 3000) } },
+    ];
+    if (notification.kind === NotificationKind.REPORT) {
+        blocks.push({ type: 'image', image_url: coneImageUrl, alt_text: translate(locale, 'forecastConeOf', { title }) });
+    }
+    blocks.push({
+        type: 'context',
+        elements: [{ type: 'mrkdwn', text: `ATCF:${notification.cyclone.atcf} | <${stormPageUrl}|${translate(locale, 'stormPage')}>` }],
+    });
+
+    return { text: title, blocks };
+}
+
+/**
+ * Escapes the characters Slack's mrkdwn gives a meaning to
+ * @param {String} text
+ * @returns {String}
+ */
+function escapeSlackText(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
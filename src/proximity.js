@@ -0,0 +1,153 @@
+import { getGreatCircleDistance, getInitialBearing, getBearingDifference } from '../lib/geo.js';
+
+/**
+ * Radius used for locations registered without one
+ */
+export const DEFAULT_PROXIMITY_RADIUS_MILES = 300;
+
+/**
+ * How far ahead a cyclone's forecast track, or current heading and speed, is followed to decide if it is approaching a location
+ */
+const APPROACH_PROJECTION_HOURS = 48;
+
+/**
+ * Positions checked along each leg of the forecast track, since forecast points are 12 or more hours apart
+ */
+const FORECAST_TRACK_STEPS = 6;
+
+/**
+ * Ordered from least to most urgent
+ * @readonly
+ * @enum {String}
+ */
+export const ProximityStatus = {
+    APPROACHING: 'approaching',
+    WITHIN_RADIUS: 'withinRadius',
+};
+
+/**
+ * A named place a subscription watches for nearby cyclones
+ * @typedef {Object} Location
+ * @property {String} name - e.g. "Tampa Office"
+ * @property {Number} latitude - Degrees
+ * @property {Number} longitude - Degrees (negative west)
+ * @property {?Number} radiusMiles - Alert radius, defaults to DEFAULT_PROXIMITY_RADIUS_MILES
+ */
+
+/**
+ * @typedef {Object} Proximity
+ * @property {Number} distanceMiles - Great-circle distance between the location and the cyclone center
+ * @property {Number} bearing - Direction of the cyclone center as seen from the location, in degrees clockwise from north
+ * @property {?ProximityStatus} status - null when the cyclone is neither within the radius nor approaching
+ */
+
+/**
+ * Measures how close a cyclone is to a location. A cyclone is approaching when its forecast track passes within the 
+ * location's radius in the next 48 hours. Without a forecast, the cyclone's current heading and speed are projected instead
+ * @param {nhc.Cyclone} cyclone
+ * @param {Location} location
+ * @returns {?Proximity} null when the cyclone's position is unknown
+ */
+export function calculateProximity(cyclone, location) {
+    const { latitude, longitude, movementHeading, movementSpeedMph } = cyclone;
+    if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) {
+        return null;
+    }
+
+    const radiusMiles = location.radiusMiles ?? DEFAULT_PROXIMITY_RADIUS_MILES;
+    const distanceMiles = getGreatCircleDistance(location.latitude, location.longitude, latitude, longitude);
+    let status = null;
+    if (distanceMiles <= radiusMiles) {
+        status = ProximityStatus.WITHIN_RADIUS;
+    } else if (cyclone.forecastAdvisory?.forecastPoints.length > 0) {
+        const isTrackWithinRadius = getForecastTrack(cyclone).some((position) => {
+            return getGreatCircleDistance(location.latitude, location.longitude, position.latitude, position.longitude) <= radiusMiles;
+        });
+        if (isTrackWithinRadius) {
+            status = ProximityStatus.APPROACHING;
+        }
+    } else if (Number.isFinite(movementHeading) && movementSpeedMph > 0) {
+        // split the distance into the part along the cyclone's heading and the part across it
+        const headingOffset = getBearingDifference(movementHeading, getInitialBearing(latitude, longitude, location.latitude, location.longitude));
+        const alongTrackMiles = distanceMiles * Math.cos(headingOffset * Math.PI / 180);
+        const crossTrackMiles = Math.abs(distanceMiles * Math.sin(headingOffset * Math.PI / 180));
+        if (alongTrackMiles > 0 && crossTrackMiles <= radiusMiles && alongTrackMiles <= movementSpeedMph * APPROACH_PROJECTION_HOURS) {
+            status = ProximityStatus.APPROACHING;
+        }
+    }
+
+    return {
+        distanceMiles,
+        bearing: getInitialBearing(location.latitude, location.longitude, latitude, longitude),
+        status,
+    };
+}
+
+/**
+ * Positions along the cyclone's forecast track within the projection window, from its current center through each
+ * forecast point, with positions in between each point
+ * @param {nhc.Cyclone} cyclone 
+ * @returns {{latitude: Number, longitude: Number}[]}
+ */
+function getForecastTrack(cyclone) {
+    let trackPoints = [{ latitude: cyclone.latitude, longitude: cyclone.longitude }];
+    cyclone.forecastAdvisory.forecastPoints
+        .filter((point) => Number.isFinite(point.latitude) && point.forecastHour <= APPROACH_PROJECTION_HOURS)
+        .forEach((point) => trackPoints.push(point));
+
+    let track = [trackPoints[0]];
+    for (let i = 1; i < trackPoints.length; i++) {
+        const start = trackPoints[i - 1];
+        const end = trackPoints[i];
+        for (let step = 1; step <= FORECAST_TRACK_STEPS; step++) {
+            const fraction = step / FORECAST_TRACK_STEPS;
+            track.push({
+                latitude: start.latitude + (end.latitude - start.latitude) * fraction,
+                longitude: start.longitude + (end.longitude - start.longitude) * fraction,
+            });
+        }
+    }
+
+    return track;
+}
+
+/**
+ * A cyclone that came close to one of a subscription's locations
+ * @typedef {Object} ProximityAlert
+ * @property {nhc.Cyclone} cyclone
+ * @property {Location} location
+ * @property {Proximity} proximity
+ */
+
+/**
+ * Returns the cyclones that became more urgent for each of the subscription's locations (e.g. started approaching, or
+ * entered the radius) since the last run, and records the latest proximity status of each cyclone and location pair
+ * @param {Subscription} subscription
+ * @param {nhc.Cyclone[]} cycloneData - Cyclones the subscription accepts
+ * @returns {ProximityAlert[]}
+ */
+export function calculateProximityAlerts(subscription, cycloneData) {
+    const statusOrder = [null, ProximityStatus.APPROACHING, ProximityStatus.WITHIN_RADIUS];
+    let proximityAlerts = [];
+    let proximityStatuses = {};
+    for (const cyclone of cycloneData) {
+        for (const location of subscription.locations) {
+            const proximity = calculateProximity(cyclone, location);
+            if (proximity == null) {
+                continue;
+            }
+
+            const statusKey = `${cyclone.atcf}:${location.name}`;
+            const lastStatus = subscription.proximityStatuses[statusKey] ?? null;
+            if (statusOrder.indexOf(proximity.status) > statusOrder.indexOf(lastStatus)) {
+                proximityAlerts.push({ cyclone, location, proximity });
+            }
+            if (proximity.status) {
+                proximityStatuses[statusKey] = proximity.status;
+            }
+        }
+    }
+    subscription.proximityStatuses = proximityStatuses; // cyclones no longer active are forgotten
+
+    return proximityAlerts;
+}
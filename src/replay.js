@@ -0,0 +1,81 @@
+import { readdir } from 'fs/promises';
+import { join as pathJoin } from 'path';
+import { setSimulatedDate } from '../lib/utils.js';
+import { logger } from './log.js';
+import { createFileFeedSource } from './feed-source.js';
+import { getConfig } from './config.js';
+import { main } from './discord-nhc-tracker.js';
+
+/**
+ * Saved feeds are named "<time>_<basin>.xml", where time is the UTC time the feed was saved (e.g. "20230830T0500Z") and
+ * basin is the suffix of the feed's URL (e.g. "at" for https://www.nhc.noaa.gov/index-at.xml)
+ */
+const SNAPSHOT_FILENAME_PATTERN = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})Z[_-](at|ep|cp)\.xml$/i;
+const snapshotBasinNames = { at: 'ATLANTIC', ep: 'EASTERNPACIFIC', cp: 'CENTRALPACIFIC' };
+
+/**
+ * One run of the tracker during a replay
+ * @typedef {Object} SnapshotRun
+ * @property {Date} time - Simulated time of the run
+ * @property {Object<String, String>} basinFilenames - Feed file of each basin as of the run, keyed by basin name
+ */
+
+/**
+ * Lists a run for each time feeds were saved at, oldest first. A basin whose feed was not saved at that time keeps
+ * its latest earlier feed, so feeds only need to be saved when they change
+ * @param {String} directory
+ * @returns {SnapshotRun[]}
+ */
+export async function listSnapshotRuns(directory) {
+    let snapshots = [];
+    for (const filename of await readdir(directory)) {
+        const match = filename.match(SNAPSHOT_FILENAME_PATTERN);
+        if (match) {
+            const [, year, month, day, hours, minutes, basinSuffix] = match;
+            snapshots.push({
+                time: new Date(`${year}-${month}-${day}T${hours}:${minutes}:00.000Z`),
+                basinName: snapshotBasinNames[basinSuffix.toLowerCase()],
+                filename: pathJoin(directory, filename),
+            });
+        }
+    }
+    snapshots.sort((a, b) => a.time - b.time);
+
+    let runs = [];
+    let basinFilenames = {};
+    for (const { time, basinName, filename } of snapshots) {
+        basinFilenames = { ...basinFilenames, [basinName]: filename };
+        let lastRun = runs[runs.length - 1];
+        if (lastRun?.time.getTime() === time.getTime()) {
+            lastRun.basinFilenames = basinFilenames;
+        } else {
+            runs.push({ time, basinFilenames });
+        }
+    }
+
+    return runs;
+}
+
+/**
+ * Runs the tracker once per time feeds were saved in the directory, reading the saved feeds instead of the live ones
+ * with the clock set to the time they were saved. Only the basins with saved feeds are polled
+ * @param {String} directory
+ * @throws {Error} when the directory has no saved feeds
+ */
+export async function replaySnapshots(directory) {
+    const runs = await listSnapshotRuns(directory);
+    if (runs.length === 0) {
+        throw new Error(`No saved feeds found in ${directory}. Expected files named like 20230830T0500Z_at.xml`);
+    }
+
+    getConfig().nhc.trackedBasins = Object.keys(runs[runs.length - 1].basinFilenames);
+    try {
+        for (const run of runs) {
+            logger.info(`Replaying saved feeds as of ${run.time.toISOString()}...`);
+            setSimulatedDate(run.time);
+            await main(createFileFeedSource(run.basinFilenames));
+        }
+    } finally {
+        setSimulatedDate(null);
+    }
+}
@@ -0,0 +1,62 @@
+import { readFile, open, rename, unlink } from 'fs/promises'
+import { randomUUID } from 'node:crypto';
+
+/**
+ * Stores metadata as a single JSON file. Writes go to a temporary file that replaces the store only once it is fully
+ * written, so a crash mid-write never leaves a partial store behind. Saves are written one at a time, in the order 
+ * they were made
+ * @param {String} filename - Path of the JSON file
+ * @returns {MetadataStore}
+ */
+export function createJSONFileStore(filename) {
+    let lastSave = Promise.resolve();
+
+    return {
+        async load() {
+            let metadataRaw;
+            try {
+                metadataRaw = await readFile(filename, 'utf-8');
+            } catch (error) {
+                if (error.code === 'ENOENT') {
+                    return null; // nothing stored yet
+                }
+                throw new Error(`Unable to read metadata store ${filename}. Reason:${error.message}`);
+            }
+
+            try {
+                return JSON.parse(metadataRaw);
+            } catch (error) {
+                throw new Error(`Metadata store ${filename} is corrupt. Reason:${error.message}`);
+            }
+        },
+
+        async save(metadata) {
+            const metadataRaw = JSON.stringify(metadata, null, 4); // as it is now, not once earlier saves are written
+            const save = lastSave.catch(() => {}).then(() => writeStoreFile(filename, metadataRaw));
+            lastSave = save;
+            await save;
+        },
+    };
+}
+
+/**
+ * @param {String} filename 
+ * @param {String} metadataRaw 
+ */
+async function writeStoreFile(filename, metadataRaw) {
+    const tempFilename = `${filename}.${randomUUID()}.tmp`; // unique, even across processes sharing the store
+    let fileHandle = await open(tempFilename, 'wx');
+    try {
+        await fileHandle.writeFile(metadataRaw);
+        await fileHandle.sync();
+    } finally {
+        await fileHandle.close();
+    }
+
+    try {
+        await rename(tempFilename, filename);
+    } catch (error) {
+        await unlink(tempFilename).catch(() => {});
+        throw error;
+    }
+}
@@ -0,0 +1,125 @@
+const TABLE_LAYOUT_VERSION = 1;
+
+/**
+ * Metadata properties kept in their own tables, one row per entry, so they can grow without rewriting the whole store.
+ * Every other property is kept as a JSON value in the metadata_values table
+ * @readonly
+ */
+const TABLE_PROPERTIES = ['subscriptions', 'cyclones', 'cycloneHistory'];
+
+/**
+ * Stores metadata in an SQLite database. Requires the node:sqlite module (Node.js 22.5 or later)
+ * @param {String} filename - Path of the database file
+ * @returns {MetadataStore}
+ */
+export function createSQLiteStore(filename) {
+    let database = null;
+
+    async function getDatabase() {
+        if (database) {
+            return database;
+        }
+
+        let sqlite;
+        try {
+            sqlite = await import('node:sqlite');
+        } catch (error) {
+            throw new Error(`The SQLite metadata store requires Node.js 22.5 or later. Reason:${error.message}`);
+        }
+
+        try {
+            database = new sqlite.DatabaseSync(filename);
+            const { user_version: layoutVersion } = database.prepare('PRAGMA user_version').get();
+            if (layoutVersion > TABLE_LAYOUT_VERSION) {
+                throw new Error(`table layout version ${layoutVersion} is newer than supported version ${TABLE_LAYOUT_VERSION}`);
+            }
+            database.exec(`
+                CREATE TABLE IF NOT EXISTS metadata_values (key TEXT PRIMARY KEY, value TEXT NOT NULL);
+                CREATE TABLE IF NOT EXISTS subscriptions (channel_id TEXT PRIMARY KEY, position INTEGER NOT NULL, data TEXT NOT NULL);
+                CREATE TABLE IF NOT EXISTS cyclones (atcf TEXT PRIMARY KEY, position INTEGER NOT NULL, data TEXT NOT NULL);
+                CREATE TABLE IF NOT EXISTS cyclone_observations (
+                    atcf TEXT NOT NULL, 
+                    seq INTEGER NOT NULL, 
+                    data TEXT NOT NULL, 
+                    PRIMARY KEY (atcf, seq)
+                );
+                PRAGMA user_version = ${TABLE_LAYOUT_VERSION};
+            `);
+        } catch (error) {
+            database = null;
+            throw new Error(`Metadata store ${filename} is corrupt or unreadable. Reason:${error.message}`);
+        }
+
+        return database;
+    }
+
+    return {
+        async load() {
+            const db = await getDatabase();
+            try {
+                const valueRows = db.prepare('SELECT key, value FROM metadata_values').all();
+                if (valueRows.length === 0) {
+                    return null; // nothing stored yet
+                }
+
+                let metadata = {};
+                valueRows.forEach(({ key, value }) => metadata[key] = JSON.parse(value));
+                metadata.subscriptions = db.prepare('SELECT data FROM subscriptions ORDER BY position').all()
+                    .map(({ data }) => JSON.parse(data));
+                metadata.cyclones = db.prepare('SELECT data FROM cyclones ORDER BY position').all()
+                    .map(({ data }) => JSON.parse(data));
+                metadata.cycloneHistory = {};
+                db.prepare('SELECT atcf, data FROM cyclone_observations ORDER BY atcf, seq').all().forEach(({ atcf, data }) => {
+                    metadata.cycloneHistory[atcf] ??= [];
+                    metadata.cycloneHistory[atcf].push(JSON.parse(data));
+                });
+
+                return metadata;
+            } catch (error) {
+                throw new Error(`Metadata store ${filename} is corrupt. Reason:${error.message}`);
+            }
+        },
+
+        async save(metadata) {
+            const db = await getDatabase();
+            db.exec('BEGIN');
+            try {
+                const upsertValue = db.prepare('INSERT INTO metadata_values (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value');
+                let valueKeys = Object.keys(metadata).filter((key) => !TABLE_PROPERTIES.includes(key));
+                valueKeys.forEach((key) => upsertValue.run(key, JSON.stringify(metadata[key] ?? null)));
+                deleteRowsNotIn(db, 'metadata_values', 'key', valueKeys);
+
+                const upsertSubscription = db.prepare('INSERT INTO subscriptions (channel_id, position, data) VALUES (?, ?, ?) ON CONFLICT(channel_id) DO UPDATE SET position = excluded.position, data = excluded.data');
+                metadata.subscriptions.forEach((subscription, i) => upsertSubscription.run(subscription.channelId, i, JSON.stringify(subscription)));
+                deleteRowsNotIn(db, 'subscriptions', 'channel_id', metadata.subscriptions.map((subscription) => subscription.channelId));
+
+                const upsertCyclone = db.prepare('INSERT INTO cyclones (atcf, position, data) VALUES (?, ?, ?) ON CONFLICT(atcf) DO UPDATE SET position = excluded.position, data = excluded.data');
+                metadata.cyclones.forEach((cyclone, i) => upsertCyclone.run(cyclone.atcf, i, JSON.stringify(cyclone)));
+                deleteRowsNotIn(db, 'cyclones', 'atcf', metadata.cyclones.map((cyclone) => cyclone.atcf));
+
+                // observations are only ever appended, so existing rows are left untouched
+                const insertObservation = db.prepare('INSERT OR IGNORE INTO cyclone_observations (atcf, seq, data) VALUES (?, ?, ?)');
+                for (const atcf in metadata.cycloneHistory) {
+                    metadata.cycloneHistory[atcf].forEach((observation, i) => insertObservation.run(atcf, i, JSON.stringify(observation)));
+                }
+                deleteRowsNotIn(db, 'cyclone_observations', 'atcf', Object.keys(metadata.cycloneHistory));
+
+                db.exec('COMMIT');
+            } catch (error) {
+                db.exec('ROLLBACK');
+                throw error;
+            }
+        },
+    };
+}
+
+/**
+ * @param {Object} db - node:sqlite DatabaseSync
+ * @param {String} table 
+ * @param {String} column 
+ * @param {String[]} keptValues 
+ */
+function deleteRowsNotIn(db, table, column, keptValues) {
+    const placeholders = keptValues.map(() => '?').join(', ');
+    db.prepare(`DELETE FROM ${table} WHERE ${column} NOT IN (${placeholders})`).run(...keptValues);
+}
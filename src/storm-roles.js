@@ -0,0 +1,146 @@
+import { toTitleCase } from '../lib/utils.js';
+import { logger } from './log.js';
+import * as discord from '../lib/discord.js';
+
+/**
+ * Reaction members add to a storm's pinned report to be given the storm's role
+ */
+export const STORM_ROLE_OPT_IN_EMOJI = '🔔';
+
+/**
+ * A guild role mentioned in the reports and alerts of one storm
+ * @typedef {Object} StormRole
+ * @property {String} roleId
+ * @property {?String} name - Name the role was created with. Used to rename it when the storm is renamed
+ * @property {Boolean} isManaged - Whether the role was created by the bot, which deletes it once the storm is no longer tracked.
+ * Roles configured by hand are left in place
+ * @property {?String} reportMessageId - The storm's latest report message, or its thread summary message, whose opt-in 
+ * reactions grant the role
+ * @property {String[]} reactedUserIds - Users whose opt-in reaction was seen on the latest report message
+ */
+
+/**
+ * Brings the subscription's storm roles up to date: creates a role for each tracked storm that has none (when enabled for
+ * the subscription), renames roles of renamed storms, removes the roles of storms no longer tracked, and grants or revokes
+ * roles per the opt-in reactions on each storm's latest report
+ * @param {Subscription} subscription
+ * @param {nhc.Cyclone[]} trackedCyclones
+ */
+export async function syncStormRoles(subscription, trackedCyclones) {
+    const { channelId, stormRoles } = subscription;
+    if (!subscription.guildId) {
+        subscription.guildId = (await discord.getChannel(channelId)).guild_id;
+    }
+    const { guildId } = subscription;
+
+    // clean up roles of storms that dissipated or were untracked
+    const trackedCycloneIds = trackedCyclones.map((cyclone) => cyclone.atcf);
+    for (const atcf in stormRoles) {
+        if (trackedCycloneIds.includes(atcf)) {
+            continue;
+        }
+
+        if (stormRoles[atcf].isManaged) {
+            try {
+                await discord.deleteGuildRole(guildId, stormRoles[atcf].roleId);
+            } catch (error) {
+                logger.info(`Unable to delete discord role id:${stormRoles[atcf].roleId}. Reason:${error.message}`);
+            }
+        }
+        delete stormRoles[atcf];
+    }
+
+    for (const cyclone of trackedCyclones) {
+        const roleName = `${toTitleCase(cyclone.name)} (${cyclone.atcf})`;
+        let stormRole = stormRoles[cyclone.atcf];
+        if (stormRole == null) {
+            if (!subscription.enableStormRoles) {
+                continue;
+            }
+
+            const role = await discord.createGuildRole(guildId, { name: roleName, mentionable: true });
+            stormRole = { roleId: role.id, name: roleName, isManaged: true, reportMessageId: null, reactedUserIds: [] };
+            stormRoles[cyclone.atcf] = stormRole;
+            logger.info(`Created discord role id:${role.id} for ${cyclone.atcf}`);
+        } else if (stormRole.isManaged && stormRole.name !== roleName) {
+            // e.g. "Ten (AL102023)" -> "Idalia (AL102023)"
+            await discord.editGuildRole(guildId, stormRole.roleId, { name: roleName });
+            stormRole.name = roleName;
+        }
+
+        await syncStormRoleReactions(subscription, stormRole);
+    }
+}
+
+/**
+ * Grants the storm's role to members who reacted to its latest report, and revokes it from members who took their
+ * reaction back
+ * @param {Subscription} subscription
+ * @param {StormRole} stormRole
+ */
+async function syncStormRoleReactions(subscription, stormRole) {
+    const { channelId, guildId } = subscription;
+    if (!stormRole.reportMessageId) {
+        return;
+    }
+
+    let userIds;
+    try {
+        const users = await discord.getReactionUsersOnMessage(channelId, stormRole.reportMessageId, STORM_ROLE_OPT_IN_EMOJI);
+        userIds = users.filter((user) => !user.bot).map((user) => user.id);
+    } catch (error) {
+        logger.info(`Unable to read reactions of discord message id:${stormRole.reportMessageId}. Reason:${error.message}`);
+        return;
+    }
+
+    const reactedUserIds = stormRole.reactedUserIds ?? [];
+    for (const userId of userIds.filter((userId) => !reactedUserIds.includes(userId))) {
+        await discord.addGuildMemberRole(guildId, userId, stormRole.roleId);
+    }
+    for (const userId of reactedUserIds.filter((userId) => !userIds.includes(userId))) {
+        await discord.removeGuildMemberRole(guildId, userId, stormRole.roleId);
+    }
+    stormRole.reactedUserIds = userIds;
+}
+
+/**
+ * Gets the mention of a storm's role to prepend to a message, along with the allowed mentions that make only that role
+ * notify
+ * @param {Subscription} subscription
+ * @param {String} atcf
+ * @returns {{mention: String, allowedMentions: discord.AllowedMentions}} an empty mention when the storm has no role
+ */
+export function getStormRoleMention(subscription, atcf) {
+    const stormRole = subscription.stormRoles[atcf];
+    if (stormRole == null) {
+        return { mention: '', allowedMentions: { parse: [] } };
+    }
+
+    return {
+        mention: `<@&${stormRole.roleId}>`,
+        allowedMentions: { roles: [stormRole.roleId] },
+    };
+}
+
+/**
+ * Makes a storm's new report (or thread summary) message the one members react to for its role, adding the opt-in 
+ * reaction to it
+ * @param {Subscription} subscription
+ * @param {String} atcf
+ * @param {String} messageId
+ */
+export async function setStormRoleReportMessage(subscription, atcf, messageId) {
+    const stormRole = subscription.stormRoles[atcf];
+    if (stormRole == null || stormRole.reportMessageId === messageId) {
+        return;
+    }
+
+    // members keep the role given through the previous report; opt-outs are read from the new report onwards
+    stormRole.reportMessageId = messageId;
+    stormRole.reactedUserIds = [];
+    try {
+        await discord.createReactionOnMessage(subscription.channelId, messageId, STORM_ROLE_OPT_IN_EMOJI);
+    } catch (error) {
+        logger.info(`Unable to react to discord message id:${messageId}. Reason:${error.message}`);
+    }
+}
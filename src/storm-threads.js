@@ -0,0 +1,72 @@
+import { toTitleCase } from '../lib/utils.js';
+import { logger } from './log.js';
+import * as discord from '../lib/discord.js';
+
+/**
+ * The thread a storm's advisories are posted in, started from a summary message in the subscription's channel
+ * @typedef {Object} StormThread
+ * @property {String} threadId
+ * @property {String} name - Current thread name
+ * @property {String} summaryMessageId - Message in the parent channel kept up to date with the storm's latest conditions
+ */
+
+/**
+ * Gets the thread to post a storm's report in. On the storm's first report, a summary message is sent (and pinned) in
+ * the subscription's channel and a thread is started from it. On later reports, the summary message is updated instead
+ * @param {Subscription} subscription
+ * @param {nhc.Cyclone} cyclone
+ * @param {discord.Embed} summaryEmbed - Summary of the storm's latest conditions
+ * @returns {StormThread}
+ */
+export async function getStormThread(subscription, cyclone, summaryEmbed) {
+    const { channelId, stormThreads } = subscription;
+    const threadName = `${toTitleCase(cyclone.type)} ${toTitleCase(cyclone.name)} (${cyclone.atcf})`;
+    let stormThread = stormThreads[cyclone.atcf];
+    if (stormThread == null) {
+        const summaryMessage = await discord.createEmbedMessageInChannel(channelId, { embeds: [summaryEmbed] });
+        const thread = await discord.startThreadFromMessage(channelId, summaryMessage.id, threadName);
+        stormThread = { threadId: thread.id, name: threadName, summaryMessageId: summaryMessage.id };
+        stormThreads[cyclone.atcf] = stormThread;
+        logger.info(`Started discord thread id:${thread.id} for ${cyclone.atcf}`);
+
+        try {
+            await discord.pinMessageInChannel(channelId, summaryMessage.id, true);
+        } catch (error) {
+            logger.info(`Unable to pin discord message id:${summaryMessage.id}. Reason:${error.message}`);
+        }
+        return stormThread;
+    }
+
+    await discord.editEmbedMessageInChannel(channelId, stormThread.summaryMessageId, { embeds: [summaryEmbed] });
+    if (stormThread.name !== threadName) {
+        // e.g. "Tropical Depression Ten (AL102023)" -> "Tropical Storm Idalia (AL102023)"
+        await discord.editThread(stormThread.threadId, { name: threadName.substring(0, 100) });
+        stormThread.name = threadName;
+    }
+
+    return stormThread;
+}
+
+/**
+ * Archives and locks the threads of storms that are no longer in the feed, and unpins their summary messages
+ * @param {Subscription} subscription
+ * @param {String[]} activeCycloneIds - ATCF IDs of the cyclones currently in the feed
+ */
+export async function archiveInactiveStormThreads(subscription, activeCycloneIds) {
+    const { channelId, stormThreads } = subscription;
+    for (const atcf in stormThreads) {
+        if (activeCycloneIds.includes(atcf)) {
+            continue;
+        }
+
+        const { threadId, summaryMessageId } = stormThreads[atcf];
+        await discord.archiveThread(threadId);
+        try {
+            await discord.unpinMessageInChannel(channelId, summaryMessageId);
+        } catch (error) {
+            logger.info(`Unable to unpin discord message id:${summaryMessageId}. Reason:${error.message}`);
+        }
+        delete stormThreads[atcf];
+        logger.info(`Archived discord thread id:${threadId} of ${atcf}`);
+    }
+}
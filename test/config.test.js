@@ -0,0 +1,62 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import process from 'node:process';
+import { writeFile, mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join as pathJoin } from 'path';
+import { loadConfig } from '../src/config.js';
+
+describe('subscriptions.channels', () => {
+    let tempDirname;
+    let configFilename;
+    before(async () => {
+        tempDirname = await mkdtemp(pathJoin(tmpdir(), 'nhc-config-test-'));
+        configFilename = pathJoin(tempDirname, 'config.json');
+        process.env.NHC_CONFIG_FILE = configFilename;
+    });
+    after(async () => {
+        delete process.env.NHC_CONFIG_FILE;
+        await rm(tempDirname, { recursive: true, force: true });
+    });
+
+    /**
+     * @param {Object[]} channels
+     * @returns {Promise<import('../src/config.js').Config>}
+     */
+    async function loadChannels(channels) {
+        await writeFile(configFilename, JSON.stringify({ subscriptions: { channels } }));
+        return loadConfig();
+    }
+
+    it('parses configured channels', async () => {
+        const config = await loadChannels([{
+            channelId: '111111111111111111',
+            basins: ['atlantic'],
+            graphics: ['cone5day', 'keyMessages'],
+            webhookUrl: 'https://discord.com/api/webhooks/222222222222222222/abc',
+            useStormThreads: false,
+            display: { locale: 'es' },
+            autoTrackRules: [{ basins: ['ATLANTIC'], minCategory: 2 }],
+        }]);
+        assert.deepEqual(config.subscriptions.channels, [{
+            channelId: '111111111111111111',
+            basins: ['ATLANTIC'],
+            graphics: ['cone5day', 'keyMessages'],
+            webhookUrl: 'https://discord.com/api/webhooks/222222222222222222/abc',
+            useStormThreads: false,
+            display: { locale: 'es' },
+            autoTrackRules: [{ basins: ['ATLANTIC'], minCategory: 2 }],
+        }]);
+    });
+
+    it('rejects bad entries, naming the field', async () => {
+        await assert.rejects(loadChannels([{ channelId: 111111111111111111 }]), /"subscriptions.channels".*invalid "channelId" of channel 1/);
+        await assert.rejects(loadChannels([{ channelId: '111111111111111111', basins: ['MARS'] }]), /invalid "basins" of channel 111111111111111111/);
+        await assert.rejects(loadChannels([{ channelId: '111111111111111111', graphics: ['cone'] }]), /"graphics" of channel 111111111111111111/);
+        await assert.rejects(loadChannels([{ channelId: '111111111111111111', webhookUrl: 'https://example.com' }]), /invalid "webhookUrl"/);
+        await assert.rejects(loadChannels([{ channelId: '111111111111111111', threads: true }]), /unknown field "threads"/);
+        await assert.rejects(loadChannels([{ channelId: '111111111111111111', display: { windUnit: 'furlongs' } }]), /invalid "display"/);
+        await assert.rejects(loadChannels([{ channelId: '111111111111111111', autoTrackRules: [{ warningArea: ['Florida'] }] }]), /invalid rule 1 of the "autoTrackRules".*Unknown condition "warningArea"/);
+        await assert.rejects(loadChannels([{ channelId: '111111111111111111', autoTrackRules: [{ minCategory: '2' }] }]), /minCategory/);
+    });
+});
@@ -0,0 +1,120 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import * as discord from '../lib/discord.js';
+
+const WEBHOOK_URL = 'https://discord.com/api/webhooks/111111111111111111/abc-DEF_123';
+const PNG_ATTACHMENT = { name: 'AL102023_cone', blobData: new Blob(['png'], { type: 'image/png' }) };
+
+describe('webhook messages', () => {
+    let requests;
+    beforeEach(() => {
+        requests = [];
+        discord.setRequestSink(async (method, endpoint, body) => {
+            requests.push({ method, endpoint, body });
+            return { id: '222222222222222222' };
+        });
+    });
+    afterEach(() => {
+        discord.setRequestSink(null);
+    });
+
+    it('executes a webhook, waiting for the message', async () => {
+        const message = await discord.executeWebhook(WEBHOOK_URL, { embeds: [{ title: 'Report' }], threadId: '333' });
+        assert.equal(message.id, '222222222222222222');
+        assert.deepEqual(requests, [{
+            method: 'post',
+            endpoint: '/webhooks/111111111111111111/abc-DEF_123?wait=true&thread_id=333',
+            body: { embeds: [{ title: 'Report' }] },
+        }]);
+    });
+
+    it('edits a webhook message with embeds and attachments', async () => {
+        await discord.editWebhookMessage(WEBHOOK_URL, '222222222222222222', {
+            embeds: [{ title: 'Report', image: { url: 'attachment://AL102023_cone.png' } }],
+            attachments: [PNG_ATTACHMENT],
+            threadId: '333',
+        });
+        const [{ method, endpoint, body }] = requests;
+        assert.equal(method, 'PATCH');
+        assert.equal(endpoint, '/webhooks/111111111111111111/abc-DEF_123/messages/222222222222222222?thread_id=333');
+        assert.ok(body instanceof FormData);
+        assert.deepEqual(JSON.parse(body.get('payload_json')), {
+            embeds: [{ title: 'Report', image: { url: 'attachment://AL102023_cone.png' } }],
+            attachments: [{ id: 0, filename: 'AL102023_cone.png' }],
+        });
+        assert.equal(body.get('files[0]').name, 'AL102023_cone.png');
+    });
+
+    it('removes the attachments of a webhook message edited without any', async () => {
+        await discord.editWebhookMessage(WEBHOOK_URL, '222222222222222222', { embeds: [{ title: 'Report' }], attachments: [] });
+        assert.deepEqual(requests, [{
+            method: 'PATCH',
+            endpoint: '/webhooks/111111111111111111/abc-DEF_123/messages/222222222222222222',
+            body: { embeds: [{ title: 'Report' }], attachments: [] },
+        }]);
+    });
+
+    it('deletes a webhook message', async () => {
+        await discord.deleteWebhookMessage(WEBHOOK_URL, '222222222222222222', '333');
+        assert.deepEqual(requests, [{
+            method: 'delete',
+            endpoint: '/webhooks/111111111111111111/abc-DEF_123/messages/222222222222222222?thread_id=333',
+            body: undefined,
+        }]);
+    });
+
+    it('rejects URLs that are not Discord webhooks', () => {
+        assert.throws(() => discord.parseWebhookUrl('https://example.com/api/webhooks/1/abc'), /Not a Discord webhook URL/);
+    });
+});
+
+describe('discordRequest', () => {
+    let originalFetch;
+    let requestMethods;
+    beforeEach(() => {
+        originalFetch = globalThis.fetch;
+        requestMethods = [];
+    });
+    afterEach(() => {
+        globalThis.fetch = originalFetch;
+    });
+
+    /**
+     * @param {Number[]} statuses - Status of each response, in order
+     */
+    function mockFetch(statuses) {
+        globalThis.fetch = async (url, { method }) => {
+            requestMethods.push(method);
+            const status = statuses.shift();
+            return new Response(status === 200 ? '{"id":"1"}' : '{"message":"error","code":0}', { status });
+        };
+    }
+
+    it('retries a GET after a 5xx error', async () => {
+        mockFetch([500, 200]);
+        assert.deepEqual(await discord.discordRequest('/channels/1/messages/1', { method: 'get' }), { id: '1' });
+        assert.deepEqual(requestMethods, ['get', 'get']);
+    });
+
+    it('does not retry a POST after a 500 error, which may have created the message', async () => {
+        mockFetch([500, 200]);
+        await assert.rejects(discord.discordRequest('/channels/2/messages', { method: 'post', body: {} }), { status: 500 });
+        assert.deepEqual(requestMethods, ['post']);
+    });
+
+    it('retries a POST after a 503 error', async () => {
+        mockFetch([503, 200]);
+        assert.deepEqual(await discord.discordRequest('/channels/3/messages', { method: 'post', body: {} }), { id: '1' });
+        assert.deepEqual(requestMethods, ['post', 'post']);
+    });
+
+    it('retries a POST only after a connection error raised before it was sent', async () => {
+        let errorCodes = ['ECONNREFUSED', 'ECONNRESET'];
+        globalThis.fetch = async (url, { method }) => {
+            requestMethods.push(method);
+            throw new TypeError('fetch failed', { cause: { code: errorCodes.shift() } });
+        };
+        await assert.rejects(discord.discordRequest('/channels/4/messages', { method: 'post', body: {} }), /fetch failed/);
+        assert.deepEqual(requestMethods, ['post', 'post']);
+    });
+});
@@ -0,0 +1,80 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import process from 'node:process';
+import { request } from 'node:http';
+import { once } from 'node:events';
+import { generateKeyPairSync, sign } from 'node:crypto';
+import * as discord from '../lib/discord.js';
+
+const { publicKey, privateKey } = generateKeyPairSync('ed25519');
+
+/**
+ * Sends the body in several chunks, as a client may
+ * @param {Number} port
+ * @param {Buffer[]} chunks
+ * @param {String} timestamp
+ * @param {String} signature
+ * @returns {Promise<{status: Number, body: String}>}
+ */
+async function postInteraction(port, chunks, timestamp, signature) {
+    const req = request({
+        port,
+        method: 'POST',
+        path: '/interactions',
+        headers: { 'x-signature-ed25519': signature, 'x-signature-timestamp': timestamp },
+    });
+    for (const chunk of chunks) {
+        req.write(chunk);
+        await new Promise((resolve) => setTimeout(resolve, 20)); // keep the chunks apart
+    }
+    req.end();
+
+    const [res] = await once(req, 'response');
+    let body = '';
+    for await (const chunk of res) {
+        body += chunk;
+    }
+    return { status: res.statusCode, body };
+}
+
+describe('interactions server', () => {
+    let server;
+    let port;
+    before(async () => {
+        process.env.DISCORD_BOT_TOKEN = 'token';
+        process.env.DISCORD_ADMIN_ID = '111111111111111111';
+        process.env.DISCORD_APPLICATION_ID = '111111111111111111';
+        process.env.DISCORD_PUBLIC_KEY = publicKey.export({ format: 'der', type: 'spki' }).subarray(12).toString('hex');
+        discord.setRequestSink(async () => ({})); // application commands are not registered
+        const { startInteractionsServer } = await import('../src/interactions-server.js'); // reads the config on import
+        server = await startInteractionsServer(0);
+        if (!server.listening) {
+            await once(server, 'listening');
+        }
+        port = server.address().port;
+    });
+    after(() => {
+        server.close();
+        discord.setRequestSink(null);
+    });
+
+    it('verifies a multi-byte body split across chunks', async () => {
+        const body = Buffer.from(JSON.stringify({ type: discord.InteractionType.PING, note: 'Huracán 🌀' }));
+        const splitIndex = body.indexOf(Buffer.from('🌀')) + 2; // in the middle of the emoji
+        const timestamp = String(Date.now());
+        const signature = sign(null, Buffer.concat([Buffer.from(timestamp), body]), privateKey).toString('hex');
+
+        const { status, body: responseBody } = await postInteraction(port, [body.subarray(0, splitIndex), body.subarray(splitIndex)], timestamp, signature);
+        assert.equal(status, 200);
+        assert.deepEqual(JSON.parse(responseBody), { type: discord.InteractionResponseType.PONG });
+    });
+
+    it('rejects a body that does not match its signature', async () => {
+        const body = Buffer.from(JSON.stringify({ type: discord.InteractionType.PING }));
+        const timestamp = String(Date.now());
+        const signature = sign(null, Buffer.from(`${timestamp}{}`), privateKey).toString('hex');
+
+        const { status } = await postInteraction(port, [body], timestamp, signature);
+        assert.equal(status, 401);
+    });
+});
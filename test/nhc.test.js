@@ -0,0 +1,255 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile, writeFile, mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join as pathJoin } from 'path';
+import { fileURLToPath } from 'url';
+import * as nhc from '../lib/nhc.js';
+
+/**
+ * NHC products of Hurricane Idalia's 17th advisory (2023-08-30 09:00 UTC) and the outlook issued later that morning
+ */
+const FIXTURES_DIRNAME = fileURLToPath(new URL('./fixtures/', import.meta.url));
+const FORECAST_ADVISORY_FILENAME = pathJoin(FIXTURES_DIRNAME, 'tcmat5-al102023-017.txt');
+const PUBLIC_ADVISORY_FILENAME = pathJoin(FIXTURES_DIRNAME, 'tcpat5-al102023-017.txt');
+const OUTLOOK_FILENAME = pathJoin(FIXTURES_DIRNAME, 'twoat-202308301134.txt');
+const FEED_FILENAME = pathJoin(FIXTURES_DIRNAME, 'index-at-202308300900.xml');
+
+const PUBLIC_ADVISORY_TITLE = '<title>Hurricane Idalia Public Advisory Number 17</title>';
+const PUBLIC_ADVISORY_LINK = 'https://www.nhc.noaa.gov/text/refresh/MIATCPAT5+shtml/300856.shtml';
+
+describe('parseForecastAdvisoryText', () => {
+    it('parses the advisory number and times', async () => {
+        const forecastAdvisory = await nhc.getForecastAdvisoryInFile(FORECAST_ADVISORY_FILENAME);
+        assert.equal(forecastAdvisory.advisoryNumber, 17);
+        assert.equal(forecastAdvisory.issuedTime, '2023-08-30T09:00:00.000Z');
+        assert.equal(forecastAdvisory.initialTime, '2023-08-30T06:00:00.000Z');
+    });
+
+    it('parses every forecast and outlook point', async () => {
+        const { forecastPoints } = await nhc.getForecastAdvisoryInFile(FORECAST_ADVISORY_FILENAME);
+        assert.deepEqual(forecastPoints.map((point) => point.forecastHour), [12, 24, 36, 48, 60, 72, 96, 120]);
+        assert.deepEqual(forecastPoints.map((point) => point.isOutlook), [false, false, false, false, false, false, true, true]);
+        assert.deepEqual(forecastPoints[0], {
+            validTime: '2023-08-30T18:00:00.000Z',
+            forecastHour: 12,
+            latitude: 30.9,
+            longitude: -83.1,
+            maxWindKt: 85,
+            maxWindMph: 100,
+            gustsKt: 105,
+            windRadii: [
+                { windKt: 64, northeast: 30, southeast: 30, southwest: 10, northwest: 10 },
+                { windKt: 50, northeast: 60, southeast: 70, southwest: 30, northwest: 30 },
+                { windKt: 34, northeast: 130, southeast: 150, southwest: 80, northwest: 70 },
+            ],
+            status: 'INLAND',
+            isOutlook: false,
+        });
+    });
+
+    it('parses statuses and dissipated points without a position', async () => {
+        const { forecastPoints } = await nhc.getForecastAdvisoryInFile(FORECAST_ADVISORY_FILENAME);
+        assert.equal(forecastPoints[4].status, 'POST-TROP/EXTRATROP');
+        assert.equal(forecastPoints[6].latitude, 30.5);
+        assert.equal(forecastPoints[6].longitude, -66);
+        assert.deepEqual(forecastPoints[6].windRadii, []);
+        assert.equal(forecastPoints[7].status, 'DISSIPATED');
+        assert.equal(forecastPoints[7].latitude, null);
+        assert.equal(forecastPoints[7].maxWindKt, null);
+    });
+
+    it('parses the text without its HTML wrapper', async () => {
+        const advisoryText = await readFile(FORECAST_ADVISORY_FILENAME, 'utf8');
+        const unwrappedText = advisoryText.replace(/<\/?pre>/g, '');
+        assert.deepEqual(nhc.parseForecastAdvisoryText(unwrappedText), nhc.parseForecastAdvisoryText(advisoryText));
+    });
+});
+
+describe('parsePublicAdvisoryText', () => {
+    let publicAdvisory;
+    before(async () => {
+        publicAdvisory = nhc.parsePublicAdvisoryText(await readFile(PUBLIC_ADVISORY_FILENAME, 'utf8'));
+    });
+
+    it('parses the headlines, joining wrapped lines', () => {
+        assert.deepEqual(publicAdvisory.headlines, [
+            'IDALIA STRENGTHENS TO CATEGORY 4 HURRICANE',
+            'CATASTROPHIC STORM SURGE AND DAMAGING WINDS EXPECTED SOON IN THE BIG BEND REGION OF FLORIDA',
+        ]);
+    });
+
+    it('parses the summary block', () => {
+        assert.deepEqual(publicAdvisory.summary, {
+            location: '29.2N 84.1W',
+            distance: 'ABOUT 55 MI...90 KM WSW OF CEDAR KEY FLORIDA',
+            maximumSustainedWinds: '130 MPH...215 KM/H',
+            presentMovement: 'NNE OR 20 DEGREES AT 18 MPH...30 KM/H',
+            minimumCentralPressure: '940 MB...27.76 INCHES',
+        });
+    });
+
+    it('parses the changes and the watches and warnings in effect', () => {
+        assert.deepEqual(publicAdvisory.changes, [
+            'The Hurricane Warning from Chassahowitzka to Anclote River has been replaced with a Tropical Storm Warning.',
+            'The government of Florida has issued a Hurricane Warning for the Florida Keys.',
+        ]);
+        assert.deepEqual(publicAdvisory.watchesAndWarnings, [
+            { type: 'Storm Surge Warning', areas: ['Mexico Beach eastward and southward to Chokoloskee', 'Tampa Bay'] },
+            { type: 'Hurricane Warning', areas: ['Chassahowitzka to Anclote River', 'Florida Keys from the Seven Mile Bridge southward to Key West'] },
+            { type: 'Tropical Storm Warning', areas: ['Indian Pass to Mexico Beach'] },
+        ]);
+    });
+
+    it('parses the hazards affecting land', () => {
+        assert.deepEqual(Object.keys(publicAdvisory.hazards), ['stormSurge', 'wind', 'rainfall', 'tornadoes']);
+        assert.equal(publicAdvisory.hazards.rainfall, 'Idalia is expected to produce 4 to 8 inches of rain.');
+    });
+
+    it('leaves sections missing from the text empty', () => {
+        assert.deepEqual(nhc.parsePublicAdvisoryText('<pre>\nBULLETIN\nHurricane Idalia Advisory Number  17\n</pre>'), {
+            headlines: [],
+            summary: {},
+            changes: [],
+            watchesAndWarnings: [],
+            hazards: {},
+        });
+    });
+});
+
+describe('parseTropicalWeatherOutlookText', () => {
+    it('parses each numbered disturbance', async () => {
+        const disturbances = nhc.parseTropicalWeatherOutlookText(await readFile(OUTLOOK_FILENAME, 'utf8'));
+        assert.deepEqual(disturbances, [
+            {
+                number: 1,
+                location: 'Eastern Tropical Atlantic',
+                invest: 'AL98',
+                description: 'A broad area of low pressure located several hundred miles west-southwest of the Cabo Verde Islands is producing disorganized showers.',
+                formationChance48Hour: { percent: 60, level: 'medium' },
+                formationChance7Day: { percent: 70, level: 'high' },
+            },
+            {
+                number: 2,
+                location: 'Central Tropical Atlantic',
+                invest: null,
+                description: 'A tropical wave is producing limited shower activity.',
+                formationChance48Hour: { percent: 0, level: 'low' },
+                formationChance7Day: { percent: 20, level: 'low' },
+            },
+        ]);
+    });
+
+    it('finds no disturbances in a quiet outlook', () => {
+        const outlookText = '<pre>\nTropical Weather Outlook\n\nTropical cyclone formation is not expected during the next 7 days.\n\n$$\nForecaster Beven\n</pre>';
+        assert.deepEqual(nhc.parseTropicalWeatherOutlookText(outlookText), []);
+    });
+});
+
+describe('getBasinReportInFile', () => {
+    let tempDirname;
+    before(async () => {
+        tempDirname = await mkdtemp(pathJoin(tmpdir(), 'nhc-test-'));
+    });
+    after(async () => {
+        await rm(tempDirname, { recursive: true, force: true });
+    });
+
+    /**
+     * @param {[String, String][]} replacements - Text of the feed fixture to replace
+     * @returns {Promise<nhc.BasinReport>} the report of the changed feed
+     */
+    async function getChangedFeedReport(replacements) {
+        let feed = await readFile(FEED_FILENAME, 'utf8');
+        for (const [searchValue, replaceValue] of replacements) {
+            assert.ok(feed.includes(searchValue), `feed fixture should include ${searchValue}`);
+            feed = feed.replaceAll(searchValue, replaceValue);
+        }
+        const filename = pathJoin(tempDirname, `feed-${Date.now()}-${Math.random()}.xml`);
+        await writeFile(filename, feed);
+
+        return nhc.getBasinReportInFile(filename);
+    }
+
+    it('reads the cyclones and their advisories', async () => {
+        const { cyclones } = await nhc.getBasinReportInFile(FEED_FILENAME);
+        assert.equal(cyclones.length, 1);
+        const [cyclone] = cyclones;
+        assert.equal(cyclone.atcf, 'AL102023');
+        assert.equal(cyclone.wallet, 'AT05');
+        assert.equal(cyclone.seasonWallet, 'AT10');
+        assert.equal(cyclone.hurricaneCategory, 4);
+        assert.equal(cyclone.latitude, 29.2);
+        assert.equal(cyclone.longitude, -84.1);
+        assert.equal(cyclone.movementHeading, 22.5);
+        assert.equal(cyclone.movementSpeedMph, 18);
+        assert.equal(cyclone.advisoryPubDate, '2023-08-30T08:56:00.000Z');
+        assert.equal(cyclone.advisoryNumber, '17');
+        assert.equal(cyclone.publicAdvisory.headlines[0], 'IDALIA STRENGTHENS TO CATEGORY 4 HURRICANE');
+        assert.equal(cyclone.forecastAdvisory.advisoryNumber, 17);
+    });
+
+    it('reads the outlook', async () => {
+        const { outlook } = await nhc.getBasinReportInFile(FEED_FILENAME);
+        assert.equal(outlook.pubDate, '2023-08-30T11:34:00.000Z');
+        assert.deepEqual(outlook.disturbances.map((disturbance) => disturbance.invest), ['AL98', null]);
+    });
+
+    it('matches advisories by the wallet in their links when the storm was renamed', async () => {
+        const { cyclones: [cyclone] } = await getChangedFeedReport([
+            [PUBLIC_ADVISORY_TITLE, '<title>Tropical Storm Ten Public Advisory Number 17</title>'],
+        ]);
+        assert.equal(cyclone.advisoryPubDate, '2023-08-30T08:56:00.000Z');
+        assert.notEqual(cyclone.publicAdvisory, undefined);
+    });
+
+    it('does not match advisories of another wallet', async () => {
+        const { cyclones: [cyclone] } = await getChangedFeedReport([
+            ['MIATCPAT5', 'MIATCPAT3'],
+            ['MIATCMAT5', 'MIATCMAT3'],
+        ]);
+        assert.equal(cyclone.advisoryPubDate, undefined);
+        assert.equal(cyclone.forecastAdvisory, undefined);
+    });
+
+    it('matches advisories by the ATCF ID in their links before the wallet', async () => {
+        const { cyclones: [cyclone] } = await getChangedFeedReport([
+            [PUBLIC_ADVISORY_LINK, `${PUBLIC_ADVISORY_LINK}?storm=al112023`],
+        ]);
+        assert.equal(cyclone.advisoryPubDate, undefined);
+        assert.notEqual(cyclone.forecastAdvisory, undefined);
+    });
+
+    it('matches advisories without storm identifiers by their title', async () => {
+        const { cyclones: [cyclone] } = await getChangedFeedReport([
+            ['MIATCPAT5+shtml', 'plain'],
+        ]);
+        assert.equal(cyclone.advisoryPubDate, '2023-08-30T08:56:00.000Z');
+
+        const { cyclones: [renamedCyclone] } = await getChangedFeedReport([
+            ['MIATCPAT5+shtml', 'plain'],
+            [PUBLIC_ADVISORY_TITLE, '<title>Tropical Storm Ten Public Advisory Number 17</title>'],
+        ]);
+        assert.equal(renamedCyclone.advisoryPubDate, undefined);
+    });
+
+    it('tells intermediate advisories apart', async () => {
+        const { cyclones: [cyclone] } = await nhc.getBasinReportInFile(FEED_FILENAME);
+        assert.equal(nhc.isIntermediateAdvisory(cyclone), false);
+
+        const { cyclones: [intermediateCyclone] } = await getChangedFeedReport([
+            [PUBLIC_ADVISORY_TITLE, '<title>Hurricane Idalia Intermediate Advisory Number 17A</title>'],
+        ]);
+        assert.equal(intermediateCyclone.advisoryNumber, '17A');
+        assert.equal(nhc.isIntermediateAdvisory(intermediateCyclone), true);
+    });
+});
+
+describe('isIntermediateAdvisory', () => {
+    it('is true only for advisory numbers with a letter suffix', () => {
+        assert.equal(nhc.isIntermediateAdvisory({ advisoryNumber: '16A' }), true);
+        assert.equal(nhc.isIntermediateAdvisory({ advisoryNumber: '16' }), false);
+        assert.equal(nhc.isIntermediateAdvisory({ advisoryNumber: null }), false);
+        assert.equal(nhc.isIntermediateAdvisory({}), false);
+    });
+});